@@ -0,0 +1,207 @@
+import { Position } from "vscode-languageclient";
+
+import { PredefinedProofsService } from "../llm/llmServices/predefinedProofs/predefinedProofsService";
+import { resolveParametersOrThrow } from "../llm/llmServices/utils/resolveOrThrow";
+
+import { CoqLspClient } from "../lsp/coqLspClient";
+import { ProofGoal, convertToString } from "../lsp/coqLspTypes";
+
+import { CoqProofChecker } from "./coqProofChecker";
+import { ProofSearchDocument, goalsToString } from "./proofSearch";
+
+export const DEFAULT_AUTOMATION_PORTFOLIO = [
+    "lia",
+    "nia",
+    "ring",
+    "field",
+    "congruence",
+    "firstorder",
+    "intuition",
+    "auto",
+    "easy",
+    "reflexivity",
+];
+
+/**
+ * Only the first goals are tried, so that a state with many goals
+ * does not delay the request the portfolio runs before.
+ */
+const maxGoalsTried = 5;
+
+/**
+ * What a decision procedure did to one goal:
+ * - `closes`: solved it, leaving the other goals untouched;
+ * - `simplifies`: ran without errors and replaced it with `subgoals`;
+ * - `fails`: failed, timed out, or left the goal as it was.
+ */
+export type AutomationOutcome = "closes" | "simplifies" | "fails";
+
+export interface AutomationAttempt {
+    /** The tactic as written in the portfolio, formatted as a sentence. */
+    tactic: string;
+    outcome: AutomationOutcome;
+    /** The goals that replace the tried goal, if it `simplifies` it. */
+    subgoals?: ProofGoal[];
+    /** All the goals after running the tactic on the goal, unless it `fails`. */
+    goalsAfter?: ProofGoal[];
+}
+
+export interface GoalAutomationResult {
+    /** 1-based, as in Coq's goal selectors. */
+    goalIndex: number;
+    goal: ProofGoal;
+    attempts: AutomationAttempt[];
+}
+
+export interface AutomationPortfolioReport {
+    goals: ProofGoal[];
+    results: GoalAutomationResult[];
+}
+
+/**
+ * Runs each tactic of the portfolio on each goal at `position`, separately,
+ * and tells which ones close or simplify which goals. Nothing is inserted
+ * into the document: the tactics are run with `CoqProofChecker`.
+ *
+ * The tactics are formatted into sentences by `PredefinedProofsService`,
+ * then every run is given a goal selector and Coq's own `timeout`,
+ * so that a diverging procedure (e.g. `firstorder`) only costs
+ * `tacticTimeoutSeconds`.
+ */
+export async function runAutomationPortfolio(
+    client: CoqLspClient,
+    document: ProofSearchDocument,
+    position: Position,
+    portfolio: string[],
+    predefinedProofsService: PredefinedProofsService,
+    tacticTimeoutSeconds: number
+): Promise<AutomationPortfolioReport> {
+    const goals = await client.withTextDocument(document, async () => {
+        const goalsResult = await client.getGoalsAtPoint(
+            position,
+            document.uri,
+            document.version
+        );
+        if (goalsResult.err) {
+            throw goalsResult.val;
+        }
+        return goalsResult.val.goals;
+    });
+    if (goals.length === 0 || portfolio.length === 0) {
+        return { goals: goals, results: [] };
+    }
+
+    const tactics = await formatPortfolio(portfolio, predefinedProofsService);
+    const triedGoals = goals.slice(0, maxGoalsTried);
+    const candidates = triedGoals.flatMap((_goal, index) =>
+        tactics.map(
+            (tactic) =>
+                `${index + 1}: timeout ${tacticTimeoutSeconds} (${tactic.replace(/\.\s*$/, "")}).`
+        )
+    );
+    const checker = new CoqProofChecker(client);
+    const checkResults = await client.withTextDocument(document, () =>
+        checker.checkProofs(
+            document.uri,
+            document.version,
+            position,
+            candidates,
+            // Each run stops itself, the margin covers the checking around it
+            (candidates.length * tacticTimeoutSeconds + 10) * 1000
+        )
+    );
+
+    const results = triedGoals.map((goal, goalIndex) => {
+        const attempts = tactics.map((tactic, tacticIndex) => {
+            const checkResult =
+                checkResults[goalIndex * tactics.length + tacticIndex];
+            return classifyAttempt(
+                tactic,
+                goals,
+                goalIndex,
+                checkResult.isValid ? checkResult.goals : undefined
+            );
+        });
+        return { goalIndex: goalIndex + 1, goal: goal, attempts: attempts };
+    });
+    return { goals: goals, results: results };
+}
+
+async function formatPortfolio(
+    portfolio: string[],
+    predefinedProofsService: PredefinedProofsService
+): Promise<string[]> {
+    const params = resolveParametersOrThrow(predefinedProofsService, {
+        modelId: "automation-portfolio",
+        tactics: portfolio,
+    });
+    const proofs = await predefinedProofsService.generateProof(
+        { completionTarget: "", contextTheorems: [] },
+        params,
+        portfolio.length
+    );
+    return proofs.map((proof) => proof.proof.trim());
+}
+
+function classifyAttempt(
+    tactic: string,
+    goals: ProofGoal[],
+    goalIndex: number,
+    goalsAfter: ProofGoal[] | undefined
+): AutomationAttempt {
+    if (goalsAfter === undefined) {
+        return { tactic: tactic, outcome: "fails" };
+    }
+    const untouched = goals.filter((_goal, index) => index !== goalIndex);
+    if (goalsToString(goalsAfter) === goalsToString(untouched)) {
+        return { tactic: tactic, outcome: "closes", goalsAfter: goalsAfter };
+    }
+    if (goalsToString(goalsAfter) === goalsToString(goals)) {
+        return { tactic: tactic, outcome: "fails" };
+    }
+    // The goal is replaced in place by the subgoals the tactic generates
+    const subgoalsCount = goalsAfter.length - untouched.length;
+    return {
+        tactic: tactic,
+        outcome: "simplifies",
+        subgoals: goalsAfter.slice(goalIndex, goalIndex + subgoalsCount),
+        goalsAfter: goalsAfter,
+    };
+}
+
+/**
+ * Describes the report as plain text, one line per goal,
+ * listing only the tactics that close or simplify it.
+ */
+export function formatAutomationReport(
+    report: AutomationPortfolioReport
+): string {
+    if (report.results.length === 0) {
+        return "No goals at the cursor.";
+    }
+    const lines = report.results.map((result) => {
+        const closing = result.attempts
+            .filter((attempt) => attempt.outcome === "closes")
+            .map((attempt) => attempt.tactic);
+        const simplifying = result.attempts
+            .filter((attempt) => attempt.outcome === "simplifies")
+            .map(
+                (attempt) =>
+                    `${attempt.tactic} (into ${attempt.subgoals!.length} goal(s): ${attempt.subgoals!.map((goal) => convertToString(goal.ty)).join(" ; ")})`
+            );
+        const parts = [
+            closing.length > 0 ? `closed by ${closing.join(", ")}` : "",
+            simplifying.length > 0
+                ? `simplified by ${simplifying.join(", ")}`
+                : "",
+        ].filter((part) => part !== "");
+        const outcome =
+            parts.length > 0 ? parts.join("; ") : "no procedure helps";
+        return `Goal ${result.goalIndex} (${convertToString(result.goal.ty)}): ${outcome}.`;
+    });
+    const skipped = report.goals.length - report.results.length;
+    if (skipped > 0) {
+        lines.push(`${skipped} more goal(s) were not tried.`);
+    }
+    return lines.join("\n");
+}
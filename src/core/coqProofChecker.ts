@@ -2,7 +2,7 @@ import { Mutex } from "async-mutex";
 import { Position } from "vscode-languageclient";
 
 import { CoqLspClient } from "../lsp/coqLspClient";
-import { CoqLspTimeoutError } from "../lsp/coqLspTypes";
+import { CoqLspTimeoutError, ProofGoal } from "../lsp/coqLspTypes";
 
 import { EventLogger } from "../logging/eventLogger";
 import { Uri } from "../utils/uri";
@@ -11,6 +11,12 @@ export interface ProofCheckResult {
     proof: string;
     isValid: boolean;
     diagnostic?: string;
+    /**
+     * Goals left after running the proof, set only if Coq ran it without errors.
+     * A proof that runs fine but does not close its goal is still an
+     * intermediate step, which is what proof search explores.
+     */
+    goals?: ProofGoal[];
 }
 
 type Proof = string;
@@ -100,6 +106,10 @@ export class CoqProofChecker {
                 diagnostic: goalsResult.err
                     ? goalsResult.val.message
                     : undefined,
+                goals:
+                    goalsResult.ok && !goalsResult.val.error
+                        ? goalsResult.val.goals
+                        : undefined,
             });
         }
 
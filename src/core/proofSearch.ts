@@ -0,0 +1,341 @@
+import { Position } from "vscode-languageclient";
+
+import { CoqLspClient, DocumentSpec } from "../lsp/coqLspClient";
+import {
+    CoqLspTimeoutError,
+    ProofGoal,
+    convertToString,
+} from "../lsp/coqLspTypes";
+
+import { asErrorOrRethrow } from "../utils/errorsUtils";
+import { nowTimestampMillis } from "../utils/time";
+
+import { CoqProofChecker, ProofCheckResult } from "./coqProofChecker";
+import { hypToString } from "./exposedCompletionGeneratorUtils";
+
+/**
+ * A state reached by the search: the goals left after running `tactics`
+ * at the search position. The root node has no tactics.
+ */
+export interface ProofSearchNode {
+    tactics: string[];
+    goals: ProofGoal[];
+    /** Heuristic cost of the node, see `scoreProofSearchNode`; lower is expanded first. */
+    score: number;
+}
+
+/**
+ * Proposes tactics to try in the state of a search node, e.g. by asking an LLM
+ * or by listing predefined tactics. The proposals do not need to be valid:
+ * every one of them is checked by Coq before the search relies on it.
+ */
+export interface TacticProposer {
+    readonly name: string;
+
+    /**
+     * @param count the maximum number of tactics to propose; a proposal may
+     * also be a short sequence of tactics, such as `induction n; simpl.`.
+     */
+    proposeTactics(
+        node: ProofSearchNode,
+        count: number,
+        abortSignal: AbortSignal
+    ): Promise<string[]>;
+}
+
+/** The document to search in, at the version its proof scripts are checked against. */
+export interface ProofSearchDocument extends DocumentSpec {
+    version: number;
+}
+
+/**
+ * Tells whether `goals` are the ones the search looks for,
+ * given the `initialGoals` at the search position.
+ * `probe` runs a tactic in the state of `goals` and tells whether Coq
+ * accepts it, e.g. to check that a goal is convertible to a desired one.
+ */
+export type ProofSearchTarget = (
+    goals: ProofGoal[],
+    initialGoals: ProofGoal[],
+    probe: (tactic: string) => Promise<boolean>
+) => boolean | Promise<boolean>;
+
+export interface ProofSearchBudget {
+    /** How many nodes may be expanded, i.e. how many times tactics are proposed and checked. */
+    maxNodes: number;
+    timeoutMillis: number;
+    /** The maximum number of tactics in a script. */
+    maxDepth: number;
+    /** How many tactics each proposer is asked for at every node. */
+    tacticsPerNode: number;
+}
+
+export type ProofSearchStopReason =
+    /** No node is left to expand within `maxDepth`. */
+    | "exhausted"
+    | "maxNodes"
+    | "timeout"
+    | "aborted";
+
+export interface ProofSearchResult {
+    /**
+     * The shortest verified script found that reaches the target,
+     * as the list of its tactics; `undefined` if none was found.
+     */
+    tactics?: string[];
+    nodesExpanded: number;
+    elapsedMillis: number;
+    stopReason: ProofSearchStopReason;
+    /** Messages of the errors proposers failed with, without duplicates. */
+    proposerErrors: string[];
+}
+
+const goalCountWeight = 10;
+const goalSizeWeightPerHundredChars = 1;
+const depthWeight = 2;
+
+/**
+ * Scores a state for the best-first search: the fewer and smaller the goals,
+ * the more promising the state. The depth term favours short scripts,
+ * so that the search does not dive into long chains of tactics
+ * that barely change the goals.
+ */
+export function scoreProofSearchNode(
+    goals: ProofGoal[],
+    depth: number
+): number {
+    const goalsSize = goals
+        .map((goal) => goalToString(goal).length)
+        .reduce((total, size) => total + size, 0);
+    return (
+        goalCountWeight * goals.length +
+        (goalSizeWeightPerHundredChars * goalsSize) / 100 +
+        depthWeight * depth
+    );
+}
+
+/**
+ * The target of a plain "prove this goal" search:
+ * the first goal is closed and the other ones are left untouched.
+ */
+export const closesFirstGoal: ProofSearchTarget = (goals, initialGoals) =>
+    goalsToString(goals) === goalsToString(initialGoals.slice(1));
+
+/**
+ * Searches for a script to insert at `position` of the document that brings
+ * the goals there to `target`, best-first over the tree of proof states:
+ * every expanded node asks each of the `proposers` for tactics, runs them
+ * with `CoqProofChecker`, and queues the states they reach, scored by
+ * `scoreProofSearchNode`. States already reached by a shorter script
+ * are not queued again.
+ *
+ * Once a script is found, the search goes on within the budget,
+ * only looking for strictly shorter ones.
+ * Stopping on the budget or on `abortSignal` does not throw:
+ * the best script found so far is returned.
+ */
+export async function searchProof(
+    client: CoqLspClient,
+    document: ProofSearchDocument,
+    position: Position,
+    proposers: TacticProposer[],
+    target: ProofSearchTarget,
+    budget: ProofSearchBudget,
+    abortSignal: AbortSignal,
+    onNodeExpanded?: (node: ProofSearchNode, nodesExpanded: number) => void
+): Promise<ProofSearchResult> {
+    const startTime = nowTimestampMillis();
+    const remainingMillis = () =>
+        budget.timeoutMillis - (nowTimestampMillis() - startTime);
+    const checker = new CoqProofChecker(client);
+    const proposerErrors = new Set<string>();
+
+    const initialGoals = await client.withTextDocument(document, async () => {
+        const goalsResult = await client.getGoalsAtPoint(
+            position,
+            document.uri,
+            document.version
+        );
+        if (goalsResult.err) {
+            throw goalsResult.val;
+        }
+        return goalsResult.val.goals;
+    });
+
+    const root: ProofSearchNode = {
+        tactics: [],
+        goals: initialGoals,
+        score: scoreProofSearchNode(initialGoals, 0),
+    };
+    const queue: ProofSearchNode[] = [root];
+    const visitedStates = new Set<string>([goalsToString(initialGoals)]);
+    let bestTactics: string[] | undefined = undefined;
+    let nodesExpanded = 0;
+
+    const finish = (stopReason: ProofSearchStopReason): ProofSearchResult => {
+        return {
+            tactics: bestTactics,
+            nodesExpanded: nodesExpanded,
+            elapsedMillis: nowTimestampMillis() - startTime,
+            stopReason: stopReason,
+            proposerErrors: Array.from(proposerErrors),
+        };
+    };
+    // Children of a node at this depth would not be shorter than the best script
+    const maxExpandedDepth = () =>
+        Math.min(budget.maxDepth, bestTactics?.length ?? Infinity) - 1;
+
+    while (true) {
+        if (abortSignal.aborted) {
+            return finish("aborted");
+        }
+        if (remainingMillis() <= 0) {
+            return finish("timeout");
+        }
+        const node = popBestNode(queue, maxExpandedDepth());
+        if (node === undefined) {
+            return finish("exhausted");
+        }
+        if (nodesExpanded >= budget.maxNodes) {
+            return finish("maxNodes");
+        }
+        nodesExpanded++;
+
+        const tactics = await proposeTactics(
+            proposers,
+            node,
+            budget.tacticsPerNode,
+            abortSignal,
+            proposerErrors
+        );
+        if (abortSignal.aborted) {
+            return finish("aborted");
+        }
+        const scripts = tactics.map((tactic) => [...node.tactics, tactic]);
+
+        let checkResults: ProofCheckResult[];
+        try {
+            checkResults = await client.withTextDocument(document, () =>
+                checker.checkProofs(
+                    document.uri,
+                    document.version,
+                    position,
+                    scripts.map((script) => script.join(" ")),
+                    Math.max(remainingMillis(), 0)
+                )
+            );
+        } catch (e) {
+            if (e instanceof CoqLspTimeoutError) {
+                return finish("timeout");
+            }
+            throw e;
+        }
+
+        for (const [index, checkResult] of checkResults.entries()) {
+            const goals = checkResult.goals;
+            if (!checkResult.isValid || goals === undefined) {
+                continue;
+            }
+            const script = scripts[index];
+            const probe = (tactic: string) =>
+                probeAfter(client, document, position, script, tactic);
+            if (await target(goals, initialGoals, probe)) {
+                if (
+                    bestTactics === undefined ||
+                    script.length < bestTactics.length
+                ) {
+                    bestTactics = script;
+                }
+                continue;
+            }
+            const state = goalsToString(goals);
+            if (goals.length === 0 || visitedStates.has(state)) {
+                continue;
+            }
+            visitedStates.add(state);
+            queue.push({
+                tactics: script,
+                goals: goals,
+                score: scoreProofSearchNode(goals, script.length),
+            });
+        }
+        onNodeExpanded?.(node, nodesExpanded);
+    }
+}
+
+async function probeAfter(
+    client: CoqLspClient,
+    document: ProofSearchDocument,
+    position: Position,
+    script: string[],
+    tactic: string
+): Promise<boolean> {
+    const goalsResult = await client.withTextDocument(document, () =>
+        client.getGoalsAtPoint(
+            position,
+            document.uri,
+            document.version,
+            [...script, tactic].join(" ")
+        )
+    );
+    return goalsResult.ok && !goalsResult.val.error;
+}
+
+/**
+ * Removes and returns the lowest-scored node of `queue` whose children
+ * may still be useful, i.e. whose depth does not exceed `maxDepth`.
+ */
+function popBestNode(
+    queue: ProofSearchNode[],
+    maxDepth: number
+): ProofSearchNode | undefined {
+    let bestIndex = -1;
+    queue.forEach((node, index) => {
+        if (
+            node.tactics.length <= maxDepth &&
+            (bestIndex === -1 || node.score < queue[bestIndex].score)
+        ) {
+            bestIndex = index;
+        }
+    });
+    return bestIndex === -1 ? undefined : queue.splice(bestIndex, 1)[0];
+}
+
+/**
+ * Collects the tactics of all `proposers` for `node`, without duplicates.
+ * A failing proposer does not stop the search: its error is recorded
+ * in `errors` and the other proposers are still used.
+ */
+async function proposeTactics(
+    proposers: TacticProposer[],
+    node: ProofSearchNode,
+    count: number,
+    abortSignal: AbortSignal,
+    errors: Set<string>
+): Promise<string[]> {
+    const proposals = await Promise.all(
+        proposers.map(async (proposer) => {
+            try {
+                return await proposer.proposeTactics(node, count, abortSignal);
+            } catch (e) {
+                const error = asErrorOrRethrow(e);
+                errors.add(`${proposer.name}: ${error.message}`);
+                return [];
+            }
+        })
+    );
+    const tactics = proposals
+        .flat()
+        .map((tactic) => tactic.trim())
+        .filter((tactic) => tactic !== "");
+    return Array.from(new Set(tactics));
+}
+
+function goalToString(goal: ProofGoal): string {
+    return [...goal.hyps.map(hypToString), `⊢ ${convertToString(goal.ty)}`].join("\n");
+}
+
+/** Renders goals with their hypotheses, e.g. to tell whether two proof states are the same. */
+export function goalsToString(goals: ProofGoal[]): string {
+    return goals.map(goalToString).join("\n\n");
+}
@@ -0,0 +1,459 @@
+import {
+    GoalsWithMessages,
+    ProofGoal,
+    convertToString,
+} from "../lsp/coqLspTypes";
+import { diffLines } from "../utils/lineDiff";
+
+/**
+ * A hypothesis as printed in the proof state panel, where several names
+ * may share one type.
+ */
+export interface PrintedHyp {
+    names: string[];
+    ty: string;
+}
+
+export interface PrintedGoal {
+    hyps: PrintedHyp[];
+    ty: string;
+}
+
+export function printGoals(goals: ProofGoal[]): PrintedGoal[] {
+    return goals.map((goal) => ({
+        hyps: goal.hyps.map((hyp) => ({
+            names: hyp.names.map((name) => convertToString(name)),
+            ty: convertToString(hyp.ty),
+        })),
+        ty: convertToString(goal.ty),
+    }));
+}
+
+/** A token of a printed term, with its offsets in the printed text. */
+export interface TermToken {
+    text: string;
+    start: number;
+    end: number;
+}
+
+/**
+ * Splits a printed term into identifiers, parentheses, and runs of any other
+ * symbols (the operators of notations). Two terms with the same tokens
+ * differ only by their spacing.
+ */
+export function tokenizeTerm(text: string): TermToken[] {
+    return [...text.matchAll(/[\w'.]+|[()]|[^\s\w'.()]+/g)].map((match) => ({
+        text: match[0],
+        start: match.index,
+        end: match.index + match[0].length,
+    }));
+}
+
+/**
+ * A span of a term that differs between two versions of it, with its
+ * offsets in each; either text is empty for a pure insertion or deletion.
+ */
+export interface SubtermChange {
+    before: string;
+    beforeOffset: number;
+    after: string;
+    afterOffset: number;
+}
+
+export interface TermChange {
+    before: string;
+    after: string;
+    subterms: SubtermChange[];
+}
+
+export type HypothesisChange =
+    | { kind: "introduced"; name: string; ty: string }
+    | { kind: "cleared"; name: string; ty: string }
+    | { kind: "renamed"; name: string; newName: string; ty: string }
+    | ({ kind: "retyped"; name: string } & TermChange)
+    /**
+     * `name` (as named after the edit) now comes right after `after`, among
+     * the hypotheses of both versions, or first if `after` is `undefined`.
+     */
+    | { kind: "moved"; name: string; after?: string };
+
+/** Goal indices are 1-based, as in Coq's goal selectors. */
+export type GoalChange =
+    | { kind: "added"; afterIndex: number; goal: PrintedGoal }
+    | { kind: "removed"; beforeIndex: number; goal: PrintedGoal }
+    | {
+          kind: "changed";
+          beforeIndex: number;
+          afterIndex: number;
+          hypotheses: HypothesisChange[];
+          /** The change of the goal's type, if it has one. */
+          conclusion?: TermChange;
+      };
+
+/** What differs between two proof states; unchanged goals are left out. */
+export interface ProofStateDiff {
+    goals: GoalChange[];
+    messagesAdded: string[];
+    messagesRemoved: string[];
+    /** The errors of both states, only when they differ. */
+    error?: { before?: string; after?: string };
+}
+
+export function diffProofStates(
+    before: GoalsWithMessages,
+    after: GoalsWithMessages
+): ProofStateDiff {
+    const beforeMessages = new Set(before.messages);
+    const afterMessages = new Set(after.messages);
+    return {
+        goals: diffGoals(printGoals(before.goals), printGoals(after.goals)),
+        messagesAdded: after.messages.filter(
+            (message) => !beforeMessages.has(message)
+        ),
+        messagesRemoved: before.messages.filter(
+            (message) => !afterMessages.has(message)
+        ),
+        error:
+            before.error === after.error
+                ? undefined
+                : { before: before.error, after: after.error },
+    };
+}
+
+export function isEmptyDiff(diff: ProofStateDiff): boolean {
+    return (
+        diff.goals.length === 0 &&
+        diff.messagesAdded.length === 0 &&
+        diff.messagesRemoved.length === 0 &&
+        diff.error === undefined
+    );
+}
+
+/**
+ * Pairs the goals of two states and tells what changed in each pair.
+ * Identical goals are paired first, in order; the others by the number of
+ * hypotheses they share (then by a same conclusion, then by position).
+ * The goals left without a pair are added or removed.
+ */
+export function diffGoals(
+    before: PrintedGoal[],
+    after: PrintedGoal[]
+): GoalChange[] {
+    const pairs = new Map<number, number>();
+    const paired = new Set<number>();
+    for (const [beforeIndex, goal] of before.entries()) {
+        const afterIndex = after.findIndex(
+            (candidate, index) =>
+                !paired.has(index) && sameGoal(goal, candidate)
+        );
+        if (afterIndex >= 0) {
+            pairs.set(beforeIndex, afterIndex);
+            paired.add(afterIndex);
+        }
+    }
+
+    const candidates = before
+        .flatMap((goal, beforeIndex) =>
+            after.map((candidate, afterIndex) => ({
+                beforeIndex,
+                afterIndex,
+                score: similarity(goal, candidate),
+            }))
+        )
+        .filter(
+            ({ beforeIndex, afterIndex }) =>
+                !pairs.has(beforeIndex) && !paired.has(afterIndex)
+        )
+        .sort(
+            (a, b) =>
+                b.score - a.score ||
+                Math.abs(a.beforeIndex - a.afterIndex) -
+                    Math.abs(b.beforeIndex - b.afterIndex) ||
+                a.beforeIndex - b.beforeIndex
+        );
+    const changes: GoalChange[] = [];
+    for (const { beforeIndex, afterIndex } of candidates) {
+        if (pairs.has(beforeIndex) || paired.has(afterIndex)) {
+            continue;
+        }
+        pairs.set(beforeIndex, afterIndex);
+        paired.add(afterIndex);
+        const beforeGoal = before[beforeIndex];
+        const afterGoal = after[afterIndex];
+        changes.push({
+            kind: "changed",
+            beforeIndex: beforeIndex + 1,
+            afterIndex: afterIndex + 1,
+            hypotheses: diffHypotheses(beforeGoal.hyps, afterGoal.hyps),
+            conclusion: sameTerm(beforeGoal.ty, afterGoal.ty)
+                ? undefined
+                : diffTerms(beforeGoal.ty, afterGoal.ty),
+        });
+    }
+
+    for (const [beforeIndex, goal] of before.entries()) {
+        if (!pairs.has(beforeIndex)) {
+            changes.push({
+                kind: "removed",
+                beforeIndex: beforeIndex + 1,
+                goal,
+            });
+        }
+    }
+    for (const [afterIndex, goal] of after.entries()) {
+        if (!paired.has(afterIndex)) {
+            changes.push({ kind: "added", afterIndex: afterIndex + 1, goal });
+        }
+    }
+    return changes;
+}
+
+/**
+ * The hypotheses of two versions of a goal, by name: a name in both with
+ * another type is retyped; a name in one version only is renamed if the
+ * other version has a new name with the same type, and introduced or
+ * cleared otherwise. The changes come in that order, then the moves,
+ * in the order of the new version.
+ */
+export function diffHypotheses(
+    before: PrintedHyp[],
+    after: PrintedHyp[]
+): HypothesisChange[] {
+    const byName = (hyps: PrintedHyp[]) =>
+        hyps.flatMap((hyp) => hyp.names.map((name) => ({ name, ty: hyp.ty })));
+    const beforeHyps = byName(before);
+    const afterHyps = byName(after);
+    const afterNames = new Set(afterHyps.map((hyp) => hyp.name));
+    const beforeNames = new Set(beforeHyps.map((hyp) => hyp.name));
+
+    const changes: HypothesisChange[] = [];
+    for (const hyp of beforeHyps) {
+        const kept = afterHyps.find((candidate) => candidate.name === hyp.name);
+        if (kept !== undefined && !sameTerm(hyp.ty, kept.ty)) {
+            changes.push({
+                kind: "retyped",
+                name: hyp.name,
+                ...diffTerms(hyp.ty, kept.ty),
+            });
+        }
+    }
+    const introduced = afterHyps.filter((hyp) => !beforeNames.has(hyp.name));
+    for (const hyp of beforeHyps.filter(({ name }) => !afterNames.has(name))) {
+        const renamedAt = introduced.findIndex((candidate) =>
+            sameTerm(candidate.ty, hyp.ty)
+        );
+        if (renamedAt < 0) {
+            changes.push({ kind: "cleared", name: hyp.name, ty: hyp.ty });
+            continue;
+        }
+        const [renamed] = introduced.splice(renamedAt, 1);
+        changes.push({
+            kind: "renamed",
+            name: hyp.name,
+            newName: renamed.name,
+            ty: hyp.ty,
+        });
+    }
+    for (const hyp of introduced) {
+        changes.push({ kind: "introduced", name: hyp.name, ty: hyp.ty });
+    }
+
+    // The hypotheses of both versions outside a longest common subsequence
+    // of their two orders are the ones that moved
+    const newNames = new Map(
+        changes.flatMap((change) =>
+            change.kind === "renamed" ? [[change.name, change.newName]] : []
+        )
+    );
+    const keptBefore = beforeHyps
+        .map((hyp) => newNames.get(hyp.name) ?? hyp.name)
+        .filter((name) => afterNames.has(name));
+    const keptAfter = afterHyps
+        .map((hyp) => hyp.name)
+        .filter((name) => keptBefore.includes(name));
+    const moved = new Set(
+        diffLines(keptBefore, keptAfter).flatMap((hunk) => hunk.newLines)
+    );
+    for (const [index, name] of keptAfter.entries()) {
+        if (moved.has(name)) {
+            changes.push({ kind: "moved", name, after: keptAfter[index - 1] });
+        }
+    }
+    return changes;
+}
+
+/**
+ * The spans of two versions of a term that differ, keeping their longest
+ * common subsequence of tokens.
+ */
+export function diffTerms(before: string, after: string): TermChange {
+    const beforeTokens = tokenizeTerm(before);
+    const afterTokens = tokenizeTerm(after);
+    const span = (
+        text: string,
+        tokens: TermToken[],
+        start: number,
+        length: number
+    ) => {
+        if (length === 0) {
+            const offset =
+                start < tokens.length ? tokens[start].start : text.length;
+            return { text: "", offset };
+        }
+        const from = tokens[start].start;
+        return {
+            text: text.slice(from, tokens[start + length - 1].end),
+            offset: from,
+        };
+    };
+    const subterms = diffLines(
+        beforeTokens.map((token) => token.text),
+        afterTokens.map((token) => token.text)
+    ).map((hunk) => {
+        const old = span(
+            before,
+            beforeTokens,
+            hunk.oldStart,
+            hunk.oldLines.length
+        );
+        const changed = span(
+            after,
+            afterTokens,
+            hunk.newStart,
+            hunk.newLines.length
+        );
+        return {
+            before: old.text,
+            beforeOffset: old.offset,
+            after: changed.text,
+            afterOffset: changed.offset,
+        };
+    });
+    return { before, after, subterms };
+}
+
+/**
+ * The diff as a list for a reader (the user or a model), naming the two
+ * states after `labels`, e.g. "the current state" and "the desired state".
+ */
+export function formatProofStateDiff(
+    diff: ProofStateDiff,
+    labels: { before: string; after: string } = {
+        before: "the state before",
+        after: "the state after",
+    }
+): string {
+    const code = (text: string) =>
+        text === "" ? "nothing" : `\`${text.replace(/\s+/g, " ")}\``;
+    const termChange = (change: TermChange) => {
+        const subterms = change.subterms
+            .map((subterm) => `${code(subterm.before)} → ${code(subterm.after)}`)
+            .join(", ");
+        return `${code(change.before)} becomes ${code(change.after)} (${subterms})`;
+    };
+    const goal = (printed: PrintedGoal) => {
+        const hyps = printed.hyps.map(
+            (hyp) => `${hyp.names.join(" ")} : ${hyp.ty}`
+        );
+        return code([...hyps, `⊢ ${printed.ty}`].join(", "));
+    };
+
+    const lines: string[] = [];
+    for (const change of diff.goals) {
+        if (change.kind === "added") {
+            lines.push(
+                `- goal ${change.afterIndex} is only in ${labels.after}: ${goal(change.goal)}`
+            );
+            continue;
+        }
+        if (change.kind === "removed") {
+            lines.push(
+                `- goal ${change.beforeIndex} is only in ${labels.before}: ${goal(change.goal)}`
+            );
+            continue;
+        }
+        const moved =
+            change.afterIndex === change.beforeIndex
+                ? ""
+                : ` (goal ${change.afterIndex} in ${labels.after})`;
+        lines.push(`- goal ${change.beforeIndex}${moved}:`);
+        for (const hyp of change.hypotheses) {
+            switch (hyp.kind) {
+                case "introduced":
+                    lines.push(
+                        `  - hypothesis ${hyp.name} : ${code(hyp.ty)} is only in ${labels.after}`
+                    );
+                    break;
+                case "cleared":
+                    lines.push(
+                        `  - hypothesis ${hyp.name} : ${code(hyp.ty)} is only in ${labels.before}`
+                    );
+                    break;
+                case "renamed":
+                    lines.push(
+                        `  - hypothesis ${hyp.name} is named ${hyp.newName} in ${labels.after}`
+                    );
+                    break;
+                case "retyped":
+                    lines.push(
+                        `  - the type of hypothesis ${hyp.name}: ${termChange(hyp)}`
+                    );
+                    break;
+                case "moved":
+                    lines.push(
+                        `  - hypothesis ${hyp.name} comes ${hyp.after === undefined ? "first" : `right after ${hyp.after}`} in ${labels.after}`
+                    );
+                    break;
+            }
+        }
+        if (change.conclusion !== undefined) {
+            lines.push(`  - the conclusion: ${termChange(change.conclusion)}`);
+        }
+    }
+    if (diff.error !== undefined) {
+        lines.push(
+            `- the error: ${code(diff.error.before ?? "")} in ${labels.before}, ${code(diff.error.after ?? "")} in ${labels.after}`
+        );
+    }
+    for (const message of diff.messagesRemoved) {
+        lines.push(`- message only in ${labels.before}: ${code(message)}`);
+    }
+    for (const message of diff.messagesAdded) {
+        lines.push(`- message only in ${labels.after}: ${code(message)}`);
+    }
+    return lines.join("\n");
+}
+
+/** The tokens of a printed term, with a single space between them. */
+function termKey(text: string): string {
+    return tokenizeTerm(text)
+        .map((token) => token.text)
+        .join(" ");
+}
+
+function sameTerm(a: string, b: string): boolean {
+    return termKey(a) === termKey(b);
+}
+
+function sameGoal(a: PrintedGoal, b: PrintedGoal): boolean {
+    return (
+        sameTerm(a.ty, b.ty) &&
+        a.hyps.length === b.hyps.length &&
+        a.hyps.every(
+            (hyp, index) =>
+                hyp.names.join(" ") === b.hyps[index].names.join(" ") &&
+                sameTerm(hyp.ty, b.hyps[index].ty)
+        )
+    );
+}
+
+/** How alike two goals are: the hypotheses they share, then their conclusion. */
+function similarity(a: PrintedGoal, b: PrintedGoal): number {
+    const hyps = (goal: PrintedGoal) =>
+        goal.hyps.flatMap((hyp) =>
+            hyp.names.map((name) => `${name} : ${termKey(hyp.ty)}`)
+        );
+    const bHyps = new Set(hyps(b));
+    const shared = hyps(a).filter((hyp) => bHyps.has(hyp)).length;
+    return 2 * shared + (sameTerm(a.ty, b.ty) ? 1 : 0);
+}
@@ -17,16 +17,26 @@ if (result.error) {
 // and the file containing your Prover Tools / clearSuggestedEditDecoration function.
 import { SuggestionManager } from './suggestionManager';
 import { clearSuggestedEditDecoration } from './tools/proverTools'; 
+import { agentEditLog, revertAgentEdit } from './tools/agentEditLog';
 // ------------------------------------------
 
 let coqLspClient: CoqLspClient | undefined = undefined;
 let coqLspClientReady: Promise<CoqLspClient> | undefined = undefined;
 let extensionContext: vscode.ExtensionContext | undefined;
-const OPENAI_SECRET_KEY = 'outputdirectedtheoremproving.openaiApiKey';
-const GEMINI_PROJECT_ID_KEY = 'outputdirectedtheoremproving.geminiProjectId';
-let defaultChatAdapter: any | undefined = undefined;
+let defaultChatAdapter: ChatAdapter | undefined = undefined;
 
 import { streamCoqChat } from './llm/chatBridge';
+import { ChatAdapter } from './llm/chatAdapters';
+import { CassetteMatching, RecordingChatAdapter, ReplayChatAdapter, readCassette } from './llm/cassetteAdapters';
+import { CHAT_SERVICES, OPENAI_SECRET_KEY, buildPredefinedProofsAdapter, createChatLLMServices, selectChatAdapter, withFallbackModels, withProverRaceModels } from './llm/chatModelSelection';
+import { disposeServices } from './llm/llmServices';
+import { checkPromptTemplateOverrides } from './llm/promptTemplates';
+import { createTacticProposers, describeProofSearchResult, insertProofSearchScript, readProofSearchSettings, runProofSearch } from './llm/proofSearchRunner';
+import { TacticProposer, closesFirstGoal } from './core/proofSearch';
+import { AutomationPortfolioReport } from './core/automationPortfolio';
+import { closingTactic, describeAutomationReport, runAutomationPortfolioAt, withAutomationReport } from './llm/automationPortfolioRunner';
+import { confirmAndInsertTheorem, formaliseStatement, informalStatementFromText } from './llm/statementFormalisation';
+import { isCoqDocumentLanguage } from './utils/coqUtils';
 
 export let globalSuggestionManager: SuggestionManager | undefined;
 
@@ -45,8 +55,20 @@ const coqChatHandler: vscode.ChatRequestHandler = async (
         return {};
     }
 
+    let prompt = request.prompt;
+    const editor = [vscode.window.activeTextEditor, ...vscode.window.visibleTextEditors]
+        .find((e) => e !== undefined && isCoqDocumentLanguage(e.document.languageId));
+    if (editor) {
+        stream.progress('Running decision procedures on the goals at the cursor');
+        const report = await vscode.commands.executeCommand<AutomationPortfolioReport | undefined>(
+            'outputdirectedtheoremproving.runAutomationPortfolio', editor.document, editor.selection.active
+        );
+        stream.markdown(describeAutomationReport(report));
+        prompt = withAutomationReport(prompt, report, model.modelId);
+    }
+
     stream.progress('Analysing context and generating proof strategy');
-    await streamCoqChat(coqLspClientReady, model, request.prompt, (chunk) => {
+    await streamCoqChat(coqLspClientReady, model, prompt, (chunk) => {
         stream.markdown(chunk);
     }, undefined, token);
 
@@ -56,6 +78,8 @@ const coqChatHandler: vscode.ChatRequestHandler = async (
 export function activate(context: vscode.ExtensionContext) {
     console.log('Congratulations, your extension "outputdirectedtheoremproving" is now active!');
     extensionContext = context;
+    const services = createChatLLMServices();
+    context.subscriptions.push({ dispose: () => disposeServices(services) });
 
     // --- SETUP INLINE SUGGESTIONS (Cursor Style) ---
 	globalSuggestionManager = new SuggestionManager();
@@ -75,6 +99,8 @@ export function activate(context: vscode.ExtensionContext) {
         
         const editor = vscode.window.activeTextEditor;
         if (editor) clearSuggestedEditDecoration(editor);
+        const { transactionId } = suggestionManager.activeSuggestion;
+        if (transactionId !== undefined) agentEditLog.keep(transactionId);
         
         suggestionManager.clearSuggestion();
     }));
@@ -83,10 +109,14 @@ export function activate(context: vscode.ExtensionContext) {
     context.subscriptions.push(vscode.commands.registerCommand('outputdirectedtheoremproving.rejectSuggestion', async () => {
         if (!suggestionManager.activeSuggestion) return;
         
-        const { uri, range, oldText } = suggestionManager.activeSuggestion;
+        const { uri, range, oldText, transactionId } = suggestionManager.activeSuggestion;
         const editor = vscode.window.activeTextEditor;
         
-        if (editor && editor.document.uri.toString() === uri.toString()) {
+        if (transactionId !== undefined) {
+            // The log knows where the suggestion is now, and whether the user has changed it since
+            if (!(await revertAgentEdit(transactionId))) return;
+            if (editor) clearSuggestedEditDecoration(editor);
+        } else if (editor && editor.document.uri.toString() === uri.toString()) {
             // Revert the document to its original state
             const edit = new vscode.WorkspaceEdit();
             edit.replace(uri, range, oldText);
@@ -97,6 +127,31 @@ export function activate(context: vscode.ExtensionContext) {
         
         suggestionManager.clearSuggestion();
     }));
+
+    // 4. Revert any pending agent edit, not only the latest one
+    context.subscriptions.push(agentEditLog);
+    context.subscriptions.push(vscode.commands.registerCommand('outputdirectedtheoremproving.revertAgentEdit', async () => {
+        const pending = agentEditLog.pending().reverse();
+        if (pending.length === 0) {
+            vscode.window.showInformationMessage('No suggested edit is waiting to be kept or reverted.');
+            return;
+        }
+        const picked = await vscode.window.showQuickPick(
+            pending.map((transaction) => ({
+                label: agentEditLog.describe(transaction),
+                description: vscode.workspace.asRelativePath(transaction.uri),
+                detail: transaction.conflict ? `Cannot be reverted: ${transaction.conflict}` : undefined,
+                transaction,
+            })),
+            { placeHolder: 'Suggested edit to revert' }
+        );
+        if (!picked || !(await revertAgentEdit(picked.transaction.id))) return;
+        if (suggestionManager.activeSuggestion?.transactionId === picked.transaction.id) {
+            suggestionManager.clearSuggestion();
+        }
+        const editor = vscode.window.visibleTextEditors.find((ed) => ed.document.uri.toString() === picked.transaction.uri.toString());
+        if (editor) clearSuggestedEditDecoration(editor);
+    }));
     // -----------------------------------------------
 
     const participant = vscode.chat.createChatParticipant(
@@ -162,231 +217,150 @@ export function activate(context: vscode.ExtensionContext) {
         if (useCache && defaultChatAdapter) {
             return defaultChatAdapter;
         }
-        // List all available LLM services and return an adapter for each.
-        const { PredefinedProofsService } = require('./llm/llmServices/predefinedProofs/predefinedProofsService');
-        const { OpenAiService } = require('./llm/llmServices/openai/openAiService');
-        const { LMStudioService } = require('./llm/llmServices/lmStudio/lmStudioService');
-        const { GrazieService } = require('./llm/llmServices/grazie/grazieService');
-        const { DeepSeekService } = require('./llm/llmServices/deepSeek/deepSeekService');
-        const services = [
-            { label: 'PredefinedProofs', description: 'Offline fallback using simple tactics', instance: new PredefinedProofsService() },
-            { label: 'OpenAI', description: 'OpenAI GPT models (requires API key)', instance: new OpenAiService() },
-            { label: 'Gemini (Vertex AI)', description: 'Google Gemini models via Vertex AI (requires GCP project)', instance: null },
-            { label: 'LMStudio', description: 'Local LMStudio server', instance: new LMStudioService() },
-            { label: 'Grazie', description: 'JetBrains Grazie AI', instance: new GrazieService() },
-            { label: 'DeepSeek', description: 'DeepSeek AI', instance: new DeepSeekService() },
-            { label: 'Open Chat view', description: 'Open the built-in Chat view to configure a model', instance: null },
+        const items = [
+            ...CHAT_SERVICES.map((descriptor) => ({ label: descriptor.label, description: descriptor.description, descriptor })),
+            { label: 'Open Chat view', description: 'Open the built-in Chat view to configure a model', descriptor: undefined },
         ];
-        const choice = await vscode.window.showQuickPick(services, { placeHolder: 'Select an LLM service for the proof-state panel' });
+        const choice = await vscode.window.showQuickPick(items, { placeHolder: 'Select an LLM service for the proof-state panel' });
         if (!choice) { return null; }
 
-        if (choice.label === 'Open Chat view') {
+        if (!choice.descriptor) {
             try { await vscode.commands.executeCommand('workbench.action.openChat'); } catch (e) { /* ignore */ }
             return null;
         }
 
-        if (choice.label === 'PredefinedProofs') {
-            // ...existing code...
-            const adapter = {
-                sendRequest: async (messages: any[], opts: any, token?: vscode.CancellationToken) => {
-                    // ...existing code...
-                    let userPrompt = '';
-                    try {
-                        userPrompt = messages.map((m) => (m?.asString ? m.asString() : (m?.text ?? String(m)))).join('\n');
-                    } catch (e) { userPrompt = '' + messages; }
-                    let suggestion = 'intros.';
-                    if (/\b(intro|intros)\b/i.test(userPrompt)) { suggestion = 'intros.'; }
-                    else if (/\b(apply|rewrite|simpl|induction)\b/i.test(userPrompt)) { suggestion = 'apply ... .'; }
-                    const content = `Suggested tactic: ${suggestion}`;
-                    return {
-                        text: (async function* () { yield content; })()
-                    };
-                }
-            };
-            defaultChatAdapter = adapter;
-            return adapter;
-        }
+        const adapter = await selectChatAdapter(choice.descriptor, services, context.secrets);
+        if (!adapter) { return null; }
+        defaultChatAdapter = await withFallbackModels(adapter, services, context.secrets);
+        return defaultChatAdapter;
+    });
+    context.subscriptions.push(getModelCmd);
 
-        if (choice.label === 'Gemini (Vertex AI)') {
-            // Get project ID from secrets or prompt; location is always 'global'
-            let projectId: string | undefined;
-            
-            if (extensionContext) {
-                projectId = await extensionContext.secrets.get(GEMINI_PROJECT_ID_KEY);
-            }
+    // Models to run the prover on at once: the default one and the ones of the `proverRaceModels` setting.
+    const getProverRaceModelsCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.getProverRaceModels', async () => {
+        const adapter = await vscode.commands.executeCommand<ChatAdapter | null>('outputdirectedtheoremproving.getDefaultChatModel', { useCache: true });
+        if (!adapter) { return []; }
+        return withProverRaceModels(adapter, services, context.secrets);
+    });
+    context.subscriptions.push(getProverRaceModelsCmd);
 
-            if (!projectId) {
-                const inputProjectId = await vscode.window.showInputBox({
-                    prompt: 'Enter your Google Cloud Project ID',
-                    placeHolder: 'your-project-id',
-                    ignoreFocusOut: true,
-                });
-                if (!inputProjectId) {
-                    return null;
-                }
-                projectId = inputProjectId;
-                if (extensionContext) {
-                    await extensionContext.secrets.store(GEMINI_PROJECT_ID_KEY, projectId);
-                }
-            }
+    // Decision procedures run on the goals at the cursor before a request to a model; resolves to `undefined` if not run.
+    const runAutomationPortfolioCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.runAutomationPortfolio', async (document: vscode.TextDocument, position: vscode.Position) => {
+        if (!coqLspClientReady) { return undefined; }
+        return runAutomationPortfolioAt(coqLspClientReady, services.predefinedProofsService, document, position);
+    });
+    context.subscriptions.push(runAutomationPortfolioCmd);
+
+    // Tactic proposers of the proof search: the default model, and the predefined tactics if enabled.
+    const getTacticProposersCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.getTacticProposers', async () => {
+        const adapter = await vscode.commands.executeCommand<ChatAdapter | null>('outputdirectedtheoremproving.getDefaultChatModel', { useCache: true });
+        if (!adapter) { return []; }
+        const predefined = readProofSearchSettings().usePredefinedTactics ? await buildPredefinedProofsAdapter(services, context.secrets) : undefined;
+        return createTacticProposers(adapter, predefined);
+    });
+    context.subscriptions.push(getTacticProposersCmd);
 
-            const location = 'global';
-
-            const modelOptions = [
-                { label: 'gemini-3-deep-think', description: 'Gemini 3 Deep Think (most powerful)' }, 
-                { label: 'gemini-3.1-pro-preview', description: 'Gemini 3.0 Pro (recommended' },
-                { label: 'gemini-3-flash-preview', description: 'Gemini 3.0 Flash (faster)' },
-            ];
-            const pickedModel = await vscode.window.showQuickPick(modelOptions, { 
-                placeHolder: 'Select Gemini model to use (requires Vertex AI API enabled)' 
-            });
-            const selectedModel = pickedModel?.label ?? 'gemini-3.1-pro-preview';
-
-            try {
-                const { GoogleGenAI } = require('@google/genai');
-                const ai = new GoogleGenAI({
-                    vertexai: true,
-                    project: projectId,
-                    location: location,
-                });
-
-                const adapter = {
-                    sendRequest: async (messages: any[], opts: any, token?: vscode.CancellationToken) => {
-                        try {
-                            // Convert messages to Gemini format
-                            // The SDK accepts Content[] where Content has role and parts
-                            const contents: any[] = [];
-                            
-                            for (const m of messages) {
-                                if (typeof m === 'string') {
-                                    contents.push({ role: 'user', parts: [{ text: m }] });
-                                } else if (m.role && m.content) {
-                                    // Map OpenAI-style roles to Gemini roles
-                                    const role = m.role === 'assistant' ? 'model' : 'user';
-                                    contents.push({ role: role, parts: [{ text: m.content }] });
-                                } else if (m.role && m.parts) {
-                                    // Already in Gemini format
-                                    contents.push(m);
-                                } else {
-                                    contents.push({ role: 'user', parts: [{ text: m.text ?? String(m) }] });
-                                }
-                            }
-
-                            // Generate content with streaming
-                            const stream = await ai.models.generateContentStream({
-                                model: selectedModel,
-                                contents: contents,
-                                generationConfig: {
-                                    maxOutputTokens: opts?.maxTokens ?? 2048,
-                                    temperature: opts?.temperature ?? 1.0,
-                                },
-                            });
-
-                            return {
-                                text: (async function* () {
-                                    for await (const chunk of stream) {
-                                        if (token && token.isCancellationRequested) break;
-                                        // Extract text from the chunk
-                                        const text = chunk.text;
-                                        if (text) {
-                                            yield text;
-                                        }
-                                    }
-                                })()
-                            };
-                        } catch (e: any) {
-                            return { 
-                                text: (async function* () { 
-                                    yield 'Gemini error: ' + (e && e.message ? e.message : String(e)); 
-                                })() 
-                            };
-                        }
-                    }
-                };
-                defaultChatAdapter = adapter;
-                return adapter;
-            } catch (e: any) {
-                vscode.window.showErrorMessage(`Failed to initialize Gemini client: ${e.message || String(e)}. Make sure you have run 'gcloud auth application-default login' and have Vertex AI API enabled.`);
-                return {
-                    sendRequest: async () => ({ 
-                        text: (async function* () { 
-                            yield `Gemini initialization error: ${e.message || String(e)}. Please ensure Vertex AI API is enabled and you're authenticated.`; 
-                        })() 
-                    })
-                };
-            }
+    const proveGoalCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.proveGoal', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || !isCoqDocumentLanguage(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Place the cursor inside a proof in a Coq document.');
+            return;
         }
-
-        if (choice.label === 'OpenAI') {
-            let apiKey: string | undefined;
-            if (extensionContext) {
-                apiKey = await extensionContext.secrets.get(OPENAI_SECRET_KEY);
+        if (!coqLspClientReady) {
+            vscode.window.showErrorMessage('Coq LSP is not ready yet.');
+            return;
+        }
+        const clientReady = coqLspClientReady;
+        const position = editor.selection.active;
+        const version = editor.document.version;
+        const onSuggestedEditApplied = (ed: vscode.TextEditor, range: vscode.Range, oldText: string, transactionId: number) => suggestionManager.setSuggestion(ed.document.uri, range, oldText, transactionId);
+        try {
+            // A goal a decision procedure closes needs no model
+            const report = await runAutomationPortfolioAt(clientReady, services.predefinedProofsService, editor.document, position);
+            const tactic = closingTactic(report);
+            if (tactic !== undefined) {
+                await insertProofSearchScript(editor, position, [tactic], version, { onSuggestedEditApplied });
+                vscode.window.showInformationMessage(`The goal is closed by \`${tactic}\`.`);
+                return;
             }
-            if (!apiKey) {
-                vscode.window.showWarningMessage('OpenAI API key not set. Run "Set OpenAI API Key" command.');
-                return {
-                    sendRequest: async () => ({ text: (async function* () { yield 'OpenAI API key not set.'; })() })
-                };
+            const proposers = await vscode.commands.executeCommand<TacticProposer[]>('outputdirectedtheoremproving.getTacticProposers');
+            if (!proposers || proposers.length === 0) { return; }
+            const result = await vscode.window.withProgress(
+                { location: vscode.ProgressLocation.Notification, title: 'Searching for a proof', cancellable: true },
+                (progress, token) => runProofSearch(clientReady, editor.document, position, proposers, closesFirstGoal, token, (node, nodesExpanded) => {
+                    progress.report({ message: `${nodesExpanded} state(s) explored` });
+                })
+            );
+            if (result.tactics === undefined) {
+                vscode.window.showWarningMessage(describeProofSearchResult(result));
+                return;
             }
-
-            const modelOptions = [
-                { label: 'gpt-4o', description: 'Recommended if you have access' },
-                { label: 'gpt-4o-mini', description: 'Faster/cheaper' },
-                { label: 'gpt-3.5-turbo', description: 'Fallback model' }
-            ];
-            const pickedModel = await vscode.window.showQuickPick(modelOptions, { placeHolder: 'Select OpenAI model to use for chat (project must have access)' });
-            const selectedModel = pickedModel?.label ?? 'gpt-4o';
-            const OpenAI = require('openai');
-            const adapter = {
-                sendRequest: async (messages: any[], opts: any, token?: vscode.CancellationToken) => {
-                    // Convert messages to OpenAI format
-                    const chatMessages = messages.map((m) => {
-                        if (typeof m === 'string') { return { role: 'user', content: m }; }
-                        if (m.role && m.content) { return m; }
-                        return { role: 'user', content: m.text ?? String(m) };
-                    });
-                    try {
-                        const client = new OpenAI({ apiKey });
-                        const stream = await client.chat.completions.create({
-                            model: opts?.model ?? selectedModel,
-                            messages: chatMessages,
-                            max_tokens: opts?.maxTokens ?? 2048, // Increased from 256 to allow longer responses
-                            temperature: opts?.temperature ?? 0.2,
-                            stream: true, 
-                        });
-                        return {
-                            text: (async function* () {
-                                for await (const chunk of stream) {
-                                    if (token && token.isCancellationRequested) break; 
-                                    const content = chunk.choices[0]?.delta?.content; 
-                                    if (content) yield content; 
-                                }
-                            })()
-                        };
-                    } catch (e: any) {
-                        return { text: (async function* () { yield 'OpenAI error: ' + (e && e.message ? e.message : String(e)); })() };
-                    }
-                }
-            };
-            defaultChatAdapter = adapter;
-            return adapter;
+            await insertProofSearchScript(editor, position, result.tactics, version, { onSuggestedEditApplied });
+            vscode.window.showInformationMessage(describeProofSearchResult(result));
+        } catch (e) {
+            vscode.window.showErrorMessage(`Proof search failed: ${e instanceof Error ? e.message : String(e)}`);
         }
-
-        // ...existing code for other services...
-        const service = choice.instance;
-        if (!service) { return null; }
-        const adapter = {
-            sendRequest: async (messages: any[], opts: any, token?: vscode.CancellationToken) => {
-                const content = `Service ${choice.label} is not yet configured. Please set up credentials in settings.`;
-                return {
-                    text: (async function* () { yield content; })()
-                };
+    });
+    context.subscriptions.push(proveGoalCmd);
+
+    // An informal statement (the selected comment, or typed) to a type-checked `Theorem` the user confirms; resolves to what happened.
+    const formaliseStatementCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.formaliseStatement', async (args?: { statement?: string }) => {
+        const editor = [vscode.window.activeTextEditor, ...vscode.window.visibleTextEditors]
+            .find((e) => e !== undefined && isCoqDocumentLanguage(e.document.languageId));
+        if (!editor) {
+            vscode.window.showErrorMessage('Open the Coq document to insert the theorem into.');
+            return 'No Coq document is open.';
+        }
+        if (!coqLspClientReady) {
+            vscode.window.showErrorMessage('Coq LSP is not ready yet.');
+            return 'Coq LSP is not ready yet.';
+        }
+        const selected = editor.selection.isEmpty ? '' : informalStatementFromText(editor.document.getText(editor.selection));
+        const statement = args?.statement?.trim() || selected || (await vscode.window.showInputBox({
+            prompt: 'Statement to formalise as a Coq theorem',
+            placeHolder: 'e.g. the sum of the first n natural numbers is n(n+1)/2',
+            ignoreFocusOut: true,
+        }))?.trim();
+        if (!statement) { return 'No statement to formalise.'; }
+        const adapter = await vscode.commands.executeCommand<ChatAdapter | null>('outputdirectedtheoremproving.getDefaultChatModel', { useCache: true });
+        if (!adapter) { return 'No model selected.'; }
+
+        // Inserted after the selected comment, or after the cursor's line
+        const line = editor.selection.end.line;
+        const clientReady = coqLspClientReady;
+        const onSuggestedEditApplied = (ed: vscode.TextEditor, range: vscode.Range, oldText: string, transactionId: number) => suggestionManager.setSuggestion(ed.document.uri, range, oldText, transactionId);
+        try {
+            const candidates = await vscode.window.withProgress(
+                { location: vscode.ProgressLocation.Notification, title: 'Formalising the statement', cancellable: true },
+                async (_progress, token) => formaliseStatement(await clientReady, adapter, editor.document, editor.document.lineAt(line).range.end, statement, token)
+            );
+            const outcome = await confirmAndInsertTheorem(editor, line, candidates, { onSuggestedEditApplied });
+            if (!candidates.some((candidate) => candidate.error === undefined)) {
+                vscode.window.showWarningMessage(outcome);
             }
-        };
-        defaultChatAdapter = adapter;
-        return adapter;
+            return outcome;
+        } catch (e) {
+            const message = `Formalisation failed: ${e instanceof Error ? e.message : String(e)}`;
+            vscode.window.showErrorMessage(message);
+            return message;
+        }
     });
-    context.subscriptions.push(getModelCmd);
+    context.subscriptions.push(formaliseStatementCmd);
+
+    const explainProofCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.explainProof', async () => {
+        const editor = vscode.window.activeTextEditor;
+        if (!editor || !isCoqDocumentLanguage(editor.document.languageId)) {
+            vscode.window.showErrorMessage('Place the cursor in a theorem or its proof in a Coq document.');
+            return;
+        }
+        if (!coqLspClientReady) {
+            vscode.window.showErrorMessage('Coq LSP is not ready yet.');
+            return;
+        }
+        const panel = ProofStatePanel.createOrShow(context, coqLspClientReady, context.extensionUri);
+        await panel.explainProof(editor, editor.selection.active);
+    });
+    context.subscriptions.push(explainProofCmd);
 
     // Command that always shows the picker (for command palette use)
     const changeModelCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.changeLLMModel', async () => {
@@ -395,6 +369,72 @@ export function activate(context: vscode.ExtensionContext) {
     });
     context.subscriptions.push(changeModelCmd);
 
+    // Record / replay the default model's exchanges, e.g. to reproduce agent sessions offline.
+    const recordCassetteCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.recordCassette', async (args?: { path?: string }) => {
+        if (defaultChatAdapter instanceof RecordingChatAdapter) {
+            vscode.window.showInformationMessage(`Already recording to ${defaultChatAdapter.path}.`);
+            return;
+        }
+        const adapter = await vscode.commands.executeCommand<ChatAdapter | null>('outputdirectedtheoremproving.getDefaultChatModel', { useCache: true });
+        if (!adapter) { return; }
+        const path = args?.path ?? (await vscode.window.showSaveDialog({ filters: { 'Cassettes': ['json'] }, title: 'Record LLM session to' }))?.fsPath;
+        if (!path) { return; }
+        defaultChatAdapter = new RecordingChatAdapter(adapter, path);
+        vscode.window.showInformationMessage(`Recording ${adapter.modelId} exchanges to ${path}.`);
+    });
+    context.subscriptions.push(recordCassetteCmd);
+
+    const stopRecordingCassetteCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.stopRecordingCassette', () => {
+        if (!(defaultChatAdapter instanceof RecordingChatAdapter)) {
+            vscode.window.showInformationMessage('No LLM session is being recorded.');
+            return;
+        }
+        const recording = defaultChatAdapter;
+        defaultChatAdapter = recording.inner;
+        vscode.window.showInformationMessage(`Recorded ${recording.exchangesRecorded} exchange(s) to ${recording.path}.`);
+    });
+    context.subscriptions.push(stopRecordingCassetteCmd);
+
+    const replayCassetteCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.replayCassette', async (args?: { path?: string; matching?: CassetteMatching }) => {
+        const path = args?.path ?? (await vscode.window.showOpenDialog({ filters: { 'Cassettes': ['json'] }, title: 'Replay LLM session from' }))?.[0]?.fsPath;
+        if (!path) { return; }
+        let matching = args?.matching;
+        if (!matching) {
+            const picked = await vscode.window.showQuickPick([
+                { label: 'exact' as const, description: 'Serve the response recorded for an identical request' },
+                { label: 'sequential' as const, description: 'Serve the recorded responses in order, whatever is requested' },
+            ], { placeHolder: 'How should requests be matched to the recorded responses?' });
+            if (!picked) { return; }
+            matching = picked.label;
+        }
+        try {
+            defaultChatAdapter = new ReplayChatAdapter(readCassette(path), matching);
+        } catch (e) {
+            vscode.window.showErrorMessage(`Failed to load cassette: ${e instanceof Error ? e.message : String(e)}`);
+            return;
+        }
+        vscode.window.showInformationMessage(`Replaying ${defaultChatAdapter.modelId} session from ${path}.`);
+    });
+    context.subscriptions.push(replayCassetteCmd);
+
+    const validatePromptTemplatesCmd = vscode.commands.registerCommand('outputdirectedtheoremproving.validatePromptTemplates', () => {
+        const overrides = checkPromptTemplateOverrides();
+        if (overrides.length === 0) {
+            vscode.window.showInformationMessage('No prompt templates are configured; the built-in prompts are used.');
+            return;
+        }
+        const invalid = overrides.filter((override) => override.errors.length > 0);
+        if (invalid.length === 0) {
+            vscode.window.showInformationMessage(`All ${overrides.length} configured prompt template(s) are valid.`);
+            return;
+        }
+        const detail = invalid
+            .map((override) => [`${override.key} (${override.file}):`, ...override.errors.map((error) => `  ${error}`)].join('\n'))
+            .join('\n\n');
+        vscode.window.showErrorMessage(`${invalid.length} of ${overrides.length} prompt template(s) are invalid; the built-in prompts are used instead of them.`, { modal: true, detail });
+    });
+    context.subscriptions.push(validatePromptTemplatesCmd);
+
     const disposable = vscode.commands.registerCommand('outputdirectedtheoremproving.helloWorld', () => {
         vscode.window.showInformationMessage('Hello World from OutputDirectedTheoremProving!');
     });
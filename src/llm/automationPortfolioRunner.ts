@@ -0,0 +1,118 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { AutomationPortfolioReport, DEFAULT_AUTOMATION_PORTFOLIO, formatAutomationReport, runAutomationPortfolio } from '../core/automationPortfolio';
+import { coqProbe, matchProofState, readProofStateMatchStrictness } from '../tools/proofStateMatching';
+import { Uri } from '../utils/uri';
+import { CONFIGURATION_SECTION } from './chatModelSelection';
+import { PredefinedProofsService } from './llmServices/predefinedProofs/predefinedProofsService';
+import { renderPromptTemplate } from './promptTemplates';
+
+/** The `automationPortfolio.*` settings. */
+export interface AutomationPortfolioSettings {
+    enabled: boolean;
+    tactics: string[];
+    tacticTimeoutSeconds: number;
+}
+
+export function readAutomationPortfolioSettings(): AutomationPortfolioSettings {
+    const config = vscode.workspace.getConfiguration(CONFIGURATION_SECTION);
+    return {
+        enabled: config.get<boolean>('automationPortfolio.enabled', true),
+        tactics: config.get<string[]>('automationPortfolio.tactics', DEFAULT_AUTOMATION_PORTFOLIO),
+        tacticTimeoutSeconds: config.get<number>('automationPortfolio.tacticTimeoutSeconds', 2),
+    };
+}
+
+/** The last report, reused while the document, the cursor and the portfolio stay the same (e.g. over several chat messages). */
+let lastReport: { key: string; report: AutomationPortfolioReport } | undefined = undefined;
+
+/**
+ * Runs the configured portfolio of decision procedures on the goals at `position`, before a request to a model.
+ * Returns `undefined` if the portfolio is disabled or cannot be run (e.g. the cursor is not in a proof);
+ * the failure is logged rather than shown, since the request goes on without the report.
+ */
+export async function runAutomationPortfolioAt(
+    clientReady: Promise<CoqLspClient>,
+    service: PredefinedProofsService,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'>,
+    position: vscode.Position
+): Promise<AutomationPortfolioReport | undefined> {
+    const settings = readAutomationPortfolioSettings();
+    if (!settings.enabled) {
+        return undefined;
+    }
+    const key = JSON.stringify([document.uri.toString(), document.version, position.line, position.character, settings]);
+    if (lastReport?.key === key) {
+        return lastReport.report;
+    }
+    try {
+        const report = await runAutomationPortfolio(
+            await clientReady,
+            { uri: Uri.fromVscodeUri(document.uri), version: document.version, content: document.getText() },
+            { line: position.line, character: position.character },
+            settings.tactics,
+            service,
+            settings.tacticTimeoutSeconds
+        );
+        lastReport = { key, report };
+        return report;
+    } catch (e) {
+        console.warn('Automation portfolio failed:', e);
+        return undefined;
+    }
+}
+
+/** The tactic of the portfolio that closes goal `goalIndex` (1-based), if any. */
+export function closingTactic(report: AutomationPortfolioReport | undefined, goalIndex: number = 1): string | undefined {
+    const result = report?.results.find((result) => result.goalIndex === goalIndex);
+    return result?.attempts.find((attempt) => attempt.outcome === 'closes')?.tactic;
+}
+
+/**
+ * A tactic of the portfolio that brings the goals at `position` to the desired state (see `matchProofState`),
+ * with its goal selector if it is run on another goal than the first one.
+ */
+export async function tacticReachingDesiredState(
+    clientReady: Promise<CoqLspClient>,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'>,
+    position: vscode.Position,
+    report: AutomationPortfolioReport | undefined,
+    desiredValue: string
+): Promise<string | undefined> {
+    const client = await clientReady;
+    const uri = Uri.fromVscodeUri(document.uri);
+    const documentSpec = { uri, version: document.version, content: document.getText() };
+    const strictness = readProofStateMatchStrictness();
+    for (const result of report?.results ?? []) {
+        for (const { tactic, goalsAfter } of result.attempts) {
+            if (goalsAfter === undefined) {
+                continue;
+            }
+            const selected = result.goalIndex === 1 ? tactic : `${result.goalIndex}: ${tactic}`;
+            const match = await client.withTextDocument(documentSpec, () =>
+                matchProofState(goalsAfter, desiredValue, strictness, coqProbe(client, position, uri, document.version, selected))
+            );
+            if (match.matches) {
+                return selected;
+            }
+        }
+    }
+    return undefined;
+}
+
+/** The report as a markdown quote for the chat, or an empty string if there is nothing to report. */
+export function describeAutomationReport(report: AutomationPortfolioReport | undefined): string {
+    if (!report || report.results.length === 0) {
+        return '';
+    }
+    const lines = formatAutomationReport(report).split('\n').map((line) => `> ${line}`);
+    return `_Decision procedures at the cursor:_\n${lines.join('\n')}\n\n`;
+}
+
+/** Adds the report to a chat request, so that the model builds on it rather than rediscovering it. */
+export function withAutomationReport(prompt: string, report: AutomationPortfolioReport | undefined, modelId?: string): string {
+    if (!report || report.results.length === 0) {
+        return prompt;
+    }
+    return renderPromptTemplate('automationHint', { prompt, report: formatAutomationReport(report) }, modelId);
+}
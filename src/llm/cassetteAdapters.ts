@@ -0,0 +1,194 @@
+import * as vscode from 'vscode';
+import { readFileSync, writeFileSync } from 'fs';
+import { toFormattedJsonString } from '../utils/printers';
+import { ChatAdapter, ChatAdapterResponse, ChatContextUsage, ChatRequestOptions, toChatHistory } from './chatAdapters';
+import { ChatHistory, ChatToolCall } from './llmServices/commonStructures/chat';
+
+export const CASSETTE_FORMAT_VERSION = 1;
+
+/** One `sendRequest` call and the response streamed back for it. */
+export interface CassetteExchange {
+    messages: ChatHistory;
+    options: ChatRequestOptions;
+    /** The model that answered, if the recorded adapter reported it (e.g. after a failover). */
+    modelId?: string;
+    contextUsage?: ChatContextUsage;
+    chunks: string[];
+    toolCalls?: ChatToolCall[];
+    /** Message of the error the response failed with after `chunks`, if any. */
+    error?: string;
+}
+
+/** A recorded chat session: the model's responses to every request, in order. */
+export interface Cassette {
+    version: number;
+    modelId: string;
+    supportsToolCalling?: boolean;
+    exchanges: CassetteExchange[];
+}
+
+/**
+ * How `ReplayChatAdapter` picks the response:
+ * - `exact`: the first unused exchange recorded for an identical request (messages and options);
+ * - `sequential`: the next unused exchange, whatever was requested. Useful when requests contain
+ *   details that differ between runs, e.g. timestamps in tool results.
+ */
+export type CassetteMatching = 'exact' | 'sequential';
+
+export function readCassette(path: string): Cassette {
+    const cassette = JSON.parse(readFileSync(path, 'utf-8'));
+    if (cassette?.version !== CASSETTE_FORMAT_VERSION || !Array.isArray(cassette.exchanges)) {
+        throw new Error(`${path} is not a cassette of format version ${CASSETTE_FORMAT_VERSION}`);
+    }
+    return cassette;
+}
+
+function requestKey(messages: any[], options: ChatRequestOptions): string {
+    return JSON.stringify({
+        messages: toChatHistory(messages),
+        options: { maxTokens: options.maxTokens, temperature: options.temperature, tools: options.tools },
+    });
+}
+
+/**
+ * Passes requests to `inner` and records every exchange to the cassette at `path`.
+ * The cassette is rewritten as each exchange progresses, so a session that crashes midway is kept up to that point.
+ * An exchange takes its place in the cassette when its request is sent, so exchanges are kept in the order of
+ * the requests even when responses overlap (and `sequential` replay serves them right); its response is filled
+ * in as it streams.
+ */
+export class RecordingChatAdapter implements ChatAdapter {
+    private readonly cassette: Cassette;
+
+    constructor(
+        readonly inner: ChatAdapter,
+        readonly path: string
+    ) {
+        this.cassette = {
+            version: CASSETTE_FORMAT_VERSION,
+            modelId: inner.modelId,
+            supportsToolCalling: inner.supportsToolCalling,
+            exchanges: [],
+        };
+        this.save();
+    }
+
+    get modelId(): string {
+        return this.inner.modelId;
+    }
+
+    get supportsToolCalling(): boolean | undefined {
+        return this.inner.supportsToolCalling;
+    }
+
+    get exchangesRecorded(): number {
+        return this.cassette.exchanges.length;
+    }
+
+    async sendRequest(messages: any[], options: ChatRequestOptions = {}, token?: vscode.CancellationToken): Promise<ChatAdapterResponse> {
+        const exchange: CassetteExchange = { messages: toChatHistory(messages), options: { ...options }, chunks: [] };
+        this.cassette.exchanges.push(exchange);
+        this.save();
+        let response: ChatAdapterResponse;
+        try {
+            response = await this.inner.sendRequest(messages, options, token);
+        } catch (e) {
+            exchange.error = e instanceof Error ? e.message : String(e);
+            this.save();
+            throw e;
+        }
+        exchange.modelId = response.modelId;
+        exchange.contextUsage = response.contextUsage;
+        this.save();
+        response.toolCalls?.then((toolCalls) => {
+            if (toolCalls.length > 0) {
+                exchange.toolCalls = toolCalls;
+                this.save();
+            }
+        }, () => undefined);
+        return { ...response, text: this.recordChunks(response.text, exchange) };
+    }
+
+    private async *recordChunks(text: AsyncIterable<string>, exchange: CassetteExchange): AsyncGenerator<string> {
+        try {
+            for await (const chunk of text) {
+                exchange.chunks.push(chunk);
+                yield chunk;
+            }
+        } catch (e) {
+            exchange.error = e instanceof Error ? e.message : String(e);
+            throw e;
+        } finally {
+            this.save();
+        }
+    }
+
+    private save() {
+        writeFileSync(this.path, toFormattedJsonString(this.cassette));
+    }
+}
+
+/**
+ * Serves the responses recorded in a cassette instead of calling a model,
+ * so that a session can be reproduced deterministically and offline.
+ * Every recorded exchange is served at most once; a request without a response to serve fails.
+ */
+export class ReplayChatAdapter implements ChatAdapter {
+    private readonly used: boolean[];
+
+    constructor(
+        readonly cassette: Cassette,
+        readonly matching: CassetteMatching = 'exact'
+    ) {
+        this.used = cassette.exchanges.map(() => false);
+    }
+
+    get modelId(): string {
+        return this.cassette.modelId;
+    }
+
+    get supportsToolCalling(): boolean | undefined {
+        return this.cassette.supportsToolCalling;
+    }
+
+    get exchangesLeft(): number {
+        return this.used.filter((used) => !used).length;
+    }
+
+    async sendRequest(messages: any[], options: ChatRequestOptions = {}, token?: vscode.CancellationToken): Promise<ChatAdapterResponse> {
+        const index = this.findExchange(messages, options);
+        if (index === -1) {
+            throw new Error(this.matching === 'exact'
+                ? 'The cassette has no recorded response for this request.'
+                : 'All responses recorded in the cassette have been replayed.');
+        }
+        this.used[index] = true;
+        const exchange = this.cassette.exchanges[index];
+        return {
+            text: (async function* () {
+                for (const chunk of exchange.chunks) {
+                    if (token?.isCancellationRequested) {
+                        return;
+                    }
+                    yield chunk;
+                }
+                if (exchange.error !== undefined) {
+                    throw new Error(exchange.error);
+                }
+            })(),
+            toolCalls: Promise.resolve(exchange.toolCalls ?? []),
+            modelId: exchange.modelId,
+            contextUsage: exchange.contextUsage,
+        };
+    }
+
+    private findExchange(messages: any[], options: ChatRequestOptions): number {
+        if (this.matching === 'sequential') {
+            return this.used.indexOf(false);
+        }
+        const key = requestKey(messages, options);
+        return this.cassette.exchanges.findIndex((exchange, index) =>
+            !this.used[index] && requestKey(exchange.messages, exchange.options) === key
+        );
+    }
+}
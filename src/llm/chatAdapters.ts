@@ -0,0 +1,224 @@
+import * as vscode from 'vscode';
+import { ChatHistory, ChatRole, ChatToolCall, ChatToolDeclaration } from './llmServices/commonStructures/chat';
+import { LLMService } from './llmServices/llmService';
+import { ModelParams, PredefinedProofsModelParams } from './llmServices/modelParams';
+import { PredefinedProofsService } from './llmServices/predefinedProofs/predefinedProofsService';
+import { buildConversationChat } from './llmServices/utils/chatFactory';
+import { estimateTimeToBecomeAvailableDefault } from './llmServices/utils/defaultAvailabilityEstimator';
+import { Time } from '../utils/time';
+
+/** Per-request overrides accepted by `ChatAdapter.sendRequest`. */
+export interface ChatRequestOptions {
+    maxTokens?: number;
+    temperature?: number;
+    /** Tools to declare natively; ignored unless the adapter `supportsToolCalling`. */
+    tools?: ChatToolDeclaration[];
+}
+
+export interface ChatAdapterResponse {
+    text: AsyncIterable<string>;
+    /** Tool calls requested by the model; resolves once `text` is fully generated. */
+    toolCalls?: Promise<ChatToolCall[]>;
+    /** The model that produced the response, if the adapter chooses between several. */
+    modelId?: string;
+    /** Models that were tried for the request before `modelId`, and why they did not answer. */
+    skipped?: SkippedChatModel[];
+    /** How much of the model's context the request took, after the conversation was fitted into it. */
+    contextUsage?: ChatContextUsage;
+}
+
+export interface SkippedChatModel {
+    modelId: string;
+    reason: string;
+}
+
+export interface ChatContextUsage {
+    /** Estimated tokens of the messages sent, including the declared tools. */
+    promptTokens: number;
+    /** Tokens the model accepts in total, `maxTokensToGenerate` included. */
+    tokensLimit: number;
+}
+
+/**
+ * The model interface used by the chat participant, the panel chat and the agents.
+ * Messages are `ChatMessage`-like `{ role, content }` objects (plain strings are treated as user messages).
+ */
+export interface ChatAdapter {
+    /** Identifies the configured model, e.g. in the panel. */
+    readonly modelId: string;
+    /** Whether `ChatRequestOptions.tools` are passed to the model and `ChatAdapterResponse.toolCalls` are reported. */
+    readonly supportsToolCalling?: boolean;
+    /** Expected time until the model is able to answer again, judging by its recent failures. */
+    estimateTimeToBecomeAvailable?(): Time;
+    sendRequest(messages: any[], options?: ChatRequestOptions, token?: vscode.CancellationToken): Promise<ChatAdapterResponse>;
+}
+
+/** Sends `prompt` as a single user message and resolves to the whole reply. */
+export async function requestCompletion(model: ChatAdapter, prompt: string, options?: ChatRequestOptions, token?: vscode.CancellationToken): Promise<string> {
+    const response = await model.sendRequest([{ role: 'user', content: prompt }], options, token);
+    let text = '';
+    for await (const chunk of response.text) {
+        text += chunk;
+    }
+    return text;
+}
+
+/** Converts adapter messages of any supported shape into a `ChatHistory`. */
+export function toChatHistory(messages: any[]): ChatHistory {
+    return messages.map((m) => {
+        if (typeof m === 'string') {
+            return { role: 'user', content: m };
+        }
+        const role: ChatRole = m?.role === 'system' || m?.role === 'assistant' || m?.role === 'tool' ? m.role : 'user';
+        if (typeof m?.content === 'string') {
+            return { role, content: m.content, toolCalls: m.toolCalls, toolCallId: m.toolCallId, toolName: m.toolName };
+        }
+        if (typeof m?.asString === 'function') {
+            return { role, content: m.asString() };
+        }
+        return { role, content: m?.text ?? String(m) };
+    });
+}
+
+/**
+ * Turns pushed chunks into an async iterable, so that a callback-based generation
+ * can be consumed with `for await`.
+ */
+class ChunksQueue {
+    private readonly chunks: string[] = [];
+    private finished = false;
+    private error: unknown = undefined;
+    private wakeUp: (() => void) | undefined;
+
+    push(chunk: string) {
+        this.chunks.push(chunk);
+        this.notify();
+    }
+
+    close() {
+        this.finished = true;
+        this.notify();
+    }
+
+    fail(error: unknown) {
+        this.error = error;
+        this.close();
+    }
+
+    async *iterate(token?: vscode.CancellationToken): AsyncGenerator<string> {
+        for (;;) {
+            if (token?.isCancellationRequested) {
+                return;
+            }
+            const chunk = this.chunks.shift();
+            if (chunk !== undefined) {
+                yield chunk;
+                continue;
+            }
+            if (this.finished) {
+                if (this.error !== undefined) {
+                    throw this.error;
+                }
+                return;
+            }
+            await new Promise<void>((resolve) => { this.wakeUp = resolve; });
+        }
+    }
+
+    private notify() {
+        const wakeUp = this.wakeUp;
+        this.wakeUp = undefined;
+        wakeUp?.();
+    }
+}
+
+/**
+ * `ChatAdapter` backed by an `LLMServiceImpl` and its resolved model parameters.
+ * Responses are streamed via `LLMServiceImpl.streamFromChat`, so every request is
+ * logged by the service and accounted for in its availability estimates.
+ */
+export class LLMServiceChatAdapter<ResolvedModelParams extends ModelParams> implements ChatAdapter {
+    constructor(
+        readonly service: LLMService<any, ResolvedModelParams>,
+        readonly params: ResolvedModelParams
+    ) {}
+
+    get modelId(): string {
+        return this.params.modelId;
+    }
+
+    get supportsToolCalling(): boolean {
+        return this.service.supportsToolCalling(this.params);
+    }
+
+    /**
+     * Judged by this model's failures in the service's generation logs, wherever they were requested from
+     * (the chat, the proof search, the race). The models of a service share its logs, but one model's failure,
+     * e.g. an unknown model name or a too long context, says nothing about the others.
+     */
+    estimateTimeToBecomeAvailable(): Time {
+        const records = this.service.readGenerationsLogs().filter((record) => record.modelId === this.modelId);
+        const lastSuccess = records.map((record) => record.responseStatus).lastIndexOf('SUCCESS');
+        return estimateTimeToBecomeAvailableDefault(records.slice(lastSuccess + 1));
+    }
+
+    async sendRequest(messages: any[], options: ChatRequestOptions = {}, token?: vscode.CancellationToken): Promise<ChatAdapterResponse> {
+        const params = this.withRequestOptions(options);
+        const tools = this.supportsToolCalling ? options.tools : undefined;
+        const analyzedChat = buildConversationChat(toChatHistory(messages), params, tools);
+
+        const chunks = new ChunksQueue();
+        const abortController = new AbortController();
+        const cancellation = token?.onCancellationRequested(() => abortController.abort());
+        const generation = this.service.streamFromChat(analyzedChat, params, (chunk) => chunks.push(chunk), abortController.signal);
+        generation
+            .then(
+                () => chunks.close(),
+                (e) => (abortController.signal.aborted ? chunks.close() : chunks.fail(e))
+            )
+            .finally(() => cancellation?.dispose());
+        // Failures are reported through `text`, so here they just mean no calls.
+        const toolCalls = generation.then((message) => message?.toolCalls ?? [], () => []);
+        const contextUsage = { promptTokens: analyzedChat.estimatedTokens.messagesTokens, tokensLimit: params.tokensLimit };
+        return { text: chunks.iterate(token), toolCalls, contextUsage };
+    }
+
+    /** Request options may only lower the configured generation budget. */
+    private withRequestOptions(options: ChatRequestOptions): ResolvedModelParams {
+        const params = { ...this.params };
+        if (options.maxTokens !== undefined) {
+            params.maxTokensToGenerate = Math.min(options.maxTokens, params.maxTokensToGenerate);
+        }
+        if (options.temperature !== undefined && 'temperature' in params) {
+            (params as any).temperature = options.temperature;
+        }
+        return params;
+    }
+}
+
+/**
+ * `PredefinedProofsService` cannot chat, so this adapter offers its configured tactics
+ * as proofs for the last user message instead.
+ */
+export class PredefinedProofsChatAdapter implements ChatAdapter {
+    constructor(
+        readonly service: PredefinedProofsService,
+        readonly params: PredefinedProofsModelParams
+    ) {}
+
+    get modelId(): string {
+        return this.params.modelId;
+    }
+
+    estimateTimeToBecomeAvailable(): Time {
+        return this.service.estimateTimeToBecomeAvailable();
+    }
+
+    async sendRequest(messages: any[]): Promise<ChatAdapterResponse> {
+        const userMessages = toChatHistory(messages).filter((m) => m.role === 'user');
+        const completionTarget = userMessages[userMessages.length - 1]?.content ?? '';
+        const proofs = await this.service.generateProof({ completionTarget, contextTheorems: [] }, this.params);
+        const content = ['Suggested tactics (offline, not checked):', ...proofs.map((proof) => `- \`${proof.proof}\``)].join('\n');
+        return { text: (async function* () { yield content; })() };
+    }
+}
@@ -0,0 +1,276 @@
+import * as vscode from 'vscode';
+import { Schema } from 'ajv';
+import { AjvMode, buildAjv, failedAjvValidatorErrorsAsString } from '../utils/ajvErrorsHandling';
+import { ChatAdapter, LLMServiceChatAdapter, PredefinedProofsChatAdapter } from './chatAdapters';
+import { FailoverChatAdapter } from './failoverChatAdapter';
+import { LLMServices } from './llmServices';
+import { DeepSeekService } from './llmServices/deepSeek/deepSeekService';
+import { GeminiService } from './llmServices/gemini/geminiService';
+import { GrazieService } from './llmServices/grazie/grazieService';
+import { LLMService } from './llmServices/llmService';
+import { LMStudioService } from './llmServices/lmStudio/lmStudioService';
+import { ModelParams, PredefinedProofsModelParams } from './llmServices/modelParams';
+import { OpenAiService } from './llmServices/openai/openAiService';
+import { PredefinedProofsService } from './llmServices/predefinedProofs/predefinedProofsService';
+import { resolveParametersOrThrow } from './llmServices/utils/resolveOrThrow';
+import { ConfigurationError } from './llmServiceErrors';
+import {
+    UserModelParams,
+    deepSeekUserModelParamsSchema,
+    geminiUserModelParamsSchema,
+    grazieUserModelParamsSchema,
+    lmStudioUserModelParamsSchema,
+    openAiUserModelParamsSchema,
+    predefinedProofsUserModelParamsSchema,
+} from './userModelParams';
+
+export const CONFIGURATION_SECTION = 'outputdirectedtheoremproving';
+export const OPENAI_SECRET_KEY = 'outputdirectedtheoremproving.openaiApiKey';
+export const GEMINI_PROJECT_ID_KEY = 'outputdirectedtheoremproving.geminiProjectId';
+const DEEPSEEK_SECRET_KEY = 'outputdirectedtheoremproving.deepSeekApiKey';
+const GRAZIE_SECRET_KEY = 'outputdirectedtheoremproving.grazieApiKey';
+
+/** A model parameter that is kept in the secret storage rather than in the settings. */
+interface SecretModelParam {
+    property: string;
+    secretKey: string;
+    prompt: string;
+}
+
+/** A chat-capable LLM service as offered in the model picker. */
+export interface ChatServiceDescriptor {
+    label: string;
+    description: string;
+    /** Setting (under `CONFIGURATION_SECTION`) with the list of the service's user model params. */
+    settingsKey: string;
+    schema: Schema;
+    secret?: SecretModelParam;
+    service: (services: LLMServices) => LLMService<any, any>;
+}
+
+export const CHAT_SERVICES: ChatServiceDescriptor[] = [
+    {
+        label: 'PredefinedProofs',
+        description: 'Offline fallback using simple tactics',
+        settingsKey: 'predefinedProofsModelsParameters',
+        schema: predefinedProofsUserModelParamsSchema,
+        service: (services) => services.predefinedProofsService,
+    },
+    {
+        label: 'OpenAI',
+        description: 'OpenAI GPT models (requires API key)',
+        settingsKey: 'openAiModelsParameters',
+        schema: openAiUserModelParamsSchema,
+        secret: { property: 'apiKey', secretKey: OPENAI_SECRET_KEY, prompt: 'Enter your OpenAI API key' },
+        service: (services) => services.openAiService,
+    },
+    {
+        label: 'Gemini (Vertex AI)',
+        description: 'Google Gemini models via Vertex AI (requires GCP project)',
+        settingsKey: 'geminiModelsParameters',
+        schema: geminiUserModelParamsSchema,
+        secret: { property: 'projectId', secretKey: GEMINI_PROJECT_ID_KEY, prompt: 'Enter your Google Cloud Project ID' },
+        service: (services) => services.geminiService,
+    },
+    {
+        label: 'LMStudio',
+        description: 'Local LMStudio server',
+        settingsKey: 'lmStudioModelsParameters',
+        schema: lmStudioUserModelParamsSchema,
+        service: (services) => services.lmStudioService,
+    },
+    {
+        label: 'Grazie',
+        description: 'JetBrains Grazie AI',
+        settingsKey: 'grazieModelsParameters',
+        schema: grazieUserModelParamsSchema,
+        secret: { property: 'apiKey', secretKey: GRAZIE_SECRET_KEY, prompt: 'Enter your Grazie API token' },
+        service: (services) => services.grazieService,
+    },
+    {
+        label: 'DeepSeek',
+        description: 'DeepSeek AI',
+        settingsKey: 'deepSeekModelsParameters',
+        schema: deepSeekUserModelParamsSchema,
+        secret: { property: 'apiKey', secretKey: DEEPSEEK_SECRET_KEY, prompt: 'Enter your DeepSeek API key' },
+        service: (services) => services.deepSeekService,
+    },
+];
+
+export function createChatLLMServices(): LLMServices {
+    return {
+        predefinedProofsService: new PredefinedProofsService(),
+        openAiService: new OpenAiService(),
+        grazieService: new GrazieService(),
+        lmStudioService: new LMStudioService(),
+        deepSeekService: new DeepSeekService(),
+        geminiService: new GeminiService(),
+    };
+}
+
+/** Reads the user model params configured for the service in the settings. */
+export function readConfiguredModels(descriptor: ChatServiceDescriptor): UserModelParams[] {
+    return vscode.workspace.getConfiguration(CONFIGURATION_SECTION).get<UserModelParams[]>(descriptor.settingsKey, []);
+}
+
+/**
+ * Builds a chat adapter for one of the service's configured models: asks which model to use
+ * if several are configured, fills in the secret parameter (asking for it once),
+ * then validates and resolves the params. Problems are reported to the user.
+ */
+export async function selectChatAdapter(
+    descriptor: ChatServiceDescriptor,
+    services: LLMServices,
+    secrets: vscode.SecretStorage
+): Promise<ChatAdapter | undefined> {
+    const configuredModels = readConfiguredModels(descriptor);
+    if (configuredModels.length === 0) {
+        vscode.window.showErrorMessage(`No ${descriptor.label} models are configured. Add them to the "${CONFIGURATION_SECTION}.${descriptor.settingsKey}" setting.`);
+        return undefined;
+    }
+    let userParams = configuredModels[0];
+    if (configuredModels.length > 1) {
+        const picked = await vscode.window.showQuickPick(
+            configuredModels.map((params) => ({ label: params.modelId, description: (params as any).modelName, params })),
+            { placeHolder: `Select ${descriptor.label} model to use` }
+        );
+        if (!picked) { return undefined; }
+        userParams = picked.params;
+    }
+    return buildChatAdapter(descriptor, userParams, services, secrets, true);
+}
+
+/**
+ * Validates and resolves `userParams` for the service, filling in its secret parameter.
+ * The secret is asked for only if `interactive`; otherwise a missing secret fails the build.
+ */
+export async function buildChatAdapter(
+    descriptor: ChatServiceDescriptor,
+    userParams: UserModelParams,
+    services: LLMServices,
+    secrets: vscode.SecretStorage,
+    interactive: boolean
+): Promise<ChatAdapter | undefined> {
+    const params: any = { ...userParams };
+    const secret = descriptor.secret;
+    if (secret && !params[secret.property]) {
+        let value = await secrets.get(secret.secretKey);
+        if (!value && interactive) {
+            value = await vscode.window.showInputBox({ prompt: secret.prompt, password: secret.property === 'apiKey', ignoreFocusOut: true });
+            if (value) { await secrets.store(secret.secretKey, value); }
+        }
+        if (!value) {
+            if (interactive) {
+                vscode.window.showWarningMessage(`${descriptor.label}: \`${secret.property}\` is not set.`);
+            }
+            return undefined;
+        }
+        params[secret.property] = value;
+    }
+
+    const validate = buildAjv(AjvMode.COLLECT_ALL_ERRORS).compile(descriptor.schema);
+    if (!validate(params)) {
+        showConfigurationError(descriptor, userParams, failedAjvValidatorErrorsAsString(validate), interactive);
+        return undefined;
+    }
+
+    const service = descriptor.service(services);
+    let resolvedParams: ModelParams;
+    try {
+        resolvedParams = resolveParametersOrThrow(service, params);
+    } catch (e) {
+        if (!(e instanceof ConfigurationError)) { throw e; }
+        showConfigurationError(descriptor, userParams, e.message, interactive);
+        return undefined;
+    }
+
+    if (service instanceof PredefinedProofsService) {
+        return new PredefinedProofsChatAdapter(service, resolvedParams as PredefinedProofsModelParams);
+    }
+    return new LLMServiceChatAdapter(service, resolvedParams);
+}
+
+/**
+ * Adds the models listed in the `fallbackModels` setting (by `modelId`, in order) as fallbacks of `primary`.
+ * Fallbacks are built non-interactively: the ones that are not configured or lack their secret are left out.
+ */
+export async function withFallbackModels(
+    primary: ChatAdapter,
+    services: LLMServices,
+    secrets: vscode.SecretStorage
+): Promise<ChatAdapter> {
+    const fallbacks = await buildListedChatAdapters('fallbackModels', primary, services, secrets);
+    return fallbacks.length === 0 ? primary : new FailoverChatAdapter([primary, ...fallbacks]);
+}
+
+/**
+ * Returns `primary` followed by the models listed in the `proverRaceModels` setting, to run the prover on at once
+ * (see `raceProverAgents`). Like fallbacks, they are built non-interactively and left out if they cannot be built.
+ */
+export async function withProverRaceModels(
+    primary: ChatAdapter,
+    services: LLMServices,
+    secrets: vscode.SecretStorage
+): Promise<ChatAdapter[]> {
+    return [primary, ...(await buildListedChatAdapters('proverRaceModels', primary, services, secrets))];
+}
+
+/** Builds the first configured PredefinedProofs model, whose tactics proof search tries alongside the chat model's. */
+export async function buildPredefinedProofsAdapter(
+    services: LLMServices,
+    secrets: vscode.SecretStorage
+): Promise<PredefinedProofsChatAdapter | undefined> {
+    const descriptor = CHAT_SERVICES.find((descriptor) => descriptor.settingsKey === 'predefinedProofsModelsParameters')!;
+    const userParams = readConfiguredModels(descriptor)[0];
+    if (!userParams) {
+        return undefined;
+    }
+    const adapter = await buildChatAdapter(descriptor, userParams, services, secrets, false);
+    return adapter instanceof PredefinedProofsChatAdapter ? adapter : undefined;
+}
+
+/** Builds the models listed (by `modelId`) in the setting `settingsKey`, except `primary` and duplicates. */
+async function buildListedChatAdapters(
+    settingsKey: string,
+    primary: ChatAdapter,
+    services: LLMServices,
+    secrets: vscode.SecretStorage
+): Promise<ChatAdapter[]> {
+    const modelIds = vscode.workspace.getConfiguration(CONFIGURATION_SECTION).get<string[]>(settingsKey, []);
+    const adapters: ChatAdapter[] = [];
+    for (const modelId of modelIds) {
+        if (modelId === primary.modelId || adapters.some((adapter) => adapter.modelId === modelId)) {
+            continue;
+        }
+        const adapter = await buildConfiguredChatAdapter(modelId, services, secrets);
+        if (adapter) {
+            adapters.push(adapter);
+        } else {
+            console.warn(`Model "${modelId}" of the "${settingsKey}" setting is skipped: it is not configured or cannot be built.`);
+        }
+    }
+    return adapters;
+}
+
+async function buildConfiguredChatAdapter(
+    modelId: string,
+    services: LLMServices,
+    secrets: vscode.SecretStorage
+): Promise<ChatAdapter | undefined> {
+    for (const descriptor of CHAT_SERVICES) {
+        const userParams = readConfiguredModels(descriptor).find((params) => params.modelId === modelId);
+        if (userParams) {
+            return buildChatAdapter(descriptor, userParams, services, secrets, false);
+        }
+    }
+    return undefined;
+}
+
+function showConfigurationError(descriptor: ChatServiceDescriptor, userParams: UserModelParams, message: string, interactive: boolean) {
+    const text = `${descriptor.label} model "${userParams.modelId}" is misconfigured: ${message}`;
+    if (interactive) {
+        vscode.window.showErrorMessage(text);
+    } else {
+        console.warn(text);
+    }
+}
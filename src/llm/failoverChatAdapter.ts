@@ -0,0 +1,96 @@
+import * as vscode from 'vscode';
+import { Time, timeToMillis, timeToString, timeZero } from '../utils/time';
+import { ChatAdapter, ChatAdapterResponse, ChatRequestOptions, SkippedChatModel } from './chatAdapters';
+
+/**
+ * Sends each request to the first of `candidates` that is able to answer it, in order.
+ * A candidate is skipped if its model is estimated to be unavailable (see `ChatAdapter.estimateTimeToBecomeAvailable`)
+ * or if it fails before streaming anything; estimated-unavailable candidates are only tried as a last resort.
+ * Once a candidate has started to respond, its later failures are not recovered from.
+ *
+ * The response reports the model that handled it in `modelId` and the ones passed over in `skipped`.
+ */
+export class FailoverChatAdapter implements ChatAdapter {
+    constructor(readonly candidates: ChatAdapter[]) {
+        if (candidates.length === 0) {
+            throw new Error('failover requires at least one model');
+        }
+    }
+
+    get modelId(): string {
+        return this.candidates[0].modelId;
+    }
+
+    /** Tools are declared natively only if every candidate can take them, so that the agent prompt fits any of them. */
+    get supportsToolCalling(): boolean {
+        return this.candidates.every((candidate) => candidate.supportsToolCalling === true);
+    }
+
+    estimateTimeToBecomeAvailable(): Time {
+        return this.candidates
+            .map(estimateTimeToBecomeAvailable)
+            .reduce((min, time) => (timeToMillis(time) < timeToMillis(min) ? time : min));
+    }
+
+    async sendRequest(messages: any[], options: ChatRequestOptions = {}, token?: vscode.CancellationToken): Promise<ChatAdapterResponse> {
+        const skipped: SkippedChatModel[] = [];
+        let lastError: unknown = undefined;
+        for (const { candidate, unavailableFor } of this.orderedCandidates()) {
+            if (token?.isCancellationRequested) {
+                break;
+            }
+            try {
+                const response = await candidate.sendRequest(messages, options, token);
+                const chunks = response.text[Symbol.asyncIterator]();
+                // Failures are reported through the stream, so the candidate has answered once its first chunk arrives.
+                const first = await chunks.next();
+                return {
+                    ...response,
+                    text: resumeChunks(first, chunks),
+                    modelId: response.modelId ?? candidate.modelId,
+                    skipped: [...skipped, ...(response.skipped ?? [])],
+                };
+            } catch (e) {
+                if (token?.isCancellationRequested) {
+                    throw e;
+                }
+                lastError = e;
+                const message = e instanceof Error ? e.message : String(e);
+                skipped.push({
+                    modelId: candidate.modelId,
+                    reason: unavailableFor === undefined ? message : `${message} (estimated to be unavailable for ${timeToString(unavailableFor)})`,
+                });
+            }
+        }
+        if (lastError === undefined) {
+            throw new Error('The request was cancelled before any model answered it.');
+        }
+        const reasons = skipped.map((model) => `${model.modelId}: ${model.reason}`).join('; ');
+        throw new Error(`All models failed: ${reasons}`);
+    }
+
+    /** Available candidates in the configured order, then the estimated-unavailable ones, soonest first. */
+    private orderedCandidates(): { candidate: ChatAdapter; unavailableFor?: Time }[] {
+        const estimated = this.candidates.map((candidate) => ({ candidate, time: estimateTimeToBecomeAvailable(candidate) }));
+        const available = estimated.filter(({ time }) => timeToMillis(time) === 0);
+        const unavailable = estimated
+            .filter(({ time }) => timeToMillis(time) > 0)
+            .sort((a, b) => timeToMillis(a.time) - timeToMillis(b.time));
+        return [
+            ...available.map(({ candidate }) => ({ candidate })),
+            ...unavailable.map(({ candidate, time }) => ({ candidate, unavailableFor: time })),
+        ];
+    }
+}
+
+function estimateTimeToBecomeAvailable(adapter: ChatAdapter): Time {
+    return adapter.estimateTimeToBecomeAvailable?.() ?? timeZero;
+}
+
+async function* resumeChunks(first: IteratorResult<string>, chunks: AsyncIterator<string>): AsyncGenerator<string> {
+    let next = first;
+    while (!next.done) {
+        yield next.value;
+        next = await chunks.next();
+    }
+}
@@ -1,6 +1,7 @@
 import { illegalState } from "../utils/throwErrors";
 
 import { DeepSeekService } from "./llmServices/deepSeek/deepSeekService";
+import { GeminiService } from "./llmServices/gemini/geminiService";
 import { GrazieService } from "./llmServices/grazie/grazieService";
 import { LLMService } from "./llmServices/llmService";
 import { LMStudioService } from "./llmServices/lmStudio/lmStudioService";
@@ -15,6 +16,7 @@ export interface LLMServices {
     grazieService: GrazieService;
     lmStudioService: LMStudioService;
     deepSeekService: DeepSeekService;
+    geminiService: GeminiService;
 }
 
 export function disposeServices(llmServices: LLMServices) {
@@ -30,6 +32,7 @@ export function asLLMServices(
         llmServices.grazieService,
         llmServices.lmStudioService,
         llmServices.deepSeekService,
+        llmServices.geminiService,
     ];
 }
 
@@ -39,7 +42,8 @@ export function switchByLLMServiceType<T>(
     onOpenAiService: () => T,
     onGrazieService: () => T,
     onLMStudioService: () => T,
-    onDeepSeekService: () => T
+    onDeepSeekService: () => T,
+    onGeminiService: () => T
 ): T {
     if (llmService instanceof PredefinedProofsService) {
         return onPredefinedProofsService();
@@ -51,6 +55,8 @@ export function switchByLLMServiceType<T>(
         return onLMStudioService();
     } else if (llmService instanceof DeepSeekService) {
         return onDeepSeekService();
+    } else if (llmService instanceof GeminiService) {
+        return onGeminiService();
     } else {
         illegalState(
             `switch by unknown \`LLMService\`: "${llmService.serviceName}"`
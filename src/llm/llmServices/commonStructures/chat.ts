@@ -1,13 +1,49 @@
-export type ChatRole = "system" | "user" | "assistant";
+export type ChatRole = "system" | "user" | "assistant" | "tool";
 
-export type ChatMessage = { role: ChatRole; content: string };
+export type ChatMessage = {
+    role: ChatRole;
+    content: string;
+    /**
+     * Tools the model requested to call; only set for `assistant` messages.
+     */
+    toolCalls?: ChatToolCall[];
+    /**
+     * The call this message is the result of; only set for `tool` messages.
+     */
+    toolCallId?: string;
+    /**
+     * The tool whose result this message is; set for `tool` messages
+     * and for tool results sent as plain `user` messages.
+     */
+    toolName?: string;
+};
 
 export type ChatHistory = ChatMessage[];
 
+export interface ChatToolCall {
+    id: string;
+    name: string;
+    args: any;
+}
+
+/**
+ * A tool (function) the model is allowed to call natively.
+ * `parameters` is a JSON schema of the object of call arguments.
+ */
+export interface ChatToolDeclaration {
+    name: string;
+    description: string;
+    parameters: object;
+}
+
 export interface AnalyzedChatHistory {
     chat: ChatHistory;
     contextTheorems: string[];
     estimatedTokens: EstimatedTokens;
+    /**
+     * Tools declared to the model; if absent, the chat contains no tool messages.
+     */
+    tools?: ChatToolDeclaration[];
 }
 
 export interface EstimatedTokens {
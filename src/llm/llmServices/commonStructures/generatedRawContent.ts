@@ -1,3 +1,4 @@
+import { ChatToolCall } from "./chat";
 import { GenerationTokens } from "./generationTokens";
 
 export interface GeneratedRawContent {
@@ -29,4 +30,8 @@ export interface GeneratedRawContentItem {
      * (check its docs for more details).
      */
     tokensSpent: GenerationTokens;
+    /**
+     * Tool calls requested along with the `content`, if tools were declared in the chat.
+     */
+    toolCalls?: ChatToolCall[];
 }
@@ -13,7 +13,15 @@ import { GeneratedProofImpl } from "../generatedProof";
 import { LLMServiceImpl } from "../llmService";
 import { LLMServiceInternal } from "../llmServiceInternal";
 import { DeepSeekModelParams } from "../modelParams";
-import { toO1CompatibleChatHistory } from "../utils/o1ClassModels";
+import {
+    isO1ClassModel,
+    toO1CompatibleChatHistory,
+} from "../utils/o1ClassModels";
+import {
+    StreamedToolCallsCollector,
+    toOpenAiCompatibleMessages,
+    toOpenAiCompatibleTools,
+} from "../utils/openAiCompatibleChat";
 
 import { DeepSeekModelParamsResolver } from "./deepSeekModelParamsResolver";
 
@@ -31,6 +39,13 @@ export class DeepSeekService extends LLMServiceImpl<
         this.generationsLoggerBuilder
     );
     protected readonly modelParamsResolver = new DeepSeekModelParamsResolver();
+
+    /**
+     * o1-class models do not accept tools.
+     */
+    supportsToolCalling(params: DeepSeekModelParams): boolean {
+        return !isO1ClassModel(params.modelName, "deepseek");
+    }
 }
 
 export class DeepSeekGeneratedProof extends GeneratedProofImpl<
@@ -128,6 +143,56 @@ class DeepSeekServiceInternal extends LLMServiceInternal<
         }
     }
 
+    async streamFromChatImpl(
+        analyzedChat: AnalyzedChatHistory,
+        params: DeepSeekModelParams,
+        onChunk: (chunk: string) => void,
+        abortSignal?: AbortSignal
+    ): Promise<GeneratedRawContent> {
+        const openaiCompatibleApi = new OpenAI({
+            apiKey: params.apiKey,
+            baseURL: DeepSeekServiceInternal.baseApiUrl,
+        });
+        const formattedChat = this.formatChatHistory(analyzedChat.chat, params);
+        this.logDebug.event("Streamed completion requested", {
+            history: formattedChat,
+        });
+
+        const stream = await openaiCompatibleApi.chat.completions.create(
+            {
+                messages: formattedChat,
+                model: params.modelName,
+                temperature: params.temperature,
+                max_tokens: params.maxTokensToGenerate,
+                tools: toOpenAiCompatibleTools(analyzedChat.tools),
+                stream: true,
+                stream_options: { include_usage: true },
+            },
+            { signal: abortSignal }
+        );
+        let content = "";
+        const toolCalls = new StreamedToolCallsCollector();
+        let tokensUsage: OpenAI.Completions.CompletionUsage | undefined =
+            undefined;
+        for await (const chunk of stream) {
+            const delta = chunk.choices[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onChunk(delta);
+            }
+            toolCalls.add(chunk.choices[0]?.delta?.tool_calls);
+            tokensUsage = chunk.usage ?? tokensUsage;
+        }
+        const rawContent = this.packContentWithTokensMetrics(
+            [content],
+            tokensUsage,
+            analyzedChat,
+            params
+        );
+        rawContent.items[0].toolCalls = toolCalls.build();
+        return rawContent;
+    }
+
     private packContentWithTokensMetrics(
         rawContentItems: string[],
         tokensUsage: OpenAI.Completions.CompletionUsage | undefined,
@@ -152,11 +217,13 @@ class DeepSeekServiceInternal extends LLMServiceInternal<
     private formatChatHistory(
         chat: ChatHistory,
         modelParams: DeepSeekModelParams
-    ): ChatHistory {
-        return toO1CompatibleChatHistory(
-            chat,
-            modelParams.modelName,
-            "deepseek"
+    ): OpenAI.Chat.ChatCompletionMessageParam[] {
+        return toOpenAiCompatibleMessages(
+            toO1CompatibleChatHistory(
+                chat,
+                modelParams.modelName,
+                "deepseek"
+            )
         );
     }
 }
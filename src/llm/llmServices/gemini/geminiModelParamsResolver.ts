@@ -0,0 +1,34 @@
+import { GeminiUserModelParams } from "../../userModelParams";
+import { GeminiModelParams, geminiModelParamsSchema } from "../modelParams";
+import { BasicModelParamsResolver } from "../utils/paramsResolvers/basicModelParamsResolvers";
+import { ValidParamsResolverImpl } from "../utils/paramsResolvers/paramsResolverImpl";
+
+export class GeminiModelParamsResolver
+    extends BasicModelParamsResolver<GeminiUserModelParams, GeminiModelParams>
+    implements ValidParamsResolverImpl<GeminiUserModelParams, GeminiModelParams>
+{
+    constructor() {
+        super(geminiModelParamsSchema, "GeminiModelParams");
+    }
+
+    static readonly defaultLocation = "global";
+
+    readonly modelName = this.resolveParam<string>("modelName")
+        .requiredToBeConfigured()
+        .validateAtRuntimeOnly();
+
+    readonly temperature = this.resolveParam<number>("temperature")
+        .requiredToBeConfigured()
+        .validate([
+            (value) => value >= 0 && value <= 2,
+            "be in range between 0 and 2",
+        ]);
+
+    readonly projectId = this.resolveParam<string>("projectId")
+        .requiredToBeConfigured()
+        .validateAtRuntimeOnly();
+
+    readonly location = this.resolveParam<string>("location")
+        .default(() => GeminiModelParamsResolver.defaultLocation)
+        .noValidationNeeded();
+}
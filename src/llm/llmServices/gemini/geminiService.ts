@@ -0,0 +1,376 @@
+import { asErrorOrUndefined } from "../../../utils/errorsUtils";
+import { ConfigurationError } from "../../llmServiceErrors";
+import { ProofGenerationContext } from "../../proofGenerationContext";
+import { GeminiUserModelParams } from "../../userModelParams";
+import {
+    AnalyzedChatHistory,
+    ChatHistory,
+    ChatMessage,
+    ChatToolCall,
+    ChatToolDeclaration,
+} from "../commonStructures/chat";
+import {
+    GeneratedRawContent,
+    GeneratedRawContentItem,
+} from "../commonStructures/generatedRawContent";
+import { ProofVersion } from "../commonStructures/proofVersion";
+import { GeneratedProofImpl } from "../generatedProof";
+import { LLMServiceImpl } from "../llmService";
+import { LLMServiceInternal } from "../llmServiceInternal";
+import { GeminiModelParams } from "../modelParams";
+
+import { GeminiModelParamsResolver } from "./geminiModelParamsResolver";
+
+export class GeminiService extends LLMServiceImpl<
+    GeminiUserModelParams,
+    GeminiModelParams,
+    GeminiService,
+    GeminiGeneratedProof,
+    GeminiServiceInternal
+> {
+    readonly serviceName = "GeminiService";
+    protected readonly internal = new GeminiServiceInternal(
+        this,
+        this.eventLogger,
+        this.generationsLoggerBuilder
+    );
+    protected readonly modelParamsResolver = new GeminiModelParamsResolver();
+
+    supportsToolCalling(_params: GeminiModelParams): boolean {
+        return true;
+    }
+}
+
+export class GeminiGeneratedProof extends GeneratedProofImpl<
+    GeminiModelParams,
+    GeminiService,
+    GeminiGeneratedProof,
+    GeminiServiceInternal
+> {
+    constructor(
+        rawProof: GeneratedRawContentItem,
+        proofGenerationContext: ProofGenerationContext,
+        modelParams: GeminiModelParams,
+        llmServiceInternal: GeminiServiceInternal,
+        previousProofVersions?: ProofVersion[]
+    ) {
+        super(
+            rawProof,
+            proofGenerationContext,
+            modelParams,
+            llmServiceInternal,
+            previousProofVersions
+        );
+    }
+}
+
+/**
+ * The typings of `@google/genai` cannot be imported into a CommonJS module,
+ * so the SDK is loaded with `require` and the request shapes are declared here.
+ */
+interface GeminiContent {
+    role: "user" | "model";
+    parts: GeminiPart[];
+}
+
+type GeminiPart =
+    | { text: string }
+    | { functionCall: { id: string; name: string; args: any } }
+    | {
+          functionResponse: {
+              id: string;
+              name: string;
+              response: { output: string };
+          };
+      };
+
+interface GeminiTool {
+    functionDeclarations: {
+        name: string;
+        description: string;
+        parametersJsonSchema: object;
+    }[];
+}
+
+interface GeminiFormattedChat {
+    systemInstruction: string | undefined;
+    contents: GeminiContent[];
+}
+
+interface GeminiGenerationConfig {
+    systemInstruction: string | undefined;
+    tools: GeminiTool[] | undefined;
+    temperature: number;
+    maxOutputTokens: number;
+    candidateCount: number;
+}
+
+class GeminiServiceInternal extends LLMServiceInternal<
+    GeminiModelParams,
+    GeminiService,
+    GeminiGeneratedProof,
+    GeminiServiceInternal
+> {
+    constructGeneratedProof(
+        rawProof: GeneratedRawContentItem,
+        proofGenerationContext: ProofGenerationContext,
+        modelParams: GeminiModelParams,
+        previousProofVersions?: ProofVersion[] | undefined
+    ): GeminiGeneratedProof {
+        return new GeminiGeneratedProof(
+            rawProof,
+            proofGenerationContext,
+            modelParams,
+            this,
+            previousProofVersions
+        );
+    }
+
+    async generateFromChatImpl(
+        analyzedChat: AnalyzedChatHistory,
+        params: GeminiModelParams,
+        choices: number
+    ): Promise<GeneratedRawContent> {
+        LLMServiceInternal.validateChoices(choices);
+
+        const formattedChat = this.formatChatHistory(analyzedChat.chat);
+        this.logDebug.event("Completion requested", {
+            history: formattedChat,
+        });
+
+        try {
+            const response = await this.buildClient(
+                params
+            ).models.generateContent({
+                model: params.modelName,
+                contents: formattedChat.contents,
+                config: this.buildConfig(
+                    analyzedChat,
+                    formattedChat,
+                    params,
+                    choices
+                ),
+            });
+            const candidates: any[] = response.candidates ?? [];
+            const rawContentItems = candidates.map((candidate) =>
+                (candidate.content?.parts ?? [])
+                    .map((part: any) => part.text ?? "")
+                    .join("")
+            );
+            return LLMServiceInternal.aggregateToGeneratedRawContent(
+                rawContentItems,
+                response.usageMetadata?.promptTokenCount ??
+                    analyzedChat.estimatedTokens.messagesTokens,
+                undefined,
+                {
+                    generatedTokens:
+                        response.usageMetadata?.candidatesTokenCount,
+                    tokensSpentInTotal: response.usageMetadata?.totalTokenCount,
+                }
+            );
+        } catch (e) {
+            throw GeminiServiceInternal.repackKnownError(e, params);
+        }
+    }
+
+    async streamFromChatImpl(
+        analyzedChat: AnalyzedChatHistory,
+        params: GeminiModelParams,
+        onChunk: (chunk: string) => void,
+        abortSignal?: AbortSignal
+    ): Promise<GeneratedRawContent> {
+        const formattedChat = this.formatChatHistory(analyzedChat.chat);
+        this.logDebug.event("Streamed completion requested", {
+            history: formattedChat,
+        });
+
+        try {
+            const stream = await this.buildClient(
+                params
+            ).models.generateContentStream({
+                model: params.modelName,
+                contents: formattedChat.contents,
+                config: {
+                    ...this.buildConfig(
+                        analyzedChat,
+                        formattedChat,
+                        params,
+                        1
+                    ),
+                    abortSignal: abortSignal,
+                },
+            });
+            let content = "";
+            const toolCalls: ChatToolCall[] = [];
+            let promptTokens: number | undefined = undefined;
+            for await (const chunk of stream) {
+                const delta = chunk.text;
+                if (delta) {
+                    content += delta;
+                    onChunk(delta);
+                }
+                for (const functionCall of chunk.functionCalls ?? []) {
+                    toolCalls.push({
+                        id: functionCall.id ?? `call_${toolCalls.length}`,
+                        name: functionCall.name,
+                        args: functionCall.args ?? {},
+                    });
+                }
+                promptTokens =
+                    chunk.usageMetadata?.promptTokenCount ?? promptTokens;
+            }
+            const rawContent =
+                LLMServiceInternal.aggregateToGeneratedRawContent(
+                    [content],
+                    promptTokens ?? analyzedChat.estimatedTokens.messagesTokens,
+                    undefined
+                );
+            if (toolCalls.length > 0) {
+                rawContent.items[0].toolCalls = toolCalls;
+            }
+            return rawContent;
+        } catch (e) {
+            throw GeminiServiceInternal.repackKnownError(e, params);
+        }
+    }
+
+    private buildClient(params: GeminiModelParams): any {
+        const { GoogleGenAI } = require("@google/genai");
+        return new GoogleGenAI({
+            vertexai: true,
+            project: params.projectId,
+            location: params.location,
+        });
+    }
+
+    private buildConfig(
+        analyzedChat: AnalyzedChatHistory,
+        formattedChat: GeminiFormattedChat,
+        params: GeminiModelParams,
+        choices: number
+    ): GeminiGenerationConfig {
+        return {
+            systemInstruction: formattedChat.systemInstruction,
+            tools: this.formatTools(analyzedChat.tools),
+            temperature: params.temperature,
+            maxOutputTokens: params.maxTokensToGenerate,
+            candidateCount: choices,
+        };
+    }
+
+    private formatTools(
+        tools: ChatToolDeclaration[] | undefined
+    ): GeminiTool[] | undefined {
+        if (tools === undefined || tools.length === 0) {
+            return undefined;
+        }
+        return [
+            {
+                functionDeclarations: tools.map((tool) => {
+                    return {
+                        name: tool.name,
+                        description: tool.description,
+                        parametersJsonSchema: tool.parameters,
+                    };
+                }),
+            },
+        ];
+    }
+
+    /**
+     * Gemini accepts the system message separately from the conversation
+     * and names the assistant role `model`.
+     * Tool calls are parts of `model` messages, while tool results are parts of `user` ones;
+     * consecutive tool results are sent as a single message.
+     */
+    private formatChatHistory(chat: ChatHistory): GeminiFormattedChat {
+        const systemMessages = chat.filter(
+            (message) => message.role === "system"
+        );
+        return {
+            systemInstruction:
+                systemMessages.length === 0
+                    ? undefined
+                    : systemMessages
+                          .map((message) => message.content)
+                          .join("\n\n"),
+            contents: chat
+                .filter((message) => message.role !== "system")
+                .reduce((contents: GeminiContent[], message) => {
+                    const lastContent = contents[contents.length - 1];
+                    if (
+                        message.role === "tool" &&
+                        lastContent?.parts.every(
+                            (part): boolean => "functionResponse" in part
+                        )
+                    ) {
+                        lastContent.parts.push(...this.formatParts(message));
+                    } else {
+                        contents.push({
+                            role:
+                                message.role === "assistant" ? "model" : "user",
+                            parts: this.formatParts(message),
+                        });
+                    }
+                    return contents;
+                }, []),
+        };
+    }
+
+    private formatParts(message: ChatMessage): GeminiPart[] {
+        if (message.role === "tool") {
+            return [
+                {
+                    functionResponse: {
+                        id: message.toolCallId ?? "",
+                        name: message.toolName ?? "",
+                        response: { output: message.content },
+                    },
+                },
+            ];
+        }
+        const textParts: GeminiPart[] =
+            message.content === "" && message.toolCalls !== undefined
+                ? []
+                : [{ text: message.content }];
+        const functionCallParts: GeminiPart[] = (message.toolCalls ?? []).map(
+            (call) => {
+                return {
+                    functionCall: {
+                        id: call.id,
+                        name: call.name,
+                        args: call.args,
+                    },
+                };
+            }
+        );
+        return [...textParts, ...functionCallParts];
+    }
+
+    private static repackKnownError(
+        caughtObject: any,
+        params: GeminiModelParams
+    ): any {
+        const error = asErrorOrUndefined(caughtObject);
+        if (error === undefined) {
+            return caughtObject;
+        }
+        if (this.unauthenticatedPattern.test(error.message)) {
+            return new ConfigurationError(
+                `failed to authenticate to Vertex AI in project "${params.projectId}" (run \`gcloud auth application-default login\` and make sure the Vertex AI API is enabled)`
+            );
+        }
+        if (this.unknownModelPattern.test(error.message)) {
+            return new ConfigurationError(
+                `invalid model name "${params.modelName}", such model does not exist or is not available in "${params.location}"`
+            );
+        }
+        return error;
+    }
+
+    private static readonly unauthenticatedPattern =
+        /Could not load the default credentials|UNAUTHENTICATED|PERMISSION_DENIED/;
+
+    private static readonly unknownModelPattern =
+        /Publisher Model .* was not found|models\/.* is not found/;
+}
@@ -5,9 +5,10 @@ import { Time } from "../../utils/time";
 import { ProofGenerationContext } from "../proofGenerationContext";
 import { UserModelParams } from "../userModelParams";
 
-import { AnalyzedChatHistory } from "./commonStructures/chat";
+import { AnalyzedChatHistory, ChatMessage } from "./commonStructures/chat";
 import { ErrorsHandlingMode } from "./commonStructures/errorsHandlingMode";
 import { ProofGenerationMetadataHolder } from "./commonStructures/proofGenerationMetadata";
+import { ProofGenerationType } from "./commonStructures/proofGenerationType";
 import { GeneratedProofImpl } from "./generatedProof";
 import { LLMServiceInternal } from "./llmServiceInternal";
 import { ModelParams } from "./modelParams";
@@ -180,6 +181,65 @@ export abstract class LLMServiceImpl<
         );
     }
 
+    /**
+     * Generates a single message based on chat input, reporting its text incrementally.
+     * This method performs errors-handling and logging in the same way as `generateFromChat`,
+     * i.e. a streamed generation is logged once it is complete (or failed).
+     *
+     * The default implementation relies on `LLMServiceInternal.streamFromChatImpl`.
+     *
+     * @param analyzedChat the analyzed chat history used as input for the generation.
+     * @param params resolved model parameters for configuring the generation process.
+     * @param onChunk receives the parts of the generated message in order.
+     * @param abortSignal if provided, signals that the response is no longer needed.
+     * @param metadataHolder if provided, stores metadata about the generation process, which can be analyzed later.
+     * @returns the complete generated `assistant` message (including the tool calls requested, if `analyzedChat` declares tools),
+     * or `undefined` if the generation failed and errors are swallowed.
+     */
+    async streamFromChat(
+        analyzedChat: AnalyzedChatHistory,
+        params: ResolvedModelParams,
+        onChunk: (chunk: string) => void,
+        abortSignal: AbortSignal | undefined = undefined,
+        metadataHolder: ProofGenerationMetadataHolder | undefined = undefined
+    ): Promise<ChatMessage | undefined> {
+        const messages = await this.internal.logGenerationAndHandleErrors(
+            ProofGenerationType.CHAT_BASED,
+            params,
+            1,
+            metadataHolder,
+            (request) => {
+                request.analyzedChat = analyzedChat;
+            },
+            async (request) =>
+                this.internal.streamFromChatImpl(
+                    request.analyzedChat!,
+                    params,
+                    onChunk,
+                    abortSignal
+                ),
+            (rawMessage): ChatMessage => {
+                return {
+                    role: "assistant",
+                    content: rawMessage.content,
+                    toolCalls: rawMessage.toolCalls,
+                };
+            }
+        );
+        return messages[0];
+    }
+
+    /**
+     * Whether the model accepts tools declared in `AnalyzedChatHistory.tools`
+     * and is able to request their calls natively, i.e. whether `streamFromChat` may return `toolCalls`.
+     * If not, tools should be described to the model in the prompt instead.
+     *
+     * @param params resolved model parameters of the model to check.
+     */
+    supportsToolCalling(_params: ResolvedModelParams): boolean {
+        return false;
+    }
+
     /**
      * Generates proofs from `ProofGenerationContext`, i.e. from `completionTarget` and `contextTheorems`.
      * This method performs errors-handling and logging, check `LLMServiceImpl` docs for more details.
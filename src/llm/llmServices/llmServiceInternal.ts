@@ -121,6 +121,38 @@ export abstract class LLMServiceInternal<
         choices: number
     ): Promise<GeneratedRawContent>;
 
+    /**
+     * Streaming counterpart of `LLMServiceInternal.generateFromChatImpl`:
+     * generates a single completion and reports its text via `onChunk` as soon as it arrives.
+     * The same requirements on errors apply.
+     *
+     * The returned `GeneratedRawContent` should contain exactly one item: the complete message,
+     * i.e. the concatenation of all the reported chunks.
+     *
+     * By default, streaming is emulated: the whole completion is generated with
+     * `generateFromChatImpl` and then reported as a single chunk.
+     * Services whose API supports incremental responses should override this method.
+     *
+     * `abortSignal` is fired when the caller is no longer interested in the response;
+     * implementations are encouraged (but not required) to stop the request early.
+     */
+    async streamFromChatImpl(
+        analyzedChat: AnalyzedChatHistory,
+        params: ResolvedModelParams,
+        onChunk: (chunk: string) => void,
+        _abortSignal?: AbortSignal
+    ): Promise<GeneratedRawContent> {
+        const rawContent = await this.generateFromChatImpl(
+            analyzedChat,
+            params,
+            1
+        );
+        for (const item of rawContent.items) {
+            onChunk(item.content);
+        }
+        return rawContent;
+    }
+
     /**
      * All the resources that `LLMServiceInternal` is responsible for should be disposed.
      * But only them!
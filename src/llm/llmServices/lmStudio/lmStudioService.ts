@@ -2,7 +2,7 @@ import { asErrorOrRethrow } from "../../../utils/errorsUtils";
 import { toUnformattedJsonString } from "../../../utils/printers";
 import { ProofGenerationContext } from "../../proofGenerationContext";
 import { LMStudioUserModelParams } from "../../userModelParams";
-import { AnalyzedChatHistory, ChatHistory } from "../commonStructures/chat";
+import { AnalyzedChatHistory } from "../commonStructures/chat";
 import {
     GeneratedRawContent,
     GeneratedRawContentItem,
@@ -12,6 +12,11 @@ import { GeneratedProofImpl } from "../generatedProof";
 import { LLMServiceImpl } from "../llmService";
 import { LLMServiceInternal } from "../llmServiceInternal";
 import { LMStudioModelParams } from "../modelParams";
+import {
+    StreamedToolCallsCollector,
+    toOpenAiCompatibleMessages,
+    toOpenAiCompatibleTools,
+} from "../utils/openAiCompatibleChat";
 
 import { LMStudioModelParamsResolver } from "./lmStudioModelParamsResolver";
 
@@ -29,6 +34,14 @@ export class LMStudioService extends LLMServiceImpl<
         this.generationsLoggerBuilder
     );
     protected readonly modelParamsResolver = new LMStudioModelParamsResolver();
+
+    /**
+     * LM Studio serves tools through its OpenAI-compatible API;
+     * whether they are actually called depends on the loaded model.
+     */
+    supportsToolCalling(_params: LMStudioModelParams): boolean {
+        return true;
+    }
 }
 
 export class LMStudioGeneratedProof extends GeneratedProofImpl<
@@ -93,7 +106,7 @@ class LMStudioServiceInternal extends LLMServiceInternal<
                 const responce = await fetch(this.endpoint(params), {
                     method: "POST",
                     headers: this.headers,
-                    body: this.body(analyzedChat.chat, params),
+                    body: this.body(analyzedChat, params),
                 });
                 if (responce.ok) {
                     const res: any = await responce.json();
@@ -123,14 +136,89 @@ class LMStudioServiceInternal extends LLMServiceInternal<
         );
     }
 
+    async streamFromChatImpl(
+        analyzedChat: AnalyzedChatHistory,
+        params: LMStudioModelParams,
+        onChunk: (chunk: string) => void,
+        abortSignal?: AbortSignal
+    ): Promise<GeneratedRawContent> {
+        this.logDebug.event("Streamed completion requested", {
+            history: analyzedChat.chat,
+        });
+        const responce = await fetch(this.endpoint(params), {
+            method: "POST",
+            headers: this.headers,
+            body: this.body(analyzedChat, params, true),
+            signal: abortSignal,
+        });
+        if (!responce.ok || responce.body === null) {
+            throw new Error(
+                `LM Studio server responded with ${responce.status} ${responce.statusText}`
+            );
+        }
+
+        // The server replies with server-sent events: `data: {...}` lines, finished by `data: [DONE]`.
+        const reader = responce.body.getReader();
+        const decoder = new TextDecoder();
+        let pending = "";
+        let content = "";
+        const toolCalls = new StreamedToolCallsCollector();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            pending += decoder.decode(value, { stream: true });
+            const lines = pending.split("\n");
+            pending = lines.pop() ?? "";
+            for (const line of lines) {
+                const delta = this.parseEventDelta(line);
+                if (delta?.content) {
+                    content += delta.content;
+                    onChunk(delta.content);
+                }
+                toolCalls.add(delta?.tool_calls);
+            }
+        }
+        this.logDebug.event("Streamed completion succeeded", {
+            newCompletion: content,
+        });
+
+        const rawContent = LLMServiceInternal.aggregateToGeneratedRawContent(
+            [content],
+            analyzedChat.estimatedTokens.messagesTokens,
+            undefined
+        );
+        rawContent.items[0].toolCalls = toolCalls.build();
+        return rawContent;
+    }
+
+    private parseEventDelta(line: string): any {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith("data:")) {
+            return undefined;
+        }
+        const data = trimmed.substring("data:".length).trim();
+        if (data === "[DONE]") {
+            return undefined;
+        }
+        const event: any = JSON.parse(data);
+        return event.choices?.[0]?.delta;
+    }
+
     private readonly headers = {
         "Content-Type": "application/json",
     };
 
-    private body(messages: ChatHistory, params: LMStudioModelParams): string {
+    private body(
+        analyzedChat: AnalyzedChatHistory,
+        params: LMStudioModelParams,
+        stream: boolean = false
+    ): string {
         return toUnformattedJsonString({
-            messages: messages,
-            stream: false,
+            messages: toOpenAiCompatibleMessages(analyzedChat.chat),
+            tools: toOpenAiCompatibleTools(analyzedChat.tools),
+            stream: stream,
             temperature: params.temperature,
             max_tokens: params.maxTokensToGenerate,
         });
@@ -62,12 +62,20 @@ export interface DeepSeekModelParams extends ModelParams {
     apiKey: string;
 }
 
+export interface GeminiModelParams extends ModelParams {
+    modelName: string;
+    temperature: number;
+    projectId: string;
+    location: string;
+}
+
 export interface ModelsParams {
     predefinedProofsModelParams: PredefinedProofsModelParams[];
     openAiParams: OpenAiModelParams[];
     grazieParams: GrazieModelParams[];
     lmStudioParams: LMStudioModelParams[];
     deepSeekParams: DeepSeekModelParams[];
+    geminiParams: GeminiModelParams[];
 }
 
 export const multiroundProfileSchema: JSONSchemaType<MultiroundProfile> = {
@@ -195,3 +203,23 @@ export const deepSeekModelParamsSchema: JSONSchemaType<DeepSeekModelParams> = {
     ],
     additionalProperties: false,
 };
+
+export const geminiModelParamsSchema: JSONSchemaType<GeminiModelParams> = {
+    title: "geminiModelsParameters",
+    type: "object",
+    properties: {
+        modelName: { type: "string" },
+        temperature: { type: "number" },
+        projectId: { type: "string" },
+        location: { type: "string" },
+        ...(modelParamsSchema.properties as PropertiesSchema<ModelParams>),
+    },
+    required: [
+        "modelName",
+        "temperature",
+        "projectId",
+        "location",
+        ...modelParamsSchema.required,
+    ],
+    additionalProperties: false,
+};
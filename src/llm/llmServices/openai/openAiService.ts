@@ -18,7 +18,15 @@ import { GeneratedProofImpl } from "../generatedProof";
 import { LLMServiceImpl } from "../llmService";
 import { LLMServiceInternal } from "../llmServiceInternal";
 import { OpenAiModelParams } from "../modelParams";
-import { toO1CompatibleChatHistory } from "../utils/o1ClassModels";
+import {
+    isO1ClassModel,
+    toO1CompatibleChatHistory,
+} from "../utils/o1ClassModels";
+import {
+    StreamedToolCallsCollector,
+    toOpenAiCompatibleMessages,
+    toOpenAiCompatibleTools,
+} from "../utils/openAiCompatibleChat";
 
 import { OpenAiModelParamsResolver } from "./openAiModelParamsResolver";
 
@@ -36,6 +44,13 @@ export class OpenAiService extends LLMServiceImpl<
         this.generationsLoggerBuilder
     );
     protected readonly modelParamsResolver = new OpenAiModelParamsResolver();
+
+    /**
+     * o1-class models do not accept tools.
+     */
+    supportsToolCalling(params: OpenAiModelParams): boolean {
+        return !isO1ClassModel(params.modelName, "openai");
+    }
 }
 
 export class OpenAiGeneratedProof extends GeneratedProofImpl<
@@ -123,6 +138,57 @@ class OpenAiServiceInternal extends LLMServiceInternal<
         }
     }
 
+    async streamFromChatImpl(
+        analyzedChat: AnalyzedChatHistory,
+        params: OpenAiModelParams,
+        onChunk: (chunk: string) => void,
+        abortSignal?: AbortSignal
+    ): Promise<GeneratedRawContent> {
+        const openai = new OpenAI({ apiKey: params.apiKey });
+        const formattedChat = this.formatChatHistory(analyzedChat.chat, params);
+        this.logDebug.event("Streamed completion requested", {
+            history: formattedChat,
+        });
+
+        try {
+            const stream = await openai.chat.completions.create(
+                {
+                    messages: formattedChat,
+                    model: params.modelName,
+                    temperature: params.temperature,
+                    max_tokens: params.maxTokensToGenerate,
+                    tools: toOpenAiCompatibleTools(analyzedChat.tools),
+                    stream: true,
+                    stream_options: { include_usage: true },
+                },
+                { signal: abortSignal }
+            );
+            let content = "";
+            const toolCalls = new StreamedToolCallsCollector();
+            let tokensUsage: OpenAI.Completions.CompletionUsage | undefined =
+                undefined;
+            for await (const chunk of stream) {
+                const delta = chunk.choices[0]?.delta?.content;
+                if (delta) {
+                    content += delta;
+                    onChunk(delta);
+                }
+                toolCalls.add(chunk.choices[0]?.delta?.tool_calls);
+                tokensUsage = chunk.usage ?? tokensUsage;
+            }
+            const rawContent = this.packContentWithTokensMetrics(
+                [content],
+                tokensUsage,
+                analyzedChat,
+                params
+            );
+            rawContent.items[0].toolCalls = toolCalls.build();
+            return rawContent;
+        } catch (e) {
+            throw OpenAiServiceInternal.repackKnownError(e, params);
+        }
+    }
+
     private packContentWithTokensMetrics(
         rawContentItems: string[],
         tokensUsage: OpenAI.Completions.CompletionUsage | undefined,
@@ -217,7 +283,9 @@ class OpenAiServiceInternal extends LLMServiceInternal<
     private formatChatHistory(
         chat: ChatHistory,
         modelParams: OpenAiModelParams
-    ): ChatHistory {
-        return toO1CompatibleChatHistory(chat, modelParams.modelName, "openai");
+    ): OpenAI.Chat.ChatCompletionMessageParam[] {
+        return toOpenAiCompatibleMessages(
+            toO1CompatibleChatHistory(chat, modelParams.modelName, "openai")
+        );
     }
 }
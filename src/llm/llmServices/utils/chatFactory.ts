@@ -5,6 +5,7 @@ import {
     AnalyzedChatHistory,
     ChatHistory,
     ChatMessage,
+    ChatToolDeclaration,
 } from "../commonStructures/chat";
 import { ProofVersion } from "../commonStructures/proofVersion";
 import { ModelParams } from "../modelParams";
@@ -14,6 +15,7 @@ import {
     UserAssistantChatItem,
     chatItemToContent,
     itemizedChatToHistory,
+    toPlainTextMessage,
 } from "./chatUtils";
 import { modelName } from "./modelParamsAccessors";
 
@@ -21,8 +23,8 @@ export function validateChat(chat: ChatHistory): [boolean, string] {
     if (chat.length < 1) {
         return [false, "no system message at the chat start"];
     }
-    let prevRole = chat[0].role;
-    if (prevRole !== "system") {
+    let prevMessage = chat[0];
+    if (prevMessage.role !== "system") {
         return [false, "no system message at the chat start"];
     }
     for (const message of chat.slice(1)) {
@@ -30,16 +32,24 @@ export function validateChat(chat: ChatHistory): [boolean, string] {
         if (curRole === "system") {
             return [false, "several system messages found"];
         }
-        if (prevRole === curRole) {
+        if (curRole === "tool") {
+            const followsToolCall =
+                prevMessage.role === "tool" ||
+                (prevMessage.role === "assistant" &&
+                    (prevMessage.toolCalls ?? []).length > 0);
+            if (!followsToolCall) {
+                return [false, "tool result does not follow a tool call"];
+            }
+        } else if (prevMessage.role === curRole) {
             return [false, "two identical roles in a row"];
         }
-        prevRole = curRole;
+        prevMessage = message;
     }
     const lastMessageRole = chat[chat.length - 1].role;
     if (lastMessageRole === "assistant") {
         return [
             false,
-            "last message in the chat should be authored either by `user` or by `system`",
+            "last message in the chat should be authored either by `user`, `tool` or by `system`",
         ];
     }
     return [true, "ok"];
@@ -123,6 +133,240 @@ export function buildProofGenerationChat(
     });
 }
 
+/**
+ * Builds a chat from a free-form conversation, e.g. the one of an interactive agent.
+ *
+ * If the conversation does not start with a system message, `modelParams.systemPrompt` is used.
+ * Since the conversation might contain several messages of the same role in a row
+ * (for example, a tool result followed by a user request), such messages are merged
+ * to keep the resulting chat valid.
+ *
+ * If `tools` are not specified, tool calls and their results are kept as plain text,
+ * so that the chat can be sent to a model without native tool calling.
+ *
+ * The conversation is fitted into `modelParams.tokensLimit` as described in `fitConversation`:
+ * the system message and the last round of the conversation are required,
+ * while older tool results are truncated and older rounds are dropped if needed.
+ */
+export function buildConversationChat(
+    conversation: ChatHistory,
+    modelParams: ModelParams,
+    tools: ChatToolDeclaration[] | undefined = undefined
+): AnalyzedChatHistory {
+    return withFitter(modelParams, (fitter) => {
+        const messages =
+            tools === undefined
+                ? conversation.map(toPlainTextMessage)
+                : conversation;
+        const systemMessages = messages.filter(
+            (message) => message.role === "system"
+        );
+        const otherMessages = messages.filter(
+            (message) => message.role !== "system"
+        );
+        const systemMessage: ChatMessage = {
+            role: "system",
+            content:
+                systemMessages.length === 0
+                    ? modelParams.systemPrompt
+                    : systemMessages
+                          .map((message) => message.content)
+                          .join("\n\n"),
+        };
+        fitter.fitRequiredMessage(systemMessage);
+        if (tools !== undefined) {
+            fitter.fitRequiredMessage({
+                role: "system",
+                content: JSON.stringify(tools),
+            });
+        }
+
+        const mergedMessages: ChatHistory = [];
+        for (const message of fitConversation(otherMessages, fitter)) {
+            const lastMessage = mergedMessages[mergedMessages.length - 1];
+            if (
+                lastMessage !== undefined &&
+                lastMessage.role === message.role &&
+                message.role !== "tool" &&
+                lastMessage.toolCalls === undefined
+            ) {
+                lastMessage.content += `\n\n${message.content}`;
+                if (message.toolCalls !== undefined) {
+                    // A kept tool call message might follow an assistant answer of an earlier round.
+                    lastMessage.toolCalls = message.toolCalls;
+                }
+            } else {
+                mergedMessages.push({ ...message });
+            }
+        }
+        mergedMessages.forEach((message) =>
+            fitter.fitRequiredMessage(message)
+        );
+
+        return {
+            ...buildAndAnalyzeChat(fitter, [], systemMessage, mergedMessages),
+            tools: tools,
+        };
+    });
+}
+
+/**
+ * How many characters of a truncated tool result are kept.
+ */
+const truncatedToolResultLength = 300;
+
+/**
+ * Selects the messages of a conversation (without the system message)
+ * that fit into the tokens remaining in `fitter`, without fitting them yet.
+ *
+ * The conversation is split into rounds, each starting with a user request
+ * (a `user` message that is not a tool result). Until the conversation fits:
+ * 1. Tool results are truncated, oldest first; however, the latest result of each tool
+ *    (e.g. the latest proof state) is kept in full, as well as all results of the last round.
+ * 2. Rounds are dropped, oldest first; rounds containing the latest results of tools
+ *    are dropped only after all other ones, and only partially: the latest results
+ *    are never dropped, nor are the tool call messages they answer. The last round
+ *    is never dropped.
+ *
+ * If the last round does not fit even then, the following fitting of it fails
+ * with a `ConfigurationError`.
+ */
+function fitConversation(
+    messages: ChatHistory,
+    fitter: ChatTokensFitter
+): ChatHistory {
+    // Merging messages of the same role adds a separator between them, so leave some slack for it.
+    const budget = fitter.remainingTokens() - messages.length;
+    const tokens = messages.map((message) =>
+        fitter.countMessageTokens(message)
+    );
+    const totalTokens = () =>
+        tokens.reduce((sum, messageTokens) => sum + messageTokens, 0);
+    if (totalTokens() <= budget) {
+        return messages;
+    }
+
+    const roundStarts = messages
+        .map((message, index) =>
+            message.role === "user" && message.toolName === undefined
+                ? index
+                : -1
+        )
+        .filter((index) => index > 0);
+    const rounds: number[][] = [];
+    let roundStart = 0;
+    for (const roundEnd of [...roundStarts, messages.length]) {
+        rounds.push(range(roundStart, roundEnd));
+        roundStart = roundEnd;
+    }
+    const lastRound = new Set(rounds[rounds.length - 1]);
+
+    const latestResults = new Set<number>();
+    const seenTools = new Set<string>();
+    for (let index = messages.length - 1; index >= 0; index--) {
+        const toolName = messages[index].toolName;
+        if (toolName !== undefined && !seenTools.has(toolName)) {
+            seenTools.add(toolName);
+            latestResults.add(index);
+        }
+    }
+
+    const fitted = [...messages];
+    for (let index = 0; index < fitted.length; index++) {
+        if (totalTokens() <= budget) {
+            return fitted;
+        }
+        if (
+            fitted[index].toolName === undefined ||
+            latestResults.has(index) ||
+            lastRound.has(index)
+        ) {
+            continue;
+        }
+        fitted[index] = truncateToolResult(fitted[index]);
+        tokens[index] = fitter.countMessageTokens(fitted[index]);
+    }
+
+    const kept = new Set<number>();
+    for (const index of latestResults) {
+        kept.add(index);
+        const callIndex = answeredCallIndex(messages, index);
+        if (callIndex !== undefined) {
+            kept.add(callIndex);
+        }
+    }
+    const droppableRounds = rounds.slice(0, -1);
+    const keepsLatestResult = (round: number[]) =>
+        round.some((index) => latestResults.has(index));
+    const dropped = new Set<number>();
+    for (const round of [
+        ...droppableRounds.filter((round) => !keepsLatestResult(round)),
+        ...droppableRounds.filter(keepsLatestResult),
+    ]) {
+        if (totalTokens() <= budget) {
+            break;
+        }
+        for (const index of round.filter((index) => !kept.has(index))) {
+            dropped.add(index);
+            tokens[index] = 0;
+        }
+    }
+
+    // A kept tool call message must not request the calls whose results were dropped.
+    const droppedCallIds = new Set(
+        [...dropped].map((index) => messages[index].toolCallId)
+    );
+    return fitted
+        .filter((_message, index) => !dropped.has(index))
+        .map((message) =>
+            message.toolCalls?.some((call) => droppedCallIds.has(call.id))
+                ? {
+                      ...message,
+                      toolCalls: message.toolCalls.filter(
+                          (call) => !droppedCallIds.has(call.id)
+                      ),
+                  }
+                : message
+        );
+}
+
+/**
+ * Finds the `assistant` message that requested the tool result at `resultIndex`:
+ * the one with the matching tool call or, for a plain text result, the nearest preceding one.
+ */
+function answeredCallIndex(
+    messages: ChatHistory,
+    resultIndex: number
+): number | undefined {
+    const callId = messages[resultIndex].toolCallId;
+    for (let index = resultIndex - 1; index >= 0; index--) {
+        const message = messages[index];
+        if (
+            message.role === "assistant" &&
+            (callId === undefined ||
+                (message.toolCalls ?? []).some((call) => call.id === callId))
+        ) {
+            return index;
+        }
+    }
+    return undefined;
+}
+
+function truncateToolResult(message: ChatMessage): ChatMessage {
+    const omitted = message.content.length - truncatedToolResultLength;
+    if (omitted <= 0) {
+        return message;
+    }
+    return {
+        ...message,
+        content: `${message.content.slice(0, truncatedToolResultLength)}\n[... ${omitted} more characters of this outdated result were omitted]`,
+    };
+}
+
+function range(start: number, end: number): number[] {
+    return Array.from({ length: end - start }, (_value, index) => start + index);
+}
+
 export function buildProofFixChat(
     proofGenerationContext: ProofGenerationContext,
     proofVersions: ProofVersion[],
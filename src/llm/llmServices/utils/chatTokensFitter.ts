@@ -37,12 +37,27 @@ export class ChatTokensFitter {
         };
     }
 
+    /**
+     * @returns the number of tokens that can still be fitted.
+     */
+    remainingTokens(): number {
+        return this.tokensLimit - this.tokens;
+    }
+
+    /**
+     * Counts the tokens that fitting `message` would take,
+     * including the ones of its tool calls, if there are any.
+     */
+    countMessageTokens(message: ChatMessage): number {
+        return this.countContentTokens(...messageContents(message));
+    }
+
     fitRequiredMessage(message: ChatMessage) {
-        this.fitRequired(message.content);
+        this.fitRequired(...messageContents(message));
     }
 
     fitOptionalMessage(message: ChatMessage): boolean {
-        return this.fitOptional(message.content);
+        return this.fitOptional(...messageContents(message));
     }
 
     fitOptionalObjects<Type>(
@@ -86,6 +101,12 @@ export class ChatTokensFitter {
     }
 }
 
+function messageContents(message: ChatMessage): string[] {
+    return message.toolCalls === undefined
+        ? [message.content]
+        : [message.content, JSON.stringify(message.toolCalls)];
+}
+
 export class TokensCounter {
     private encoder: Tiktoken | undefined;
     private readonly countTokensInternal: (text: string) => number;
@@ -1,4 +1,4 @@
-import { ChatHistory } from "../commonStructures/chat";
+import { ChatHistory, ChatMessage } from "../commonStructures/chat";
 
 /* `UserAssistantChatItem` and `ItemizedChat` interfaces are used
  * as wrappers for fitting objects with `ChatTokensFitter` &
@@ -32,3 +32,34 @@ export function itemizedChatToHistory(
 export function chatItemToContent(item: UserAssistantChatItem): string[] {
     return [item.userMessage, item.assistantMessage];
 }
+
+/**
+ * Renders tool calls and tool results as ordinary messages, in the same format
+ * that is used to ask models without native tool calling for them:
+ * a tool call becomes a ```json { "tool": ..., "args": ... } ``` block of the assistant message,
+ * a tool result becomes a user message starting with `TOOL RESULT (<tool name>):`.
+ */
+export function toPlainTextMessage(message: ChatMessage): ChatMessage {
+    if (message.role === "tool") {
+        return {
+            role: "user",
+            content: `TOOL RESULT (${message.toolName ?? "unknown"}): ${message.content}`,
+            toolName: message.toolName,
+        };
+    }
+    if (message.toolCalls !== undefined) {
+        const renderedCalls = message.toolCalls.map(
+            (call) =>
+                "```json\n" +
+                JSON.stringify({ tool: call.name, args: call.args }) +
+                "\n```"
+        );
+        return {
+            role: message.role,
+            content: [message.content, ...renderedCalls]
+                .filter((part) => part !== "")
+                .join("\n"),
+        };
+    }
+    return message;
+}
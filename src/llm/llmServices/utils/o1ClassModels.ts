@@ -13,6 +13,19 @@ const o1ClassModelsGrazie = ["openai-o1", "openai-o1-mini"];
 // check whether the r1 model chat history is compatible with o1 model
 const o1ClassModelsDeepSeek = ["deepseek-reasoner"];
 
+export function isO1ClassModel(
+    modelName: string,
+    service: "openai" | "grazie" | "deepseek"
+): boolean {
+    const o1ClassModels =
+        service === "openai"
+            ? o1ClassModelsOpenAI
+            : service === "grazie"
+              ? o1ClassModelsGrazie
+              : o1ClassModelsDeepSeek;
+    return o1ClassModels.includes(modelName);
+}
+
 /**
  * As of November 2024, o1 model requires a different format of chat history.
  * It doesn't support the system prompt, therefore we manually
@@ -24,18 +37,11 @@ export function toO1CompatibleChatHistory(
     modelName: string,
     service: "openai" | "grazie" | "deepseek"
 ): ChatHistory {
-    const o1ClassModels =
-        service === "openai"
-            ? o1ClassModelsOpenAI
-            : service === "grazie"
-              ? o1ClassModelsGrazie
-              : o1ClassModelsDeepSeek;
-
-    if (o1ClassModels.includes(modelName)) {
+    if (isO1ClassModel(modelName, service)) {
         return chatHistory.map((message: ChatMessage) => {
             return {
+                ...message,
                 role: message.role === "system" ? "user" : message.role,
-                content: message.content,
             };
         });
     } else {
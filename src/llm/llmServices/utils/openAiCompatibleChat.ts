@@ -0,0 +1,124 @@
+import OpenAI from "openai";
+
+import {
+    ChatHistory,
+    ChatMessage,
+    ChatToolCall,
+    ChatToolDeclaration,
+} from "../commonStructures/chat";
+
+type OpenAiMessage = OpenAI.Chat.ChatCompletionMessageParam;
+type OpenAiTool = OpenAI.Chat.ChatCompletionTool;
+type OpenAiToolCallDelta =
+    OpenAI.Chat.ChatCompletionChunk.Choice.Delta.ToolCall;
+
+/**
+ * Converts the chat into the messages of the OpenAI chat completions API,
+ * which is also implemented by DeepSeek and by local servers such as LM Studio.
+ */
+export function toOpenAiCompatibleMessages(
+    chat: ChatHistory
+): OpenAiMessage[] {
+    return chat.map(toOpenAiCompatibleMessage);
+}
+
+function toOpenAiCompatibleMessage(message: ChatMessage): OpenAiMessage {
+    switch (message.role) {
+        case "tool":
+            return {
+                role: "tool",
+                tool_call_id: message.toolCallId ?? "",
+                content: message.content,
+            };
+        case "assistant":
+            if (message.toolCalls === undefined) {
+                return { role: "assistant", content: message.content };
+            }
+            return {
+                role: "assistant",
+                content: message.content === "" ? null : message.content,
+                tool_calls: message.toolCalls.map((call) => {
+                    return {
+                        id: call.id,
+                        type: "function",
+                        function: {
+                            name: call.name,
+                            arguments: JSON.stringify(call.args ?? {}),
+                        },
+                    };
+                }),
+            };
+        default:
+            return { role: message.role, content: message.content };
+    }
+}
+
+export function toOpenAiCompatibleTools(
+    tools: ChatToolDeclaration[] | undefined
+): OpenAiTool[] | undefined {
+    if (tools === undefined || tools.length === 0) {
+        return undefined;
+    }
+    return tools.map((tool) => {
+        return {
+            type: "function",
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters as Record<string, unknown>,
+            },
+        };
+    });
+}
+
+/**
+ * Collects tool calls from the deltas of a streamed completion:
+ * each call arrives in pieces, identified by its `index`,
+ * and its arguments are a JSON string split across the pieces.
+ */
+export class StreamedToolCallsCollector {
+    private readonly calls: { id: string; name: string; args: string }[] = [];
+
+    add(deltas: OpenAiToolCallDelta[] | undefined) {
+        for (const delta of deltas ?? []) {
+            const call = (this.calls[delta.index] ??= {
+                id: "",
+                name: "",
+                args: "",
+            });
+            call.id += delta.id ?? "";
+            call.name += delta.function?.name ?? "";
+            call.args += delta.function?.arguments ?? "";
+        }
+    }
+
+    /**
+     * Returns the collected calls or `undefined` if the model requested none.
+     * Arguments that are not valid JSON are replaced with an empty object,
+     * so that the tool itself reports what is missing.
+     */
+    build(): ChatToolCall[] | undefined {
+        const calls = this.calls.filter((call) => call !== undefined);
+        if (calls.length === 0) {
+            return undefined;
+        }
+        return calls.map((call, index) => {
+            return {
+                id: call.id === "" ? `call_${index}` : call.id,
+                name: call.name,
+                args: parseToolCallArguments(call.args),
+            };
+        });
+    }
+}
+
+function parseToolCallArguments(args: string): any {
+    if (args.trim() === "") {
+        return {};
+    }
+    try {
+        return JSON.parse(args);
+    } catch {
+        return {};
+    }
+}
@@ -0,0 +1,306 @@
+import * as vscode from 'vscode';
+import { readFileSync } from 'fs';
+import { homedir } from 'os';
+import * as path from 'path';
+import { CONFIGURATION_SECTION } from './chatModelSelection';
+import {
+    DEFAULT_AGENT_SYSTEM_TEMPLATE,
+    DEFAULT_AUTOMATION_HINT_TEMPLATE,
+    DEFAULT_CHAT_SYSTEM_TEMPLATE,
+    DEFAULT_PROOF_SCRIPT_HINT_TEMPLATE,
+    DEFAULT_PROOF_STEP_EXPLANATION_TEMPLATE,
+    DEFAULT_PROOF_STATE_HINT_TEMPLATE,
+    DEFAULT_PROVER_REQUEST_TEMPLATE,
+    DEFAULT_PROVER_SYSTEM_TEMPLATE,
+    DEFAULT_STATEMENT_BACK_TRANSLATION_TEMPLATE,
+    DEFAULT_STATEMENT_FORMALISATION_TEMPLATE,
+    DEFAULT_TACTIC_PROPOSAL_TEMPLATE,
+} from './defaultPromptTemplates';
+
+/**
+ * A prompt the agents send, with the variables it may refer to.
+ * `required` variables must appear in an override as `{{name}}`, since the agent does not work without them.
+ */
+interface PromptTemplateSpec {
+    description: string;
+    variables: Record<string, string>;
+    required: string[];
+    defaultTemplate: string;
+}
+
+const TOOLS_VARIABLES = {
+    toolDescriptions: 'The list of the tools available to the agent.',
+    toolCallFormat: 'How the model should call the tools (natively or as a JSON block).',
+};
+
+export const PROMPT_TEMPLATES = {
+    chatSystem: {
+        description: 'System prompt of the plain chat (without tools).',
+        variables: {},
+        required: [],
+        defaultTemplate: DEFAULT_CHAT_SYSTEM_TEMPLATE,
+    },
+    agentSystem: {
+        description: 'System prompt of the chat agent of the proof state panel.',
+        variables: {
+            ...TOOLS_VARIABLES,
+            editHistory: 'The proof state edits made so far, one `- before → after` line each; empty if none.',
+            editHistoryCount: 'The number of the proof state edits made so far.',
+        },
+        required: ['toolDescriptions', 'toolCallFormat'],
+        defaultTemplate: DEFAULT_AGENT_SYSTEM_TEMPLATE,
+    },
+    proverSystem: {
+        description: 'System prompt of the prover agent that synthesizes tactics for a proof state edit.',
+        variables: {
+            ...TOOLS_VARIABLES,
+            originalState: 'The full proof state before the edit.',
+            desiredState: 'The full proof state after the edit.',
+            automationReport: 'What the decision procedures of the automation portfolio did to each goal at the cursor; empty if they were not run.',
+            intendedEdits: 'The edits the user made in the panel, in words and in order, one numbered line each (e.g. "1. split goal 1 (a conjunction or an equivalence) into its two parts"); empty if only the states describe them.',
+        },
+        required: ['toolDescriptions', 'toolCallFormat', 'originalState', 'desiredState'],
+        defaultTemplate: DEFAULT_PROVER_SYSTEM_TEMPLATE,
+    },
+    proverRequest: {
+        description: 'The request that starts the prover agent.',
+        variables: {
+            nativeToolCalling: 'Set if the tools are declared to the model natively.',
+            originalState: 'The full proof state before the edit.',
+            desiredState: 'The full proof state after the edit.',
+        },
+        required: [],
+        defaultTemplate: DEFAULT_PROVER_REQUEST_TEMPLATE,
+    },
+    proofScriptHint: {
+        description: 'A chat request that asks about the theorem or the proof script.',
+        variables: { prompt: 'The request as typed by the user.' },
+        required: ['prompt'],
+        defaultTemplate: DEFAULT_PROOF_SCRIPT_HINT_TEMPLATE,
+    },
+    proofStateHint: {
+        description: 'A chat request that asks about the goals or tactics.',
+        variables: { prompt: 'The request as typed by the user.' },
+        required: ['prompt'],
+        defaultTemplate: DEFAULT_PROOF_STATE_HINT_TEMPLATE,
+    },
+    automationHint: {
+        description: 'A chat request, with what the decision procedures of the automation portfolio did to the goals at the cursor.',
+        variables: {
+            prompt: 'The request.',
+            report: 'What each decision procedure did to each goal, one line per goal.',
+        },
+        required: ['prompt', 'report'],
+        defaultTemplate: DEFAULT_AUTOMATION_HINT_TEMPLATE,
+    },
+    tacticProposal: {
+        description: 'The request that asks for candidate tactics at a node of the proof search.',
+        variables: {
+            goals: 'The goals of the proof state to make progress on.',
+            script: 'The tactics the search has run so far, one per line; empty at the start.',
+            count: 'How many tactics to propose at most.',
+        },
+        required: ['goals'],
+        defaultTemplate: DEFAULT_TACTIC_PROPOSAL_TEMPLATE,
+    },
+    statementFormalisation: {
+        description: 'The request that asks for candidate `Theorem` declarations of an informal statement.',
+        variables: {
+            statement: 'The informal statement, e.g. the text of a comment.',
+            context: 'The Coq file up to where the theorem will be inserted (its end, if long).',
+            count: 'How many candidates to propose at most.',
+        },
+        required: ['statement'],
+        defaultTemplate: DEFAULT_STATEMENT_FORMALISATION_TEMPLATE,
+    },
+    statementBackTranslation: {
+        description: 'The request that translates a type-checked candidate declaration back into English, for the user to confirm.',
+        variables: { theorem: 'The candidate `Theorem` declaration.' },
+        required: ['theorem'],
+        defaultTemplate: DEFAULT_STATEMENT_BACK_TRANSLATION_TEMPLATE,
+    },
+    proofStepExplanation: {
+        description: 'The request that explains one step of a proof, for the walkthrough of Explain This Proof.',
+        variables: {
+            theorem: 'The statement of the theorem.',
+            script: 'The steps of the proof before this one, one per line; empty for the first step.',
+            step: 'The step to explain.',
+            before: 'The goals before the step.',
+            after: 'The goals after the step.',
+        },
+        required: ['step'],
+        defaultTemplate: DEFAULT_PROOF_STEP_EXPLANATION_TEMPLATE,
+    },
+} satisfies Record<string, PromptTemplateSpec>;
+
+export type PromptTemplateName = keyof typeof PROMPT_TEMPLATES;
+
+export type PromptVariables = Record<string, string | number | boolean | undefined>;
+
+/** Setting with the prompt template overrides: template name (or `name@modelId`) to a file path. */
+const PROMPT_TEMPLATES_SETTING = 'promptTemplates';
+
+type TemplateNode =
+    | { kind: 'text'; text: string }
+    | { kind: 'variable'; name: string }
+    | { kind: 'section'; name: string; inverted: boolean; children: TemplateNode[] };
+
+const TAG = /\{\{\s*([#^/]?)\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Parses a template written in a subset of Mustache:
+ * - `{{name}}` is replaced with the value of the variable;
+ * - `{{#name}}...{{/name}}` is kept only if the variable is set (neither empty, nor `false`, nor `0`);
+ * - `{{^name}}...{{/name}}` is kept only if it is not.
+ *
+ * @returns the parsed template or the validation errors, with their line numbers.
+ */
+function parseTemplate(template: string, spec: PromptTemplateSpec): { nodes: TemplateNode[]; errors: string[] } {
+    const errors: string[] = [];
+    const lineOf = (offset: number) => template.slice(0, offset).split('\n').length;
+    const root: TemplateNode[] = [];
+    const open: { name: string; line: number; children: TemplateNode[] }[] = [];
+    const current = () => (open.length === 0 ? root : open[open.length - 1].children);
+    const pushText = (text: string, offset: number) => {
+        const stray = text.indexOf('{{');
+        if (stray !== -1) {
+            errors.push(`line ${lineOf(offset + stray)}: malformed tag; expected {{name}}, {{#name}}, {{^name}} or {{/name}}`);
+        }
+        if (text !== '') {
+            current().push({ kind: 'text', text });
+        }
+    };
+
+    let last = 0;
+    for (const match of template.matchAll(TAG)) {
+        const [tag, sigil, name] = match;
+        const offset = match.index!;
+        pushText(template.slice(last, offset), last);
+        last = offset + tag.length;
+        const line = lineOf(offset);
+        if (!(name in spec.variables)) {
+            errors.push(`line ${line}: unknown variable \`${name}\`; available: ${Object.keys(spec.variables).join(', ') || 'none'}`);
+        }
+        if (sigil === '/') {
+            const section = open.pop();
+            if (section === undefined) {
+                errors.push(`line ${line}: {{/${name}}} closes no section`);
+            } else if (section.name !== name) {
+                errors.push(`line ${line}: {{/${name}}} closes the section {{${section.name}}} opened at line ${section.line}`);
+            }
+        } else if (sigil === '#' || sigil === '^') {
+            const children: TemplateNode[] = [];
+            current().push({ kind: 'section', name, inverted: sigil === '^', children });
+            open.push({ name, line, children });
+        } else {
+            current().push({ kind: 'variable', name });
+        }
+    }
+    pushText(template.slice(last), last);
+    for (const section of open) {
+        errors.push(`line ${section.line}: section {{${section.name}}} is never closed`);
+    }
+
+    const used = new Set([...template.matchAll(TAG)].filter(([, sigil]) => sigil === '').map(([, , name]) => name));
+    for (const name of spec.required) {
+        if (!used.has(name)) {
+            errors.push(`required variable {{${name}}} is not used`);
+        }
+    }
+    return { nodes: root, errors };
+}
+
+function renderNodes(nodes: TemplateNode[], variables: PromptVariables): string {
+    return nodes
+        .map((node) => {
+            switch (node.kind) {
+                case 'text':
+                    return node.text;
+                case 'variable':
+                    return String(variables[node.name] ?? '');
+                case 'section': {
+                    const value = variables[node.name];
+                    const set = value !== undefined && value !== '' && value !== false && value !== 0;
+                    return set !== node.inverted ? renderNodes(node.children, variables) : '';
+                }
+            }
+        })
+        .join('');
+}
+
+/** Validates a template against the variables of the prompt `name`; returns the errors, if any. */
+export function validatePromptTemplate(name: PromptTemplateName, template: string): string[] {
+    return parseTemplate(template, PROMPT_TEMPLATES[name]).errors;
+}
+
+/** A configured prompt template override, read from its file. */
+export interface PromptTemplateOverride {
+    /** The setting key, i.e. the template name, possibly followed by `@modelId`. */
+    key: string;
+    file: string;
+    template?: string;
+    errors: string[];
+}
+
+function configuredOverrides(): Record<string, string> {
+    return vscode.workspace.getConfiguration(CONFIGURATION_SECTION).get<Record<string, string>>(PROMPT_TEMPLATES_SETTING, {});
+}
+
+/** Resolves `~/` against the home directory and relative paths against the first workspace folder. */
+function resolveTemplatePath(file: string): string {
+    if (file.startsWith('~/')) {
+        return path.join(homedir(), file.slice(2));
+    }
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0]?.uri.fsPath;
+    return path.isAbsolute(file) || workspaceFolder === undefined ? file : path.join(workspaceFolder, file);
+}
+
+function readOverride(key: string, file: string): PromptTemplateOverride {
+    const name = key.split('@')[0];
+    if (!(name in PROMPT_TEMPLATES)) {
+        return { key, file, errors: [`unknown prompt template \`${name}\`; available: ${Object.keys(PROMPT_TEMPLATES).join(', ')}`] };
+    }
+    let template: string;
+    try {
+        template = readFileSync(resolveTemplatePath(file), 'utf-8');
+    } catch (e) {
+        return { key, file, errors: [`cannot read the file: ${e instanceof Error ? e.message : String(e)}`] };
+    }
+    return { key, file, template, errors: validatePromptTemplate(name as PromptTemplateName, template) };
+}
+
+/** Reads and validates every configured prompt template override. */
+export function checkPromptTemplateOverrides(): PromptTemplateOverride[] {
+    return Object.entries(configuredOverrides()).map(([key, file]) => readOverride(key, file));
+}
+
+const reportedErrors = new Set<string>();
+
+/** Shows the errors of an invalid override once, rather than on every prompt it is used for. */
+function reportInvalidOverride(override: PromptTemplateOverride) {
+    const message = `Prompt template "${override.key}" (${override.file}) is invalid, the built-in one is used instead: ${override.errors.join('; ')}`;
+    if (!reportedErrors.has(message)) {
+        reportedErrors.add(message);
+        vscode.window.showWarningMessage(message);
+    }
+}
+
+/**
+ * Renders the prompt `name` with `variables`.
+ * The template is the one configured for `name@modelId`, else the one configured for `name`, else the built-in one;
+ * an override that fails to load or to validate is reported and the built-in template is used.
+ * Overrides are read on every call, so that edits to them apply to the next prompt.
+ */
+export function renderPromptTemplate(name: PromptTemplateName, variables: PromptVariables, modelId?: string): string {
+    const spec: PromptTemplateSpec = PROMPT_TEMPLATES[name];
+    const overrides = configuredOverrides();
+    const key = [modelId === undefined ? undefined : `${name}@${modelId}`, name].find((key) => key !== undefined && key in overrides);
+    if (key !== undefined) {
+        const override = readOverride(key, overrides[key]);
+        if (override.template !== undefined && override.errors.length === 0) {
+            return renderNodes(parseTemplate(override.template, spec).nodes, variables);
+        }
+        reportInvalidOverride(override);
+    }
+    return renderNodes(parseTemplate(spec.defaultTemplate, spec).nodes, variables);
+}
@@ -0,0 +1,101 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { GoalsWithMessages } from '../lsp/coqLspTypes';
+import { parseCoqFile } from '../parser/parseCoqFile';
+import { Theorem, Vernacexpr } from '../parser/parsedTypes';
+import { Uri } from '../utils/uri';
+import { ChatAdapter, requestCompletion } from './chatAdapters';
+import { goalsToPrompt } from './proofSearchRunner';
+import { renderPromptTemplate } from './promptTemplates';
+
+/** The sentences of a proof that only structure it; the walkthrough leaves them out. */
+const STRUCTURAL_STEPS = [Vernacexpr.VernacProof, Vernacexpr.VernacBullet, Vernacexpr.VernacSubproof, Vernacexpr.VernacEndSubproof];
+
+/** The theorem of `document` whose statement or proof contains `position`, as `parseCoqFile` finds it. */
+export async function findTheoremAt(
+    client: CoqLspClient,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'>,
+    position: vscode.Position
+): Promise<Theorem | undefined> {
+    const uri = Uri.fromVscodeUri(document.uri);
+    const content = document.getText();
+    return client.withTextDocument({ uri, version: document.version, content }, async () => {
+        const theorems = await parseCoqFile(uri, client, new AbortController().signal, false, undefined, content);
+        const before = (a: { line: number; character: number }, b: { line: number; character: number }) =>
+            a.line < b.line || (a.line === b.line && a.character <= b.character);
+        return theorems.find((theorem) => before(theorem.statement_range.start, position) && before(position, theorem.proof.end_pos.end));
+    });
+}
+
+/**
+ * Walks the steps of `theorem`'s proof, asking `model` to explain each tactic from the goals Coq shows before and
+ * after it, and reports the walkthrough as markdown (formulas in `$...$`) to `onUpdate`, one step at a time.
+ * Stops after the current step when `token` is cancelled.
+ */
+export async function explainProof(
+    client: CoqLspClient,
+    model: ChatAdapter,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'>,
+    theorem: Theorem,
+    onUpdate: (markdown: string) => void,
+    token?: vscode.CancellationToken
+): Promise<void> {
+    const uri = Uri.fromVscodeUri(document.uri);
+    const version = document.version;
+    const steps = theorem.proof.proof_steps;
+    onUpdate(`### Walkthrough of \`${theorem.name}\`\n\n\`\`\`coq\n${theorem.statement.trim()}\n\`\`\`\n\n`);
+
+    // The goals around each step are read first, so that the document is not held while the model answers
+    const explainable = steps.flatMap((step, index) => (STRUCTURAL_STEPS.includes(step.vernac_type) ? [] : [{ step, index }]));
+    const states = await client.withTextDocument({ uri, version, content: document.getText() }, async () => {
+        const goalsAt = async (position: { line: number; character: number }): Promise<GoalsWithMessages> => {
+            const goalsResult = await client.getGoalsAtPoint(position as any, uri as any, version);
+            if (!goalsResult.ok) {
+                throw goalsResult.val;
+            }
+            return goalsResult.val;
+        };
+        const read: { before: GoalsWithMessages; after: GoalsWithMessages }[] = [];
+        for (const { step } of explainable) {
+            read.push({ before: await goalsAt(step.range.start), after: await goalsAt(step.range.end) });
+        }
+        return read;
+    });
+
+    let explained = 0;
+    for (const [position, { step, index }] of explainable.entries()) {
+        if (token?.isCancellationRequested) {
+            onUpdate('_Stopped._\n');
+            return;
+        }
+        const text = step.text.trim();
+        if (step.vernac_type === Vernacexpr.VernacEndProof || step.vernac_type === Vernacexpr.VernacAbort) {
+            onUpdate(theorem.proof.is_incomplete
+                ? `_The proof ends with \`${text}\`: some of it is admitted, so the theorem is assumed rather than proved._\n`
+                : `_\`${text}\` checks the whole proof: the theorem is proved._\n`);
+            continue;
+        }
+        const { before, after } = states[position];
+        const prompt = renderPromptTemplate('proofStepExplanation', {
+            theorem: theorem.statement.trim(),
+            script: steps.slice(0, index).map((previous) => previous.text.trim()).join('\n'),
+            step: text,
+            before: goalsToPrompt(before.goals),
+            after: after.error ? `Coq rejects the step: ${after.error}` : goalsToPrompt(after.goals),
+        }, model.modelId);
+        const explanation = (await requestCompletion(model, prompt, { maxTokens: 512 }, token)).trim();
+        explained++;
+        const goals = after.error ? 'Coq rejects this step' : describeGoalCount(before.goals.length, after.goals.length);
+        onUpdate(`**${explained}. \`${text}\`** — ${explanation}\n\n_${goals}._\n\n`);
+    }
+}
+
+function describeGoalCount(before: number, after: number): string {
+    if (after === 0) {
+        return 'No goal is left';
+    }
+    if (after < before) {
+        return `Closes ${before - after} goal(s); ${after} left`;
+    }
+    return after > before ? `Splits the goal: ${after} goals to prove` : `${after} goal(s) to prove`;
+}
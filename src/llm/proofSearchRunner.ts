@@ -0,0 +1,182 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { ProofGoal, convertToString } from '../lsp/coqLspTypes';
+import { ProofSearchBudget, ProofSearchNode, ProofSearchResult, ProofSearchTarget, TacticProposer, searchProof } from '../core/proofSearch';
+import { goalToTargetLemma, hypToString } from '../core/exposedCompletionGeneratorUtils';
+import { ProverToolsOptions, applySuggestedEdit, tacticsInsertionText } from '../tools/proverTools';
+import { Uri } from '../utils/uri';
+import { millisToString } from '../utils/time';
+import { ChatAdapter, PredefinedProofsChatAdapter } from './chatAdapters';
+import { CONFIGURATION_SECTION } from './chatModelSelection';
+import { renderPromptTemplate } from './promptTemplates';
+
+/** The `proofSearch.*` settings. */
+export interface ProofSearchSettings extends ProofSearchBudget {
+    /** Also try the tactics of the first configured PredefinedProofs model at every node. */
+    usePredefinedTactics: boolean;
+    /** Run the search before the prover agent when implementing a proof state change. */
+    beforeProverAgent: boolean;
+}
+
+export function readProofSearchSettings(): ProofSearchSettings {
+    const config = vscode.workspace.getConfiguration(CONFIGURATION_SECTION);
+    return {
+        maxNodes: config.get<number>('proofSearch.maxNodes', 30),
+        timeoutMillis: config.get<number>('proofSearch.timeoutSeconds', 120) * 1000,
+        maxDepth: config.get<number>('proofSearch.maxDepth', 6),
+        tacticsPerNode: config.get<number>('proofSearch.tacticsPerNode', 5),
+        usePredefinedTactics: config.get<boolean>('proofSearch.usePredefinedTactics', true),
+        beforeProverAgent: config.get<boolean>('proofSearch.beforeProverAgent', false),
+    };
+}
+
+/** Asks a chat model for candidate tactics with the `tacticProposal` prompt. */
+export class ChatTacticProposer implements TacticProposer {
+    constructor(readonly model: ChatAdapter) {}
+
+    get name(): string {
+        return this.model.modelId;
+    }
+
+    async proposeTactics(node: ProofSearchNode, count: number, abortSignal: AbortSignal): Promise<string[]> {
+        const prompt = renderPromptTemplate('tacticProposal', {
+            goals: goalsToPrompt(node.goals),
+            script: node.tactics.join('\n'),
+            count,
+        }, this.model.modelId);
+        const cancellation = new vscode.CancellationTokenSource();
+        const cancel = () => cancellation.cancel();
+        abortSignal.addEventListener('abort', cancel);
+        try {
+            const response = await this.model.sendRequest([{ role: 'user', content: prompt }], { maxTokens: 512 }, cancellation.token);
+            let text = '';
+            for await (const chunk of response.text) {
+                text += chunk;
+            }
+            return parseProposedTactics(text).slice(0, count);
+        } finally {
+            abortSignal.removeEventListener('abort', cancel);
+            cancellation.dispose();
+        }
+    }
+}
+
+/** Proposes the tactics of a PredefinedProofs model, whatever the goals; cheap, and often enough for the leaves of a proof. */
+export class PredefinedTacticProposer implements TacticProposer {
+    constructor(readonly adapter: PredefinedProofsChatAdapter) {}
+
+    get name(): string {
+        return this.adapter.modelId;
+    }
+
+    async proposeTactics(node: ProofSearchNode, count: number): Promise<string[]> {
+        if (node.goals.length === 0) {
+            return [];
+        }
+        const proofs = await this.adapter.service.generateProof(
+            { completionTarget: goalToTargetLemma(node.goals[0]), contextTheorems: [] },
+            this.adapter.params
+        );
+        return proofs.map((proof) => proof.proof).slice(0, count);
+    }
+}
+
+/** The proposers for `model`, plus the tactics of `predefined` if given (and `model` is not already a PredefinedProofs one). */
+export function createTacticProposers(model: ChatAdapter, predefined?: PredefinedProofsChatAdapter): TacticProposer[] {
+    if (model instanceof PredefinedProofsChatAdapter) {
+        return [new PredefinedTacticProposer(model)];
+    }
+    return [new ChatTacticProposer(model), ...(predefined ? [new PredefinedTacticProposer(predefined)] : [])];
+}
+
+/**
+ * Extracts the candidate tactics from a model's reply: the lines of its first code block (or of the whole reply),
+ * without list markers and backticks. Lines that do not end a sentence or that give up the proof are dropped.
+ */
+export function parseProposedTactics(text: string): string[] {
+    const block = /```[a-zA-Z]*\n([\s\S]*?)```/.exec(text)?.[1] ?? text;
+    const tactics = block
+        .split('\n')
+        .map((line) => line.trim().replace(/^(?:[-*]|\d+[.)])\s+/, '').replace(/^`+|`+$/g, '').trim())
+        .filter((line) => line.endsWith('.') && !/\b(admit|Admitted|Abort)\b/.test(line));
+    return Array.from(new Set(tactics));
+}
+
+/** The goals as the prompts show them: numbered, each with its hypotheses above the line. */
+export function goalsToPrompt(goals: ProofGoal[]): string {
+    if (goals.length === 0) {
+        return '(no goals)';
+    }
+    return goals
+        .map((goal, index) => [`Goal ${index + 1}:`, ...goal.hyps.map(hypToString), '============================', convertToString(goal.ty)].join('\n'))
+        .join('\n\n');
+}
+
+/**
+ * Runs `searchProof` at `position` of `document` with `budget` (by default, the one of the settings),
+ * stopping (with the best script found so far) when `token` is cancelled.
+ */
+export async function runProofSearch(
+    clientReady: Promise<CoqLspClient>,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'>,
+    position: vscode.Position,
+    proposers: TacticProposer[],
+    target: ProofSearchTarget,
+    token?: vscode.CancellationToken,
+    onNodeExpanded?: (node: ProofSearchNode, nodesExpanded: number) => void,
+    budget: ProofSearchBudget = readProofSearchSettings()
+): Promise<ProofSearchResult> {
+    const client = await clientReady;
+    const abortController = new AbortController();
+    const cancelled = token?.onCancellationRequested(() => abortController.abort());
+    try {
+        return await searchProof(
+            client,
+            { uri: Uri.fromVscodeUri(document.uri), version: document.version, content: document.getText() },
+            { line: position.line, character: position.character },
+            proposers,
+            target,
+            budget,
+            abortController.signal,
+            onNodeExpanded
+        );
+    } finally {
+        cancelled?.dispose();
+    }
+}
+
+/**
+ * Inserts the script found by the search at `position` as a highlighted suggestion.
+ * Fails if the document has changed since version `searchedVersion`, which the script was checked against.
+ */
+export async function insertProofSearchScript(
+    editor: vscode.TextEditor,
+    position: vscode.Position,
+    tactics: string[],
+    searchedVersion: number,
+    options?: ProverToolsOptions
+): Promise<void> {
+    if (editor.document.version !== searchedVersion) {
+        throw new Error('the document has been changed since the proof search started');
+    }
+    const text = tacticsInsertionText(editor.document.getText(), editor.document.offsetAt(position), tactics.join(' '));
+    if (!(await applySuggestedEdit(editor, new vscode.Range(position, position), text, options))) {
+        throw new Error('the editor rejected the edit');
+    }
+}
+
+/** A one-paragraph markdown summary of a search: the script found, or why none was. */
+export function describeProofSearchResult(result: ProofSearchResult): string {
+    const stats = `${result.nodesExpanded} state(s) explored in ${millisToString(result.elapsedMillis)}`;
+    const errors = result.proposerErrors.length > 0 ? `\n\nTactic proposals failed: ${result.proposerErrors.join('; ')}` : '';
+    if (result.tactics !== undefined) {
+        return `Found \`${result.tactics.join(' ')}\` (${result.tactics.length} tactic(s), ${stats}).${errors}`;
+    }
+    const reasons = {
+        exhausted: 'no candidate tactic is left to try',
+        maxNodes: 'the node budget is used up',
+        timeout: 'the time budget is used up',
+        aborted: 'the search was cancelled',
+    };
+    return `No proof script found: ${reasons[result.stopReason]} (${stats}).${errors}`;
+}
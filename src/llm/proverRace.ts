@@ -0,0 +1,123 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { ProverToolsOptions, ShadowDocument, createProverTools } from '../tools/proverTools';
+import { millisToString, nowTimestampMillis } from '../utils/time';
+import { ChatAdapter } from './chatAdapters';
+import { AgentTool, ProverProofStateChange, runProverAgent } from './chatBridge';
+
+export type ProverRaceOutcome = 'won' | 'cancelled' | 'unsuccessful';
+
+export interface ProverRaceResult {
+    modelId: string;
+    outcome: ProverRaceOutcome;
+    /** Time from the start of the race until the model won, was cancelled or finished. */
+    millis: number;
+}
+
+interface ProverRaceRun {
+    model: ChatAdapter;
+    shadow: ShadowDocument;
+    cancellation: vscode.CancellationTokenSource;
+    transcript: string;
+    result?: ProverRaceResult;
+}
+
+/** The tools whose success means the desired state is reached. */
+const VALIDATION_TOOLS = ['validate_proof_state_change', 'validate_structured_proof_step', 'introduce_hypothesis', 'rewrite_proof_block'];
+
+/**
+ * Runs the prover agent for the same proof state change on several models at once.
+ * Each run edits its own `ShadowDocument` copy of the editor's document, so runs do not see each other's edits.
+ * The first run whose `validate_proof_state_change` (or another tool of `VALIDATION_TOOLS`) succeeds wins: the other runs are cancelled,
+ * and once the winner has finished, its edits are applied to the editor.
+ *
+ * The runs' output is held back while they race; then the winner's transcript (or every run's, if none won)
+ * is passed to `onUpdate`, followed by the outcome and time of each model.
+ */
+export async function raceProverAgents(
+    clientReady: Promise<CoqLspClient>,
+    models: ChatAdapter[],
+    proofStateChange: ProverProofStateChange,
+    editor: vscode.TextEditor,
+    toolsOptions: ProverToolsOptions,
+    onUpdate: (text: string) => void,
+    token?: vscode.CancellationToken
+): Promise<ProverRaceResult[]> {
+    const start = nowTimestampMillis();
+    const runs: ProverRaceRun[] = models.map((model) => ({
+        model,
+        shadow: new ShadowDocument(editor.document),
+        cancellation: new vscode.CancellationTokenSource(),
+        transcript: '',
+    }));
+    const finish = (run: ProverRaceRun, outcome: ProverRaceOutcome) => {
+        run.result ??= { modelId: run.model.modelId, outcome, millis: nowTimestampMillis() - start };
+    };
+    let winner: ProverRaceRun | undefined = undefined;
+    const claimWin = (run: ProverRaceRun) => {
+        winner = run;
+        finish(run, 'won');
+        onUpdate(`_${run.model.modelId} reached the desired state first; cancelling the other models._\n\n`);
+        for (const other of runs.filter((other) => other !== run)) {
+            finish(other, 'cancelled');
+            other.cancellation.cancel();
+        }
+    };
+    const cancelAll = token?.onCancellationRequested(() => {
+        for (const run of runs) {
+            finish(run, 'cancelled');
+            run.cancellation.cancel();
+        }
+    });
+
+    onUpdate(`_Racing ${runs.length} models: ${runs.map((run) => run.model.modelId).join(', ')}. The first one to reach the desired state wins._\n\n`);
+    try {
+        await Promise.all(runs.map(async (run) => {
+            const tools = createProverTools(clientReady, editor, { ...toolsOptions, shadow: run.shadow })
+                .map((tool): AgentTool => !VALIDATION_TOOLS.includes(tool.name) ? tool : {
+                    ...tool,
+                    execute: async (args: any) => {
+                        const result = await tool.execute(args);
+                        if (winner === undefined && !run.cancellation.token.isCancellationRequested && result.startsWith('valid:')) {
+                            claimWin(run);
+                        }
+                        return result;
+                    },
+                });
+            await runProverAgent(clientReady, run.model, proofStateChange, tools, (text) => {
+                run.transcript += text;
+            }, undefined, run.cancellation.token);
+            finish(run, 'unsuccessful');
+        }));
+    } finally {
+        cancelAll?.dispose();
+        runs.forEach((run) => run.cancellation.dispose());
+    }
+
+    const won = winner as ProverRaceRun | undefined;
+    for (const run of won ? [won] : runs) {
+        onUpdate(`#### ${run.model.modelId}\n\n${run.transcript}\n\n`);
+    }
+    if (won) {
+        try {
+            await won.shadow.applyTo(editor, toolsOptions);
+        } catch (e) {
+            onUpdate(`**The edit found by ${won.model.modelId} could not be applied:** ${e instanceof Error ? e.message : String(e)}\n\n`);
+        }
+    }
+    const results = runs.map((run) => run.result!);
+    onUpdate(results.map(describeResult).join('\n') + '\n');
+    return results;
+}
+
+function describeResult(result: ProverRaceResult): string {
+    const time = millisToString(result.millis);
+    switch (result.outcome) {
+        case 'won':
+            return `- **${result.modelId}**: reached the desired state in ${time}`;
+        case 'cancelled':
+            return `- ${result.modelId}: cancelled after ${time}`;
+        case 'unsuccessful':
+            return `- ${result.modelId}: stopped without reaching the desired state after ${time}`;
+    }
+}
@@ -0,0 +1,100 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { ProofGoal } from '../lsp/coqLspTypes';
+import { ProofSearchBudget, TacticProposer } from '../core/proofSearch';
+import { printGoals } from '../core/proofStateDiff';
+import { matchProofState, readProofStateMatchStrictness } from '../tools/proofStateMatching';
+import { ShadowDocument } from '../tools/proverTools';
+import { SuggestionCallback } from './chatBridge';
+import { CONFIGURATION_SECTION } from './chatModelSelection';
+import { readProofSearchSettings, runProofSearch } from './proofSearchRunner';
+
+/** A proof state edit suggested by the chat agent, as sent to the panel. */
+export type SuggestedProofStateEdit = Parameters<SuggestionCallback>[0];
+
+/**
+ * Whether the state a suggestion asks for can be reached from the current one:
+ * - `reachable`: the search found a script that reaches it, checked with Coq;
+ * - `unreachable`: every tactic the proposers offered was tried, up to the maximum depth, without reaching it;
+ * - `unknown`: the search ran out of budget (or was cancelled) first.
+ */
+export type Reachability = 'reachable' | 'unknown' | 'unreachable';
+
+export interface ReachabilityVerdict {
+    reachability: Reachability;
+    /** The script that reaches the state, when `reachable`. */
+    tactics?: string[];
+    /** The verdict in words, for the user. */
+    detail: string;
+}
+
+/** The `reachabilityOracle.*` settings. */
+export interface ReachabilityOracleSettings {
+    enabled: boolean;
+    budget: ProofSearchBudget;
+}
+
+export function readReachabilityOracleSettings(): ReachabilityOracleSettings {
+    const config = vscode.workspace.getConfiguration(CONFIGURATION_SECTION);
+    return {
+        enabled: config.get<boolean>('reachabilityOracle.enabled', true),
+        budget: {
+            ...readProofSearchSettings(),
+            maxNodes: config.get<number>('reachabilityOracle.maxNodes', 12),
+            timeoutMillis: config.get<number>('reachabilityOracle.timeoutSeconds', 20) * 1000,
+        },
+    };
+}
+
+/**
+ * The state `goals` would be in once `suggestion` is made, in the panel's format: the suggested hypothesis
+ * added to its goal, or the first occurrence of the original text replaced, as the panel shows it.
+ * `undefined` if the suggestion does not fit the goals.
+ */
+export function desiredStateForSuggestion(goals: ProofGoal[], suggestion: SuggestedProofStateEdit): string | undefined {
+    const flat = (text: string) => text.replace(/\s+/g, ' ').trim();
+    const blocks = printGoals(goals).map((goal) => [...goal.hyps.map((hyp) => `${hyp.names.join(', ')}: ${flat(hyp.ty)}`), flat(goal.ty)]);
+    const suggested = flat(suggestion.suggestedValue);
+    const original = flat(suggestion.originalValue ?? '');
+    if (original === '') {
+        const block = blocks[Math.max(1, suggestion.goalIndex ?? 1) - 1];
+        if (block === undefined) {
+            return undefined;
+        }
+        const named = /^[A-Za-z_][\w']*(?:[\s,]+[A-Za-z_][\w']*)*\s*:(?!=)/.test(suggested);
+        block.splice(block.length - 1, 0, named ? suggested : `${suggestion.hypothesisName}: ${suggested}`);
+        return blocks.map((lines) => lines.join('\n')).join('\n\n');
+    }
+    const state = blocks.map((lines) => lines.join('\n')).join('\n\n');
+    return state.includes(original) ? state.replace(original, () => suggested) : undefined;
+}
+
+/**
+ * Searches, within `budget`, for a script that takes the state at `position` of `document` to `desiredValue`.
+ * The search runs on a copy of the document, so that the user can keep editing meanwhile.
+ */
+export async function checkReachability(
+    clientReady: Promise<CoqLspClient>,
+    document: vscode.TextDocument,
+    position: vscode.Position,
+    desiredValue: string,
+    proposers: TacticProposer[],
+    budget: ProofSearchBudget,
+    token?: vscode.CancellationToken
+): Promise<ReachabilityVerdict> {
+    if (proposers.length === 0) {
+        return { reachability: 'unknown', detail: 'no tactic proposer is available to search with' };
+    }
+    const strictness = readProofStateMatchStrictness();
+    const result = await runProofSearch(clientReady, new ShadowDocument(document), position, proposers, async (goals, _initialGoals, probe) => {
+        return (await matchProofState(goals, desiredValue, strictness, probe)).matches;
+    }, token, undefined, budget);
+    if (result.tactics !== undefined) {
+        return { reachability: 'reachable', tactics: result.tactics, detail: `\`${result.tactics.join(' ')}\` reaches it` };
+    }
+    if (result.stopReason === 'exhausted') {
+        return { reachability: 'unreachable', detail: `no script of up to ${budget.maxDepth} proposed tactic(s) reaches it` };
+    }
+    const reasons = { maxNodes: 'the search budget ran out', timeout: 'the search timed out', aborted: 'the search was cancelled' };
+    return { reachability: 'unknown', detail: `${reasons[result.stopReason]} after ${result.nodesExpanded} state(s)` };
+}
@@ -0,0 +1,126 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { ProverToolsOptions, applySuggestedEdit } from '../tools/proverTools';
+import { Uri } from '../utils/uri';
+import { ChatAdapter, requestCompletion } from './chatAdapters';
+import { renderPromptTemplate } from './promptTemplates';
+
+/** How many candidate declarations the model is asked for. */
+const CANDIDATES = 3;
+
+/** How much of the file before the insertion point is sent to the model, in characters (the end of it). */
+const CONTEXT_CHARACTERS = 6000;
+
+export interface TheoremCandidate {
+    /** The `Theorem name : statement.` sentence, as proposed. */
+    declaration: string;
+    /** Coq's error, if the declaration does not type-check where it is to be inserted. */
+    error?: string;
+    /** The declaration in English, for the user to confirm; only for the ones that type-check. */
+    backTranslation?: string;
+}
+
+/** The informal statement in a selected comment: the text without the comment delimiters and the rulers around it. */
+export function informalStatementFromText(text: string): string {
+    return text
+        .replace(/\(\*+|\*+\)/g, '')
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((line) => !/^[-=*]*$/.test(line))
+        .join(' ')
+        .trim();
+}
+
+/**
+ * Extracts the candidate declarations from a model's reply: the `Theorem` (or `Lemma`, ...) sentences of its first
+ * code block (or of the whole reply), each up to the period that ends a line. Proof scripts are dropped.
+ */
+export function parseTheoremCandidates(text: string): string[] {
+    const block = /```[a-zA-Z]*\n([\s\S]*?)```/.exec(text)?.[1] ?? text;
+    const declarations = [...block.matchAll(/^\s*((?:Theorem|Lemma|Proposition|Corollary|Fact)\s[\s\S]*?\.)\s*$/gm)].map((match) =>
+        match[1].replace(/\s*\n\s*/g, '\n  ').trim()
+    );
+    return Array.from(new Set(declarations));
+}
+
+/**
+ * Asks `model` for candidate declarations of `statement`, checks each with coq-lsp at `position` of `document`
+ * (where it is to be inserted, so with the definitions above it) and has the model translate the ones that
+ * type-check back into English, in a separate request.
+ */
+export async function formaliseStatement(
+    client: CoqLspClient,
+    model: ChatAdapter,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText' | 'offsetAt'>,
+    position: vscode.Position,
+    statement: string,
+    token?: vscode.CancellationToken
+): Promise<TheoremCandidate[]> {
+    const content = document.getText();
+    const before = content.slice(0, document.offsetAt(position));
+    const prompt = renderPromptTemplate('statementFormalisation', {
+        statement,
+        context: before.slice(-CONTEXT_CHARACTERS).trim(),
+        count: CANDIDATES,
+    }, model.modelId);
+    const declarations = parseTheoremCandidates(await requestCompletion(model, prompt, { maxTokens: 1024 }, token)).slice(0, CANDIDATES);
+
+    const uri = Uri.fromVscodeUri(document.uri);
+    const version = document.version;
+    const candidates = await client.withTextDocument({ uri, version, content }, async () => {
+        const checked: TheoremCandidate[] = [];
+        for (const declaration of declarations) {
+            const goalsResult = await client.getGoalsAtPoint(position as any, uri as any, version, declaration);
+            if (!goalsResult.ok) {
+                throw goalsResult.val;
+            }
+            const error = goalsResult.val.error ?? (goalsResult.val.goals.length === 0 ? 'the declaration opens no goal' : undefined);
+            checked.push({ declaration, error });
+        }
+        return checked;
+    });
+    for (const candidate of candidates) {
+        if (candidate.error === undefined && !token?.isCancellationRequested) {
+            const translation = await requestCompletion(model, renderPromptTemplate('statementBackTranslation', { theorem: candidate.declaration }, model.modelId), { maxTokens: 256 }, token);
+            candidate.backTranslation = translation.trim();
+        }
+    }
+    return candidates;
+}
+
+/**
+ * Shows the candidates that type-check with their back-translations, and inserts the one the user confirms
+ * with `Proof. Admitted.` at the end of line `line`, as a suggestion that can be kept or reverted.
+ * Returns what happened, in words.
+ */
+export async function confirmAndInsertTheorem(
+    editor: vscode.TextEditor,
+    line: number,
+    candidates: TheoremCandidate[],
+    options?: ProverToolsOptions
+): Promise<string> {
+    const checked = candidates.filter((candidate) => candidate.error === undefined);
+    if (checked.length === 0) {
+        const errors = candidates.map((candidate) => `${candidate.declaration}\n  ${candidate.error}`);
+        return candidates.length === 0
+            ? 'The model proposed no `Theorem` declaration.'
+            : `No candidate type-checks:\n${errors.join('\n')}`;
+    }
+    const picked = await vscode.window.showQuickPick(
+        checked.map((candidate) => ({
+            label: candidate.declaration.replace(/\s+/g, ' '),
+            detail: candidate.backTranslation ? `Reads as: ${candidate.backTranslation}` : undefined,
+            candidate,
+        })),
+        { placeHolder: 'Insert the declaration whose reading matches the statement', matchOnDetail: true, ignoreFocusOut: true }
+    );
+    if (!picked) {
+        return `The user inserted none of the ${checked.length} type-checked candidate(s).`;
+    }
+    const end = editor.document.lineAt(line).range.end;
+    const text = `\n${picked.candidate.declaration}\nProof.\nAdmitted.`;
+    if (!(await applySuggestedEdit(editor, new vscode.Range(end, end), text, options))) {
+        return 'The editor rejected the edit.';
+    }
+    return `Inserted \`${picked.candidate.declaration.replace(/\s+/g, ' ')}\` with \`Proof. Admitted.\`, which reads as: ${picked.candidate.backTranslation ?? '(no back-translation)'}`;
+}
@@ -84,6 +84,21 @@ export interface DeepSeekUserModelParams extends UserModelParams {
     apiKey: string;
 }
 
+export interface GeminiUserModelParams extends UserModelParams {
+    modelName: string;
+    temperature: number;
+
+    /**
+     * Google Cloud project with the Vertex AI API enabled.
+     */
+    projectId: string;
+
+    /**
+     * Vertex AI location to send requests to, `"global"` by default.
+     */
+    location?: string;
+}
+
 export const userMultiroundProfileSchema: JSONSchemaType<UserMultiroundProfile> =
     {
         type: "object",
@@ -188,3 +203,18 @@ export const deepSeekUserModelParamsSchema: JSONSchemaType<DeepSeekUserModelPara
         required: ["modelId", "modelName", "temperature", "apiKey"],
         additionalProperties: false,
     };
+
+export const geminiUserModelParamsSchema: JSONSchemaType<GeminiUserModelParams> =
+    {
+        title: "geminiModelsParameters",
+        type: "object",
+        properties: {
+            modelName: { type: "string" },
+            temperature: { type: "number" },
+            projectId: { type: "string" },
+            location: { type: "string", nullable: true },
+            ...(userModelParamsSchema.properties as PropertiesSchema<UserModelParams>),
+        },
+        required: ["modelId", "modelName", "temperature", "projectId"],
+        additionalProperties: false,
+    };
@@ -7,6 +7,7 @@ export class SuggestionManager implements vscode.CodeLensProvider {
         uri: vscode.Uri;
         range: vscode.Range;
         oldText: string; // Keep track of this so we can revert!
+        transactionId?: number; // The edit in agentEditLog, to revert it exactly
     } | undefined;
 
     // This event tells VS Code to redraw the CodeLenses when a suggestion appears/disappears
@@ -14,8 +15,8 @@ export class SuggestionManager implements vscode.CodeLensProvider {
     public readonly onDidChangeCodeLenses: vscode.Event<void> = this._onDidChangeCodeLenses.event;
 
     /** Called by your AI agent when a new tactic is inserted */
-    public setSuggestion(uri: vscode.Uri, range: vscode.Range, oldText: string = '') {
-        this.activeSuggestion = { uri, range, oldText };
+    public setSuggestion(uri: vscode.Uri, range: vscode.Range, oldText: string = '', transactionId?: number) {
+        this.activeSuggestion = { uri, range, oldText, transactionId };
         
         // This enables the Cmd+Shift+Y / Cmd+Shift+N keyboard shortcuts
         // Note: keeping 'coqExtension.suggestionActive' to perfectly match your package.json 'when' clauses
@@ -0,0 +1,95 @@
+import * as assert from 'assert';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { ChatAdapter, ChatAdapterResponse, ChatRequestOptions } from '../llm/chatAdapters';
+import { RecordingChatAdapter, ReplayChatAdapter, readCassette } from '../llm/cassetteAdapters';
+
+/** Answers each request with the chunks `respond` gives for its last message. */
+class ScriptedChatAdapter implements ChatAdapter {
+	readonly modelId = 'scripted';
+	readonly supportsToolCalling = false;
+
+	constructor(private readonly respond: (prompt: string) => string[]) {}
+
+	async sendRequest(messages: any[], _options?: ChatRequestOptions): Promise<ChatAdapterResponse> {
+		const chunks = this.respond(messages[messages.length - 1].content);
+		return {
+			text: (async function* () {
+				yield* chunks;
+			})(),
+			toolCalls: Promise.resolve([]),
+		};
+	}
+}
+
+async function ask(model: ChatAdapter, prompt: string, options: ChatRequestOptions = {}): Promise<string> {
+	const response = await model.sendRequest([{ role: 'user', content: prompt }], options);
+	let text = '';
+	for await (const chunk of response.text) {
+		text += chunk;
+	}
+	return text;
+}
+
+suite('Cassette adapters', () => {
+	let dir: string;
+	let path: string;
+
+	setup(() => {
+		dir = mkdtempSync(join(tmpdir(), 'cassette-'));
+		path = join(dir, 'session.json');
+	});
+
+	teardown(() => {
+		rmSync(dir, { recursive: true, force: true });
+	});
+
+	async function record(prompts: string[]): Promise<void> {
+		const recording = new RecordingChatAdapter(new ScriptedChatAdapter((prompt) => [`re: `, prompt]), path);
+		for (const prompt of prompts) {
+			await ask(recording, prompt, { maxTokens: 16 });
+		}
+		assert.strictEqual(recording.exchangesRecorded, prompts.length);
+	}
+
+	test('exact replay serves the response recorded for each request', async () => {
+		await record(['intros.', 'lia.']);
+		const replay = new ReplayChatAdapter(readCassette(path), 'exact');
+		assert.strictEqual(replay.modelId, 'scripted');
+		assert.strictEqual(await ask(replay, 'lia.', { maxTokens: 16 }), 're: lia.');
+		assert.strictEqual(await ask(replay, 'intros.', { maxTokens: 16 }), 're: intros.');
+		assert.strictEqual(replay.exchangesLeft, 0);
+	});
+
+	test('exact replay rejects a request that was not recorded', async () => {
+		await record(['intros.']);
+		const replay = new ReplayChatAdapter(readCassette(path), 'exact');
+		await assert.rejects(ask(replay, 'intros.', { maxTokens: 32 }), /no recorded response/);
+		await assert.rejects(ask(replay, 'auto.', { maxTokens: 16 }), /no recorded response/);
+	});
+
+	test('sequential replay serves the responses in request order, whatever is asked', async () => {
+		await record(['intros.', 'lia.']);
+		const replay = new ReplayChatAdapter(readCassette(path), 'sequential');
+		assert.strictEqual(await ask(replay, 'something else'), 're: intros.');
+		assert.strictEqual(await ask(replay, 'and another'), 're: lia.');
+		await assert.rejects(ask(replay, 'one more'), /have been replayed/);
+	});
+
+	test('overlapping and unread responses keep the order of their requests', async () => {
+		const recording = new RecordingChatAdapter(new ScriptedChatAdapter((prompt) => [prompt]), path);
+		const first = await recording.sendRequest([{ role: 'user', content: 'first' }]);
+		const second = await recording.sendRequest([{ role: 'user', content: 'second' }]);
+		await recording.sendRequest([{ role: 'user', content: 'never read' }]);
+		for await (const _chunk of second.text) { /* read before the first */ }
+		for await (const _chunk of first.text) { /* read last */ }
+
+		const cassette = readCassette(path);
+		assert.deepStrictEqual(cassette.exchanges.map((exchange) => exchange.chunks), [['first'], ['second'], []]);
+		const replay = new ReplayChatAdapter(cassette, 'sequential');
+		assert.strictEqual(await ask(replay, 'anything'), 'first');
+		assert.strictEqual(await ask(replay, 'anything'), 'second');
+	});
+});
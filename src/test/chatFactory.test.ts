@@ -0,0 +1,92 @@
+import * as assert from 'assert';
+
+import { ChatHistory, ChatMessage } from '../llm/llmServices/commonStructures/chat';
+import { ModelParams } from '../llm/llmServices/modelParams';
+import { buildConversationChat } from '../llm/llmServices/utils/chatFactory';
+import { ConfigurationError } from '../llm/llmServiceErrors';
+
+/** Params without a model name, so that a token is counted as 4 characters. */
+function params(tokensLimit: number): ModelParams {
+	return {
+		modelId: 'test',
+		systemPrompt: 'You prove theorems.',
+		maxTokensToGenerate: 100,
+		tokensLimit,
+		maxContextTheoremsNumber: 0,
+		multiroundProfile: { maxRoundsNumber: 1, defaultProofFixChoices: 1, proofFixPrompt: '', maxPreviousProofVersionsNumber: 0 },
+		defaultChoices: 1,
+	};
+}
+
+const tools = [
+	{ name: 'search', description: 'Searches the lemmas.', parameters: {} },
+	{ name: 'goals', description: 'Shows the goals.', parameters: {} },
+];
+
+function call(id: string, name: string, content = ''): ChatMessage {
+	return { role: 'assistant', content, toolCalls: [{ id, name, args: {} }] };
+}
+
+function result(id: string, name: string, content: string): ChatMessage {
+	return { role: 'tool', content, toolCallId: id, toolName: name };
+}
+
+/** Two rounds: the first one looks up lemmas and the goals, the second one only looks up lemmas. */
+const conversation: ChatHistory = [
+	{ role: 'user', content: 'Prove the theorem.' },
+	{ role: 'assistant', content: 'Let me look around.', toolCalls: [{ id: '1', name: 'search', args: {} }, { id: '2', name: 'goals', args: {} }] },
+	result('1', 'search', 'x'.repeat(2000)),
+	result('2', 'goals', 'g'.repeat(1200)),
+	{ role: 'assistant', content: 'The first step is done.' },
+	{ role: 'user', content: 'Continue.' },
+	call('3', 'search'),
+	result('3', 'search', 'y'.repeat(400)),
+];
+
+function contents(chat: ChatHistory): string[] {
+	return chat.slice(1).map((message) => message.content);
+}
+
+suite('Conversation chat', () => {
+	test('a conversation that fits is kept as is', () => {
+		const { chat } = buildConversationChat(conversation, params(2000), tools);
+		assert.deepStrictEqual(chat.slice(1), conversation);
+	});
+
+	test('older tool results are truncated before any round is dropped', () => {
+		const { chat } = buildConversationChat(conversation, params(700), tools);
+		assert.deepStrictEqual(contents(chat).map((content) => content.length), [18, 19, 364, 1200, 23, 9, 0, 400]);
+		assert.match(chat[3].content, /^x{300}\n\[\.\.\. 1700 more characters/);
+	});
+
+	test('the latest tool results and the calls they answer are kept when their round is dropped', () => {
+		const { chat } = buildConversationChat(conversation, params(620), tools);
+		assert.deepStrictEqual(chat.slice(1), [
+			call('2', 'goals', 'Let me look around.'),
+			result('2', 'goals', 'g'.repeat(1200)),
+			{ role: 'user', content: 'Continue.' },
+			call('3', 'search'),
+			result('3', 'search', 'y'.repeat(400)),
+		]);
+	});
+
+	test('the latest results are kept without native tool calls too', () => {
+		const { chat } = buildConversationChat(conversation, params(620));
+		assert.deepStrictEqual(chat.slice(1).map((message) => message.role), ['assistant', 'user', 'assistant', 'user']);
+		assert.match(chat[1].content, /^Let me look around\.\n/);
+		assert.match(chat[2].content, /^TOOL RESULT \(goals\): g{1200}\n\nContinue\.$/);
+	});
+
+	test('rounds are dropped oldest first and the last round always survives', () => {
+		const rounds: ChatHistory = [
+			{ role: 'user', content: 'a'.repeat(400) },
+			{ role: 'assistant', content: 'b'.repeat(400) },
+			{ role: 'user', content: 'c'.repeat(400) },
+			{ role: 'assistant', content: 'd'.repeat(400) },
+			{ role: 'user', content: 'e'.repeat(400) },
+		];
+		assert.deepStrictEqual(contents(buildConversationChat(rounds, params(450)).chat), ['c'.repeat(400), 'd'.repeat(400), 'e'.repeat(400)]);
+		assert.deepStrictEqual(contents(buildConversationChat(rounds, params(250)).chat), ['e'.repeat(400)]);
+		assert.throws(() => buildConversationChat(rounds, params(150)), ConfigurationError);
+	});
+});
@@ -0,0 +1,41 @@
+import * as assert from 'assert';
+
+import { findHypothesisEdits, hypothesisEditScript } from '../tools/hypothesisEdits';
+
+/** The script that makes the hypothesis edits between two panel states, `undefined` if there are none to make. */
+function script(originalValue: string, desiredValue: string): string | undefined {
+	const edits = findHypothesisEdits(originalValue, desiredValue);
+	return edits === undefined ? undefined : hypothesisEditScript(edits);
+}
+
+suite('Hypothesis edits', () => {
+	test('a deleted hypothesis is cleared', () => {
+		assert.strictEqual(script('n : nat\nH : n = 0\nK : True\nn = 0', 'n : nat\nH : n = 0\nn = 0'), 'clear K.');
+		assert.strictEqual(script('n : nat\nH : n = 0\nK : True\nn = 0', 'n : nat\nn = 0'), 'clear H K.');
+	});
+
+	test('a hypothesis with a new name and the same type is renamed', () => {
+		assert.deepStrictEqual(findHypothesisEdits('n : nat\nH : n > 0\nn <> 0', 'n : nat\nHpos : n > 0\nn <> 0'), {
+			goalIndex: 1,
+			changes: [{ kind: 'renamed', name: 'H', newName: 'Hpos', ty: 'n > 0' }],
+		});
+		assert.strictEqual(script('n : nat\nH : n > 0\nn <> 0', 'n : nat\nHpos : n > 0\nn <> 0'), 'rename H into Hpos.');
+	});
+
+	test('clearing comes before renaming, renaming before moving', () => {
+		assert.strictEqual(
+			script('n : nat\nm : nat\nH : n = m\nG : m = n\nK : True\nn = m', 'n : nat\nH : n = m\nm : nat\nHmn : m = n\nn = m'),
+			'clear K. rename G into Hmn. move H after n.'
+		);
+	});
+
+	test('the sentences select the edited goal', () => {
+		assert.strictEqual(script('True\n\nn : nat\nH : n = 0\nn = 0', 'True\n\nn : nat\nn = 0'), '2: clear H.');
+	});
+
+	test('a new or retyped hypothesis is not a hypothesis edit', () => {
+		assert.strictEqual(findHypothesisEdits('n : nat\nn = 0', 'n : nat\nH : n = 0\nn = 0'), undefined);
+		assert.strictEqual(findHypothesisEdits('n : nat\nH : n = 0\nTrue', 'n : nat\nH : 0 = n\nTrue'), undefined);
+		assert.strictEqual(findHypothesisEdits('n : nat\nH : n = 0\nTrue', 'n : nat\nH : n = 0\nFalse'), undefined);
+	});
+});
@@ -0,0 +1,24 @@
+import * as assert from 'assert';
+
+import { findAddedHypothesis } from '../tools/hypothesisSynthesis';
+
+suite('Added hypothesis', () => {
+	test('a new hypothesis is found with its goal', () => {
+		assert.deepStrictEqual(findAddedHypothesis('n : nat\nn <> 0', 'n : nat\nH : n > 0\nn <> 0'), { goalIndex: 1, name: 'H', ty: 'n > 0' });
+		assert.deepStrictEqual(findAddedHypothesis('True\n\nn : nat\nn = n', 'True\n\nn : nat\nH : n <= n\nn = n'), { goalIndex: 2, name: 'H', ty: 'n <= n' });
+	});
+
+	test('the new hypothesis may be anywhere among the others', () => {
+		assert.deepStrictEqual(findAddedHypothesis('n : nat\nm : nat\nn = m', 'n : nat\nH : n = m\nm : nat\nn = m'), { goalIndex: 1, name: 'H', ty: 'n = m' });
+	});
+
+	test('anything else than exactly one new hypothesis is not an added hypothesis', () => {
+		assert.strictEqual(findAddedHypothesis('n : nat\nn = n', 'n : nat\nn = n'), undefined);
+		assert.strictEqual(findAddedHypothesis('n : nat\nn = n', 'n : nat\nH : n = n\nG : n = n\nn = n'), undefined);
+		assert.strictEqual(findAddedHypothesis('n : nat\nn = n', 'n : nat\na, b : nat\nn = n'), undefined);
+		assert.strictEqual(findAddedHypothesis('n : nat\nn = n', 'n : nat\nH : n = n\nn = 0'), undefined);
+		assert.strictEqual(findAddedHypothesis('n : nat\nn = n', 'm : nat\nn = n'), undefined);
+		assert.strictEqual(findAddedHypothesis('n, m : nat\nn = m', 'n : nat\nH : n = m\nm : nat\nn = m'), undefined);
+		assert.strictEqual(findAddedHypothesis('True\n\nn : nat\nn = n', 'H : False\nTrue\n\nn : nat\nG : n = n\nn = n'), undefined);
+	});
+});
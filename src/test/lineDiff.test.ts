@@ -0,0 +1,36 @@
+import * as assert from 'assert';
+
+import { diffLines, formatUnifiedDiff } from '../utils/lineDiff';
+
+suite('Line diff', () => {
+	test('identical texts have no hunk', () => {
+		assert.deepStrictEqual(diffLines(['intros.', 'auto.'], ['intros.', 'auto.']), []);
+		assert.strictEqual(formatUnifiedDiff([]), '');
+	});
+
+	test('an insertion only adds lines', () => {
+		const hunks = diffLines(['intros.', 'auto.'], ['intros.', 'simpl.', 'auto.']);
+		assert.deepStrictEqual(hunks, [{ oldStart: 1, oldLines: [], newStart: 1, newLines: ['simpl.'] }]);
+		assert.strictEqual(formatUnifiedDiff(hunks), '@@ -2,0 +2,1 @@\n+simpl.');
+	});
+
+	test('a deletion only removes lines', () => {
+		const hunks = diffLines(['intros.', 'simpl.', 'auto.'], ['intros.', 'auto.']);
+		assert.deepStrictEqual(hunks, [{ oldStart: 1, oldLines: ['simpl.'], newStart: 1, newLines: [] }]);
+		assert.strictEqual(formatUnifiedDiff(hunks), '@@ -2,1 +2,0 @@\n-simpl.');
+	});
+
+	test('changes apart from each other make separate hunks', () => {
+		const hunks = diffLines(['a', 'b', 'c', 'd', 'e'], ['a', 'B', 'c', 'd', 'E']);
+		assert.deepStrictEqual(hunks, [
+			{ oldStart: 1, oldLines: ['b'], newStart: 1, newLines: ['B'] },
+			{ oldStart: 4, oldLines: ['e'], newStart: 4, newLines: ['E'] },
+		]);
+		assert.strictEqual(formatUnifiedDiff(hunks, 10), '@@ -11,1 +11,1 @@\n-b\n+B\n@@ -14,1 +14,1 @@\n-e\n+E');
+	});
+
+	test('an empty version is all inserted or all deleted', () => {
+		assert.deepStrictEqual(diffLines([], ['a', 'b']), [{ oldStart: 0, oldLines: [], newStart: 0, newLines: ['a', 'b'] }]);
+		assert.deepStrictEqual(diffLines(['a', 'b'], []), [{ oldStart: 0, oldLines: ['a', 'b'], newStart: 0, newLines: [] }]);
+	});
+});
@@ -0,0 +1,85 @@
+import * as assert from 'assert';
+
+import { PrintedGoal, diffGoals } from '../core/proofStateDiff';
+
+/** A goal from `names: type` lines, the last one being its conclusion. */
+function goal(...lines: string[]): PrintedGoal {
+	const hyps = lines.slice(0, -1).map((line) => {
+		const [names, ty] = line.split(/\s*:\s*(.*)/s);
+		return { names: names.split(/\s*,\s*/), ty };
+	});
+	return { hyps, ty: lines[lines.length - 1] };
+}
+
+suite('Proof state diff', () => {
+	test('identical goals, up to spacing, have no change', () => {
+		assert.deepStrictEqual(diffGoals([goal('n : nat', 'n+0 = n')], [goal('n : nat', 'n + 0 = n')]), []);
+	});
+
+	test('a hypothesis with a new name and the same type is renamed', () => {
+		const changes = diffGoals(
+			[goal('n : nat', 'H : n > 0', 'n <> 0')],
+			[goal('n : nat', 'Hpos : n > 0', 'n <> 0')]
+		);
+		assert.deepStrictEqual(changes, [{
+			kind: 'changed',
+			beforeIndex: 1,
+			afterIndex: 1,
+			hypotheses: [{ kind: 'renamed', name: 'H', newName: 'Hpos', ty: 'n > 0' }],
+			conclusion: undefined,
+		}]);
+	});
+
+	test('a hypothesis out of its order is moved', () => {
+		const changes = diffGoals(
+			[goal('n : nat', 'm : nat', 'H : n = m', 'm = n')],
+			[goal('n : nat', 'H : n = m', 'm : nat', 'm = n')]
+		);
+		assert.deepStrictEqual(changes, [{
+			kind: 'changed',
+			beforeIndex: 1,
+			afterIndex: 1,
+			hypotheses: [{ kind: 'moved', name: 'H', after: 'n' }],
+			conclusion: undefined,
+		}]);
+	});
+
+	test('a hypothesis that is gone is cleared, a new one introduced', () => {
+		const [cleared] = diffGoals([goal('n : nat', 'H : n = 0', 'True')], [goal('n : nat', 'True')]);
+		assert.deepStrictEqual(cleared.kind === 'changed' && cleared.hypotheses, [{ kind: 'cleared', name: 'H', ty: 'n = 0' }]);
+		const [introduced] = diffGoals([goal('n : nat', 'True')], [goal('n : nat', 'H : n = 0', 'True')]);
+		assert.deepStrictEqual(introduced.kind === 'changed' && introduced.hypotheses, [{ kind: 'introduced', name: 'H', ty: 'n = 0' }]);
+	});
+
+	test('a hypothesis with another type is retyped, with the subterms that differ', () => {
+		const [change] = diffGoals([goal('n : nat', 'H : n + 0 = n', 'True')], [goal('n : nat', 'H : n = n', 'True')]);
+		assert.deepStrictEqual(change.kind === 'changed' && change.hypotheses, [{
+			kind: 'retyped',
+			name: 'H',
+			before: 'n + 0 = n',
+			after: 'n = n',
+			subterms: [{ before: '+ 0', beforeOffset: 2, after: '', afterOffset: 2 }],
+		}]);
+	});
+
+	test('goals are paired by what they share, wherever they are', () => {
+		const changes = diffGoals(
+			[goal('n : nat', 'n = n'), goal('m : nat', 'IH : P m', 'P (S m)')],
+			[goal('m : nat', 'IH : P m', 'Q (S m)'), goal('n : nat', 'n = n')]
+		);
+		assert.deepStrictEqual(changes, [{
+			kind: 'changed',
+			beforeIndex: 2,
+			afterIndex: 1,
+			hypotheses: [],
+			conclusion: { before: 'P (S m)', after: 'Q (S m)', subterms: [{ before: 'P', beforeOffset: 0, after: 'Q', afterOffset: 0 }] },
+		}]);
+	});
+
+	test('goals without a counterpart are added or removed', () => {
+		const base = goal('n : nat', 'n = n');
+		const other = goal('l : list nat', 'length l >= 0');
+		assert.deepStrictEqual(diffGoals([base], [base, other]), [{ kind: 'added', afterIndex: 2, goal: other }]);
+		assert.deepStrictEqual(diffGoals([other, base], [base]), [{ kind: 'removed', beforeIndex: 1, goal: other }]);
+	});
+});
@@ -0,0 +1,35 @@
+import * as assert from 'assert';
+
+import { findSubtermEdit } from '../tools/rewriteSynthesis';
+
+suite('Subterm edit', () => {
+	test('an edit inside a goal gives the edited tokens, widened to whole operands', () => {
+		assert.deepStrictEqual(findSubtermEdit('n : nat\nn + 0 = n', 'n : nat\nn = n'), {
+			goalIndex: 1,
+			hypothesis: undefined,
+			after: 'n = n',
+			subterms: [['n + 0', 'n']],
+			localNames: ['n'],
+		});
+	});
+
+	test('the edited subterm is widened to each parenthesized term around it', () => {
+		const edit = findSubtermEdit('x, y : nat\nH : f (g (x + 0)) = y\nTrue', 'x, y : nat\nH : f (g x) = y\nTrue');
+		assert.strictEqual(edit?.hypothesis, 'H');
+		assert.deepStrictEqual(edit?.subterms, [['(x + 0)', 'x'], ['(g (x + 0))', '(g x)']]);
+	});
+
+	test('the subterms marked in the panel come first, without duplicates', () => {
+		const edit = findSubtermEdit('x, y : nat\nf (g (x + 0)) = y', 'x, y : nat\nf (g x) = y', 'g (x + 0)', 'g x');
+		assert.deepStrictEqual(edit?.subterms, [['g (x + 0)', 'g x'], ['(x + 0)', 'x'], ['(g (x + 0))', '(g x)']]);
+		const unmarked = findSubtermEdit('x, y : nat\nf (g (x + 0)) = y', 'x, y : nat\nf (g x) = y', '(x + 0)', 'x');
+		assert.deepStrictEqual(unmarked?.subterms, [['(x + 0)', 'x'], ['(g (x + 0))', '(g x)']]);
+	});
+
+	test('anything else than an edit inside exactly one type is not a subterm edit', () => {
+		assert.strictEqual(findSubtermEdit('n : nat\nn = n', 'n : nat\nn = n'), undefined);
+		assert.strictEqual(findSubtermEdit('n : nat\nH : n + 0 = n\nn + 0 = n', 'n : nat\nH : n = n\nn = n'), undefined);
+		assert.strictEqual(findSubtermEdit('n : nat\nH : n + 0 = n\nTrue', 'n : nat\nHn : n = n\nTrue'), undefined);
+		assert.strictEqual(findSubtermEdit('n : nat\nn + 0 = n', 'n : nat\nH : n = n\nn + 0 = n'), undefined);
+	});
+});
@@ -0,0 +1,178 @@
+import * as vscode from 'vscode';
+
+/** One replacement of an agent edit, tracked in the current text of its document. */
+export interface TrackedHunk {
+    /** Offsets of the inserted text in the current document. */
+    start: number;
+    end: number;
+    oldText: string;
+    newText: string;
+}
+
+export type AgentEditState = 'applied' | 'kept' | 'reverted';
+
+/** An edit applied by an agent to a document, as one transaction of the log. */
+export interface AgentEditTransaction {
+    id: number;
+    uri: vscode.Uri;
+    /** The document versions before and right after the edit. */
+    versionBefore: number;
+    versionAfter: number;
+    state: AgentEditState;
+    /** Why the edit cannot be reverted exactly any more, once a later change has touched its text. */
+    conflict?: string;
+    readonly hunks: TrackedHunk[];
+}
+
+export type AgentEditRevertResult = { reverted: true } | { reverted: false; reason: string };
+
+/**
+ * The log of the edits agents apply to documents, so that any of them can be reverted exactly, in any order.
+ * Each transaction keeps its inverse edit: the ranges of the inserted texts, moved along as the document changes
+ * before them, and the texts they replaced. A change inside an inserted text (by the user or a later edit)
+ * is a conflict: the transaction can then only be kept, since reverting it would undo that change too.
+ */
+export class AgentEditLog implements vscode.Disposable {
+    private readonly transactions: AgentEditTransaction[] = [];
+    private nextId = 1;
+    private readonly disposables: vscode.Disposable[];
+
+    constructor() {
+        this.disposables = [
+            vscode.workspace.onDidChangeTextDocument((event) => this.track(event)),
+            vscode.workspace.onDidCloseTextDocument((document) => this.forget(document.uri)),
+        ];
+    }
+
+    /**
+     * Records an edit just applied to `document`, at its current version.
+     * `hunks` give, for each replacement, the offsets of the new text in the document as it is now.
+     */
+    record(document: vscode.TextDocument, versionBefore: number, hunks: TrackedHunk[]): AgentEditTransaction {
+        const transaction: AgentEditTransaction = {
+            id: this.nextId++,
+            uri: document.uri,
+            versionBefore,
+            versionAfter: document.version,
+            state: 'applied',
+            hunks: hunks.map((hunk) => ({ ...hunk })),
+        };
+        this.transactions.push(transaction);
+        return transaction;
+    }
+
+    get(id: number): AgentEditTransaction | undefined {
+        return this.transactions.find((transaction) => transaction.id === id);
+    }
+
+    /** The transactions that are neither kept nor reverted, the latest last. */
+    pending(uri?: vscode.Uri): AgentEditTransaction[] {
+        return this.transactions.filter((transaction) => transaction.state === 'applied' && (!uri || transaction.uri.toString() === uri.toString()));
+    }
+
+    /** Accepts the edit: it is not tracked any more. */
+    keep(id: number): void {
+        const transaction = this.get(id);
+        if (transaction?.state === 'applied') {
+            transaction.state = 'kept';
+        }
+        this.prune();
+    }
+
+    /**
+     * Puts back the text the edit replaced, wherever the inserted text has moved since.
+     * Fails, without changing the document, if the edit is not pending or its text has been changed since.
+     */
+    async revert(id: number): Promise<AgentEditRevertResult> {
+        const transaction = this.get(id);
+        if (!transaction || transaction.state !== 'applied') {
+            return { reverted: false, reason: `the edit was already ${transaction?.state ?? 'kept or reverted'}` };
+        }
+        if (transaction.conflict) {
+            return { reverted: false, reason: transaction.conflict };
+        }
+        const document = await vscode.workspace.openTextDocument(transaction.uri);
+        const changed = transaction.hunks.find((hunk) => document.getText(rangeOf(document, hunk)) !== hunk.newText);
+        if (changed) {
+            return { reverted: false, reason: `the text inserted at line ${document.positionAt(changed.start).line + 1} has been changed since` };
+        }
+        const edit = new vscode.WorkspaceEdit();
+        for (const hunk of transaction.hunks) {
+            edit.replace(transaction.uri, rangeOf(document, hunk), hunk.oldText);
+        }
+        // Marked first, so that tracking the revert itself does not report a conflict with it
+        transaction.state = 'reverted';
+        if (!(await vscode.workspace.applyEdit(edit))) {
+            transaction.state = 'applied';
+            return { reverted: false, reason: 'the editor rejected the edit' };
+        }
+        this.prune();
+        return { reverted: true };
+    }
+
+    /** A one-line description of a transaction, for pickers and messages. */
+    describe(transaction: AgentEditTransaction): string {
+        const inserted = transaction.hunks.map((hunk) => hunk.newText.replace(/\s+/g, ' ').trim()).filter((text) => text !== '');
+        const summary = inserted.length > 0 ? inserted.join(' … ') : '(deletion)';
+        return summary.length > 80 ? `${summary.slice(0, 80)}…` : summary;
+    }
+
+    dispose(): void {
+        for (const disposable of this.disposables) {
+            disposable.dispose();
+        }
+    }
+
+    /** Moves the tracked ranges of the document along with a change, and records conflicts with the changes inside them. */
+    private track(event: vscode.TextDocumentChangeEvent): void {
+        const uri = event.document.uri.toString();
+        for (const transaction of this.pending()) {
+            // The edit's own change is already accounted for by its offsets
+            if (transaction.uri.toString() !== uri || event.document.version <= transaction.versionAfter) {
+                continue;
+            }
+            for (const change of event.contentChanges) {
+                const changeEnd = change.rangeOffset + change.rangeLength;
+                const delta = change.text.length - change.rangeLength;
+                for (const hunk of transaction.hunks) {
+                    if (changeEnd <= hunk.start) {
+                        hunk.start += delta;
+                        hunk.end += delta;
+                    } else if (change.rangeOffset >= hunk.end) {
+                        continue;
+                    } else if (transaction.conflict === undefined) {
+                        transaction.conflict = `line ${change.range.start.line + 1} was changed inside the suggested text after it was applied`;
+                    }
+                }
+            }
+        }
+    }
+
+    private forget(uri: vscode.Uri): void {
+        for (const transaction of this.pending(uri)) {
+            transaction.state = 'kept';
+        }
+        this.prune();
+    }
+
+    private prune(): void {
+        const pending = this.transactions.filter((transaction) => transaction.state === 'applied');
+        this.transactions.splice(0, this.transactions.length, ...pending);
+    }
+}
+
+function rangeOf(document: vscode.TextDocument, hunk: TrackedHunk): vscode.Range {
+    return new vscode.Range(document.positionAt(hunk.start), document.positionAt(hunk.end));
+}
+
+/** The log of the edits made by the prover tools, shared by the commands and panels that keep or revert them. */
+export const agentEditLog = new AgentEditLog();
+
+/** Reverts edit `id` of `agentEditLog`, telling the user why if it cannot be reverted exactly. */
+export async function revertAgentEdit(id: number): Promise<boolean> {
+    const result = await agentEditLog.revert(id);
+    if (!result.reverted) {
+        vscode.window.showWarningMessage(`The suggested edit cannot be reverted: ${result.reason}. Change the text by hand or keep it.`);
+    }
+    return result.reverted;
+}
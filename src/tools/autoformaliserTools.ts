@@ -38,6 +38,18 @@ export interface ProofStateEdit {
     reason?: string;
 }
 
+/** The arguments of `suggest_proof_state_edit` for one edit. */
+interface SuggestProofStateEditArgs {
+    hypothesisName: string;
+    originalValue?: string;
+    suggestedValue: string;
+    reason?: string;
+    goalIndex?: number;
+}
+
+/** How many alternatives `suggest_proof_state_edit` takes besides its edit; each is checked for reachability. */
+const MAX_ALTERNATIVE_EDITS = 3;
+
 export interface EditHistory {
     /** List of edits made so far (lhs -> rhs pairs) */
     edits: Array<{ lhs: string; rhs: string; timestamp?: number }>;
@@ -67,6 +79,7 @@ Returns a formatted string with:
 - Any error messages from Coq
 - Any informational messages from Coq
 - Goal stack information if available`,
+            parameters: { type: 'object', properties: {} },
             execute: async (args: {}) => {
                 try {
                     const client = await clientReady;
@@ -153,6 +166,13 @@ Returns a formatted string with:
 - Available theorems and lemmas in the current file
 - The current theorem/lemma being proved
 Returns formatted context information.`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    linesBefore: { type: 'integer', description: 'Number of lines before the cursor to include (default 20).' },
+                    includeTheorems: { type: 'boolean', description: 'Whether to list the theorems of the current file (default true).' },
+                },
+            },
             execute: async (args: { linesBefore?: number; includeTheorems?: boolean }) => {
                 try {
                     const linesBefore = args.linesBefore ?? 20;
@@ -214,6 +234,7 @@ Returns:
 - The full proof script from "Proof." to "Qed." (or "Defined." or "Admitted.")
 This includes all tactics and proof steps that have been written so far.
 Use this to understand what tactics have been used, the structure of the current proof, or to get the name of the theorem being worked on.`,
+            parameters: { type: 'object', properties: {} },
             execute: async (args: {}) => {
                 try {
                     const client = await clientReady;
@@ -286,6 +307,7 @@ Use this to understand what tactics have been used, the structure of the current
             description: `Gets the history of edits made to the proof state. 
 Returns a list of all previous edits (lhs -> rhs pairs) that have been made.
 This helps understand what transformations have already been attempted.`,
+            parameters: { type: 'object', properties: {} },
             execute: async (args: {}) => {
                 try {
                     if (editHistory.edits.length === 0) {
@@ -294,7 +316,7 @@ This helps understand what transformations have already been attempted.`,
 
                     let result = `=== EDIT HISTORY (${editHistory.edits.length} edits) ===\n\n`;
                     editHistory.edits.forEach((edit, index) => {
-                        result += `${index + 1}. "${edit.lhs}" -> "${edit.rhs}"\n`;
+                        result += `${index + 1}. "${edit.lhs}" -> ${edit.rhs ? `"${edit.rhs}"` : '(deleted)'}\n`;
                         if (edit.timestamp) {
                             result += `   (at ${new Date(edit.timestamp).toLocaleTimeString()})\n`;
                         }
@@ -311,6 +333,13 @@ This helps understand what transformations have already been attempted.`,
             description: `Checks if a Coq term or assertion is type-valid in the current context.
 Returns 'valid' if the term is valid, or an error message describing why it's invalid.
 Use this to validate suggested edits before proposing them.`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    term: { type: 'string', description: "The Coq term to check (e.g., 'assert (x + 0 = x).')" },
+                },
+                required: ['term'],
+            },
             execute: async (args: { term: string }) => {
                 try {
                     const client = await clientReady;
@@ -357,21 +386,55 @@ Two modes:
 - hypothesisName: "Goal" when editing the goal type; otherwise the hypothesis name (existing or new).
 - goalIndex (optional): 1-based goal index when multiple goals. Omit for single goal.
 - reason (optional): human-readable explanation.
-One call = one edit.`,
-            execute: async (args: {
-                hypothesisName: string;
-                originalValue?: string;
-                suggestedValue: string;
-                reason?: string;
-                goalIndex?: number;
-            }) => {
+- alternatives (optional): up to ${MAX_ALTERNATIVE_EDITS} other edits that could be made instead, ranked after this one (best first), each with the same fields and its own reason. The user sees all of them as cards with the edited goal and picks one.
+The suggested types, alternatives included, are checked with Coq in the goal's context first: an ill-typed one rejects the whole call with Coq's error and nothing is shown to the user, so fix it and call again.`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    hypothesisName: { type: 'string', description: '"Goal" for the goal type; otherwise the (existing or new) hypothesis name.' },
+                    originalValue: { type: 'string', description: 'Exact current text from get_current_proof_state, or "" to add a new hypothesis.' },
+                    suggestedValue: { type: 'string', description: 'Desired proof state text (goal/hypothesis type or new hypothesis line).' },
+                    reason: { type: 'string', description: 'Human-readable explanation.' },
+                    goalIndex: { type: 'integer', description: '1-based goal index when there are multiple goals.' },
+                    alternatives: {
+                        type: 'array',
+                        description: 'Other edits that could be made instead, ranked after this one, best first.',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                hypothesisName: { type: 'string' },
+                                originalValue: { type: 'string' },
+                                suggestedValue: { type: 'string' },
+                                reason: { type: 'string', description: 'Why this alternative, and how it compares with the others.' },
+                                goalIndex: { type: 'integer' },
+                            },
+                            required: ['hypothesisName', 'suggestedValue'],
+                        },
+                    },
+                },
+                required: ['hypothesisName', 'suggestedValue'],
+            },
+            execute: async (args: SuggestProofStateEditArgs & { alternatives?: SuggestProofStateEditArgs[] }) => {
                 try {
-                    if (!args.hypothesisName || args.suggestedValue === undefined || args.suggestedValue === null) {
-                        return 'error: hypothesisName and suggestedValue are required.';
+                    const alternatives = args.alternatives ?? [];
+                    if (alternatives.length > MAX_ALTERNATIVE_EDITS) {
+                        return `error: at most ${MAX_ALTERNATIVE_EDITS} alternatives can be suggested; keep the best ones.`;
                     }
-                    const isAdd = args.originalValue === undefined || args.originalValue === null || String(args.originalValue).trim() === '';
-                    if (!isAdd && !args.originalValue) {
-                        return 'error: originalValue is required for replace (use "" only for add new hypothesis).';
+                    for (const [index, edit] of [args, ...alternatives].entries()) {
+                        const which = index === 0 ? 'the suggestion' : `alternative ${index}`;
+                        if (!edit.hypothesisName || edit.suggestedValue === undefined || edit.suggestedValue === null) {
+                            return `error: hypothesisName and suggestedValue are required (${which}).`;
+                        }
+                        const isAdd = edit.originalValue === undefined || edit.originalValue === null || String(edit.originalValue).trim() === '';
+                        if (!isAdd && !edit.originalValue) {
+                            return `error: originalValue is required for replace (use "" only for add new hypothesis) (${which}).`;
+                        }
+
+                        // A target the prover can never reach is not worth showing: the type must check in the goal's context
+                        const typeError = await checkSuggestedType(clientReady, editor, edit.hypothesisName, edit.suggestedValue, edit.goalIndex);
+                        if (typeError !== undefined) {
+                            return `error: the suggested value of ${which} is rejected by Coq, so nothing is shown. ${typeError} Fix the value (e.g. its notations, scopes or the names it uses) and call suggest_proof_state_edit again.`;
+                        }
                     }
 
                     // Format the suggestion (goalIndex passed through for UI targeting). For "add", originalValue is "".
@@ -391,7 +454,16 @@ One call = one edit.`,
                     if (suggestion.reason) {
                         result += `Reason: ${suggestion.reason}\n`;
                     }
-                    result += `\nThis suggestion will be presented to the user for review.`;
+                    alternatives.forEach((alternative, index) => {
+                        result += `\nAlternative ${index + 1}: ${alternative.hypothesisName}: `;
+                        result += alternative.originalValue ? `${alternative.originalValue} -> ${alternative.suggestedValue}\n` : `add ${alternative.suggestedValue}\n`;
+                        if (alternative.reason) {
+                            result += `Reason: ${alternative.reason}\n`;
+                        }
+                    });
+                    result += alternatives.length > 0
+                        ? `\nThese ${alternatives.length + 1} alternatives will be presented to the user, who will pick one.`
+                        : `\nThis suggestion will be presented to the user for review.`;
 
                     // Note: The actual presentation to the user will be handled by the calling code
                     // This tool just formats and validates the suggestion
@@ -402,6 +474,26 @@ One call = one edit.`,
                 }
             }
         },
+        {
+            name: 'formalise_statement',
+            description: `Turns an informal mathematical statement into a Coq \`Theorem\` declaration inserted into the document with \`Proof. Admitted.\`.
+Candidates are type-checked with Coq after the cursor's line; the user sees each one that type-checks with its English back-translation and confirms which one to insert (or none).
+Returns what was inserted and how it reads, or why nothing was. Use it when the user asks to state a theorem, not to edit a proof state.`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    statement: { type: 'string', description: "The informal statement, e.g. 'the sum of the first n natural numbers is n(n+1)/2'." },
+                },
+                required: ['statement'],
+            },
+            execute: async (args: { statement: string }) => {
+                if (!args.statement?.trim()) {
+                    return 'error: statement is required.';
+                }
+                const outcome = await vscode.commands.executeCommand<string | undefined>('outputdirectedtheoremproving.formaliseStatement', { statement: args.statement });
+                return outcome ?? 'error: the formalisation did not run.';
+            }
+        },
         {
             name: 'get_goal_structure',
             description: `Gets a structured representation of the current goal(s) including:
@@ -409,6 +501,7 @@ One call = one edit.`,
 - Hypothesis dependencies
 - Type information
 Useful for understanding what needs to be proved and what transformations might help.`,
+            parameters: { type: 'object', properties: {} },
             execute: async (args: {}) => {
                 try {
                     const client = await clientReady;
@@ -464,3 +557,33 @@ Useful for understanding what needs to be proved and what transformations might
         }
     ];
 }
+
+/**
+ * Checks with Coq that a suggested goal or hypothesis type is well-typed in the local context of goal `goalIndex`
+ * at the cursor, by asserting it there; returns Coq's error, if any. A hypothesis may be given as `name : type`.
+ */
+async function checkSuggestedType(
+    clientReady: Promise<CoqLspClient>,
+    editor: vscode.TextEditor,
+    hypothesisName: string,
+    suggestedValue: string,
+    goalIndex?: number
+): Promise<string | undefined> {
+    const named = new RegExp(`^\\s*${hypothesisName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*:(?!=)`);
+    const type = hypothesisName !== 'Goal' ? suggestedValue.replace(named, '').trim() : suggestedValue.trim();
+    if (type === '') {
+        return 'The suggested type is empty.';
+    }
+    const selector = goalIndex !== undefined && goalIndex !== null && goalIndex > 1 ? `${goalIndex}: ` : '';
+    const command = `${selector}assert (${type}).`;
+    const client = await clientReady;
+    const uri = Uri.fromVscodeUri(editor.document.uri);
+    const version = editor.document.version;
+    return client.withTextDocument({ uri, version, content: editor.document.getText() }, async () => {
+        const goalsResult = await client.getGoalsAtPoint(editor.selection.active as any, uri as any, version, command);
+        if (!goalsResult.ok) {
+            return `\`${command}\` could not be checked: ${goalsResult.val.message}`;
+        }
+        return goalsResult.val.error !== undefined ? `\`${command}\` fails: ${goalsResult.val.error}` : undefined;
+    });
+}
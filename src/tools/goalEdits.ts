@@ -0,0 +1,194 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { GoalChange, diffGoals, formatProofStateDiff, printGoals } from '../core/proofStateDiff';
+import { ProofGoal } from '../lsp/coqLspTypes';
+import { readAutomationPortfolioSettings } from '../llm/automationPortfolioRunner';
+import { Uri } from '../utils/uri';
+import { coqProbe, matchProofState, parsePanelFormatToGoals, readProofStateMatchStrictness } from './proofStateMatching';
+
+/**
+ * One edit the user made in the proof state panel, as sent in order with its `agentRequest`; goals are 1-based.
+ * - `replace`: replaced `lhs` with `rhs` inside a hypothesis (named as before the edit) or the conclusion of a goal;
+ *   `lhs` is empty for an insertion, `rhs` for a deletion;
+ * - `freeform`: any other text edit, which only the full states describe;
+ * - `splitGoal`: split a conjunction (or an equivalence) into two goals;
+ * - `focusGoal`: moved a goal to the top, to work on it first;
+ * - `dischargeGoal`: deleted a goal that should be easy to close.
+ */
+export type ProofStateEdit =
+    | { kind: 'replace'; goal: number; hypothesis?: string; lhs: string; rhs: string }
+    | { kind: 'freeform' }
+    | { kind: 'splitGoal' | 'focusGoal' | 'dischargeGoal'; goal: number };
+
+/** The edits that restructure the goals, made with the goal buttons of the panel. */
+export type GoalStructureEdit = Extract<ProofStateEdit, { kind: 'splitGoal' | 'focusGoal' | 'dischargeGoal' }>;
+
+export function isGoalStructureEdit(edit: ProofStateEdit | undefined): edit is GoalStructureEdit {
+    return edit?.kind === 'splitGoal' || edit?.kind === 'focusGoal' || edit?.kind === 'dischargeGoal';
+}
+
+/** The edit in words, for the prover agent; `undefined` for a `freeform` edit, which the states already describe. */
+export function describeProofStateEdit(edit: ProofStateEdit): string | undefined {
+    switch (edit.kind) {
+        case 'replace': {
+            const where = edit.hypothesis !== undefined ? `hypothesis ${edit.hypothesis} of goal ${edit.goal}` : `the conclusion of goal ${edit.goal}`;
+            if (edit.lhs === '') {
+                return `inserted \`${edit.rhs}\` in ${where}`;
+            }
+            return edit.rhs === '' ? `deleted \`${edit.lhs}\` from ${where}` : `replaced \`${edit.lhs}\` with \`${edit.rhs}\` in ${where}`;
+        }
+        case 'freeform':
+            return undefined;
+        case 'splitGoal':
+            return `split goal ${edit.goal} (a conjunction or an equivalence) into its two parts`;
+        case 'focusGoal':
+            return `moved goal ${edit.goal} to the top, to work on it first`;
+        case 'dischargeGoal':
+            return `deleted goal ${edit.goal}, to close it with a decision procedure`;
+    }
+}
+
+/**
+ * Looks for the tactic that makes `edit` at `position`, and checks it with Coq:
+ * - `splitGoal`: `split` on the goal, which must leave the desired goals;
+ * - `focusGoal`: `cycle` or `swap`, which must bring the goal first and keep the others;
+ *   the one that also keeps the desired order is preferred;
+ * - `dischargeGoal`: each tactic of the automation portfolio on the goal, which must close it.
+ * Fails with Coq's errors if no candidate makes the edit.
+ */
+export async function synthesizeGoalStructureEdit(
+    client: CoqLspClient,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'>,
+    position: vscode.Position,
+    edit: GoalStructureEdit,
+    desiredValue: string
+): Promise<string> {
+    const desired = parsePanelFormatToGoals(desiredValue);
+    if (!desired) {
+        throw new Error('the desired state could not be read as goals with "name : type" hypotheses');
+    }
+    const selector = edit.goal === 1 ? '' : `${edit.goal}: `;
+    const uri = Uri.fromVscodeUri(document.uri);
+    const version = document.version;
+    const strictness = readProofStateMatchStrictness();
+
+    return client.withTextDocument({ uri, version, content: document.getText() }, async () => {
+        const run = async (command?: string) => {
+            const goalsResult = await client.getGoalsAtPoint(position as any, uri as any, version, command);
+            if (!goalsResult.ok) {
+                throw goalsResult.val;
+            }
+            return goalsResult.val;
+        };
+        const current = printGoals((await run()).goals);
+        if (edit.goal > current.length) {
+            throw new Error(`there is no goal ${edit.goal} at the cursor`);
+        }
+
+        // `checked` is what Coq runs, `tactic` what is inserted: they differ by the timeout of the automation
+        let candidates: { tactic: string; checked: string }[];
+        switch (edit.kind) {
+            case 'splitGoal':
+                candidates = [{ tactic: `${selector}split.`, checked: `${selector}split.` }];
+                break;
+            case 'focusGoal':
+                candidates = [`cycle ${edit.goal - 1}.`, `swap 1 ${edit.goal}.`].map((tactic) => ({ tactic, checked: tactic }));
+                break;
+            case 'dischargeGoal': {
+                const portfolio = readAutomationPortfolioSettings();
+                candidates = (portfolio.enabled ? portfolio.tactics : []).map((tactic) => {
+                    const body = tactic.trim().replace(/\.$/, '');
+                    return { tactic: `${selector}${body}.`, checked: `${selector}timeout ${portfolio.tacticTimeoutSeconds} (${body}).` };
+                });
+                break;
+            }
+        }
+
+        const errors: string[] = [];
+        let focused: string | undefined = undefined;
+        for (const candidate of candidates) {
+            const reached = await run(candidate.checked);
+            if (reached.error) {
+                errors.push(`\`${candidate.tactic}\`: ${reached.error}`);
+                continue;
+            }
+            const goals = printGoals(reached.goals);
+            if (edit.kind === 'focusGoal') {
+                const first = goals.length === current.length && goals.length > 0 && diffGoals([goals[0]], [current[edit.goal - 1]]).length === 0;
+                if (first && diffGoals(goals, desired).length === 0) {
+                    return candidate.tactic;
+                }
+                focused ??= first ? candidate.tactic : undefined;
+                continue;
+            }
+            const probe = coqProbe(client, position, uri, version, candidate.checked);
+            if (goals.length === desired.length && (await matchProofState(reached.goals, desiredValue, strictness, probe)).matches) {
+                return candidate.tactic;
+            }
+            errors.push(`\`${candidate.tactic}\` does not reach the desired state`);
+        }
+        if (focused !== undefined) {
+            return focused;
+        }
+        const tried = candidates.length > 0 ? `none of ${candidates.map((candidate) => `\`${candidate.tactic}\``).join(', ')} works` : 'the automation portfolio is disabled';
+        throw new Error(errors.length > 0 ? `${tried} (${errors.join('; ')})` : tried);
+    });
+}
+
+export interface ProofStateEditOutcome {
+    edit: ProofStateEdit;
+    achieved: boolean;
+    /** What is left to do for the edit, when it is not achieved. */
+    reason?: string;
+}
+
+/**
+ * Tells, for each of `edits`, whether the goals reached make it: the part of the desired state the edit is about
+ * (a hypothesis, a conclusion, the goals split or moved) must be the same in both, or for `dischargeGoal` the number of goals.
+ * A `freeform` edit is achieved only when the whole desired state is.
+ */
+export function checkProofStateEdits(edits: ProofStateEdit[], goals: ProofGoal[], desiredValue: string): ProofStateEditOutcome[] {
+    const desired = parsePanelFormatToGoals(desiredValue);
+    if (!desired) {
+        return edits.map((edit) => ({ edit, achieved: false, reason: 'the desired state could not be read as goals' }));
+    }
+    const reached = printGoals(goals);
+    const changes = diffGoals(reached, desired);
+    const describe = (goalChanges: GoalChange[]) =>
+        formatProofStateDiff({ goals: goalChanges, messagesAdded: [], messagesRemoved: [] }, { before: 'the state reached', after: 'the desired state' })
+            .replace(/\n\s*/g, ' ')
+            .trim();
+    const outcome = (edit: ProofStateEdit, left: GoalChange[]): ProofStateEditOutcome =>
+        left.length === 0 ? { edit, achieved: true } : { edit, achieved: false, reason: describe(left) };
+    // The changes still needed for desired goal `goal`
+    const leftAt = (goal: number) => changes.filter((change) => change.kind !== 'removed' && change.afterIndex === goal);
+
+    return edits.map((edit): ProofStateEditOutcome => {
+        switch (edit.kind) {
+            case 'freeform':
+                return outcome(edit, changes);
+            case 'replace': {
+                if (edit.goal > desired.length) {
+                    return { edit, achieved: false, reason: `the desired state has no goal ${edit.goal}` };
+                }
+                const left = leftAt(edit.goal).flatMap((change): GoalChange[] => {
+                    if (change.kind !== 'changed') {
+                        return [change];
+                    }
+                    const hypotheses = change.hypotheses.filter((hyp) => edit.hypothesis !== undefined && (hyp.name === edit.hypothesis || (hyp.kind === 'renamed' && hyp.newName === edit.hypothesis)));
+                    const conclusion = edit.hypothesis === undefined ? change.conclusion : undefined;
+                    return hypotheses.length > 0 || conclusion !== undefined ? [{ ...change, hypotheses, conclusion }] : [];
+                });
+                return outcome(edit, left);
+            }
+            case 'splitGoal':
+                return outcome(edit, [...leftAt(edit.goal), ...leftAt(edit.goal + 1)]);
+            case 'focusGoal':
+                return outcome(edit, diffGoals(reached.slice(0, 1), desired.slice(0, 1)));
+            case 'dischargeGoal':
+                return reached.length === desired.length
+                    ? { edit, achieved: true }
+                    : { edit, achieved: false, reason: `${reached.length} goal(s) are left, the desired state has ${desired.length}` };
+        }
+    });
+}
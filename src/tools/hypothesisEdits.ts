@@ -0,0 +1,81 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { HypothesisChange, diffGoals } from '../core/proofStateDiff';
+import { Uri } from '../utils/uri';
+import { describeDifferencesFromDesiredState, parsePanelFormatToGoals } from './proofStateMatching';
+
+/** Hypotheses deleted, renamed or reordered in one goal of the proof state panel, the rest of the state being unchanged. */
+export interface HypothesisEdits {
+    /** 1-based, as in Coq's goal selectors. */
+    goalIndex: number;
+    /** Only `cleared`, `renamed` and `moved` changes. */
+    changes: HypothesisChange[];
+}
+
+/**
+ * The hypotheses deleted, renamed (same type, new name) or reordered between the original and the desired state
+ * of the panel, or `undefined` if the change is anything else, e.g. a new hypothesis or a changed type.
+ */
+export function findHypothesisEdits(originalValue: string, desiredValue: string): HypothesisEdits | undefined {
+    const original = parsePanelFormatToGoals(originalValue);
+    const desired = parsePanelFormatToGoals(desiredValue);
+    if (!original || !desired) {
+        return undefined;
+    }
+    const goalChanges = diffGoals(original, desired);
+    if (goalChanges.length !== 1) {
+        return undefined;
+    }
+    const [change] = goalChanges;
+    if (change.kind !== 'changed' || change.conclusion !== undefined || change.beforeIndex !== change.afterIndex) {
+        return undefined;
+    }
+    if (change.hypotheses.length === 0 || change.hypotheses.some((hyp) => hyp.kind === 'introduced' || hyp.kind === 'retyped')) {
+        return undefined;
+    }
+    return { goalIndex: change.beforeIndex, changes: change.hypotheses };
+}
+
+/** The `clear`, `rename` and `move` sentences that make `edits`, in that order, each with the goal's selector. */
+export function hypothesisEditScript(edits: HypothesisEdits): string {
+    const selector = edits.goalIndex === 1 ? '' : `${edits.goalIndex}: `;
+    const cleared = edits.changes.flatMap((change) => (change.kind === 'cleared' ? [change.name] : []));
+    const renamed = edits.changes.flatMap((change) => (change.kind === 'renamed' ? [`${change.name} into ${change.newName}`] : []));
+    // Moved in the order of the desired state, so that each one follows a hypothesis already in place
+    const moved = edits.changes.flatMap((change) =>
+        change.kind !== 'moved' ? [] : [change.after === undefined ? `move ${change.name} at top` : `move ${change.name} after ${change.after}`]
+    );
+    const sentences = [...(cleared.length > 0 ? [`clear ${cleared.join(' ')}`] : []), ...(renamed.length > 0 ? [`rename ${renamed.join(', ')}`] : []), ...moved];
+    return sentences.map((sentence) => `${selector}${sentence}.`).join(' ');
+}
+
+/**
+ * The script that makes `edits` at `position`, once Coq has checked that it reaches `desiredValue` exactly, in print:
+ * the state matching would not tell a cleared or renamed hypothesis from the original one.
+ * Fails with Coq's error (e.g. a cleared hypothesis something else depends on) or the differences left.
+ */
+export async function synthesizeHypothesisEdits(
+    client: CoqLspClient,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'>,
+    position: vscode.Position,
+    edits: HypothesisEdits,
+    desiredValue: string
+): Promise<string> {
+    const script = hypothesisEditScript(edits);
+    const uri = Uri.fromVscodeUri(document.uri);
+    const version = document.version;
+    return client.withTextDocument({ uri, version, content: document.getText() }, async () => {
+        const goalsResult = await client.getGoalsAtPoint(position as any, uri as any, version, script);
+        if (!goalsResult.ok) {
+            throw goalsResult.val;
+        }
+        if (goalsResult.val.error) {
+            throw new Error(`Coq rejects \`${script}\`: ${goalsResult.val.error}`);
+        }
+        const differences = describeDifferencesFromDesiredState(goalsResult.val.goals, desiredValue);
+        if (differences !== '') {
+            throw new Error(`\`${script}\` does not reach the desired state. ${differences}`);
+        }
+        return script;
+    });
+}
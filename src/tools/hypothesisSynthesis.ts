@@ -0,0 +1,195 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { ProofGoal } from '../lsp/coqLspTypes';
+import { TacticProposer } from '../core/proofSearch';
+import { readAutomationPortfolioSettings } from '../llm/automationPortfolioRunner';
+import { Uri } from '../utils/uri';
+import { coqProbe, matchProofState, parsePanelFormatToGoals, readProofStateMatchStrictness } from './proofStateMatching';
+
+/** Marks the `admit` left for an obligation that could not be proved, so that the panel can list it. */
+export const OBLIGATION_MARKER = '(* obligation *)';
+
+/** How many tactics each proposer is asked for to prove an obligation. */
+const PROPOSED_OBLIGATION_TACTICS = 5;
+
+/** A hypothesis added to one goal of the proof state panel, the rest of the state being unchanged. */
+export interface AddedHypothesis {
+    /** 1-based, as in Coq's goal selectors. */
+    goalIndex: number;
+    name: string;
+    ty: string;
+}
+
+/**
+ * How the hypothesis is introduced: `assert` puts its obligation before the goal, `enough` after it.
+ * Either way the obligation is proved (or admitted) right away, so the cursor is left on the goal with the hypothesis.
+ */
+export type HypothesisIntroduction = 'assert' | 'enough';
+
+export interface HypothesisScaffold {
+    /** The sentences to insert at the cursor. */
+    script: string;
+    /** The tactic that proves the obligation; `undefined` if it is left admitted, marked with `OBLIGATION_MARKER`. */
+    closedBy?: string;
+}
+
+/** An admitted obligation of the proof at the cursor, as the goal its `admit` gives up. */
+export interface AdmittedObligation {
+    /** 0-based line of the `admit`. */
+    line: number;
+    goal: ProofGoal;
+}
+
+/**
+ * The hypothesis added between the original and the desired state of the panel,
+ * or `undefined` if the change is anything else than exactly one new hypothesis with a new name.
+ */
+export function findAddedHypothesis(originalValue: string, desiredValue: string): AddedHypothesis | undefined {
+    const original = parsePanelFormatToGoals(originalValue);
+    const desired = parsePanelFormatToGoals(desiredValue);
+    if (!original || !desired || original.length !== desired.length) {
+        return undefined;
+    }
+    const flat = (text: string) => text.replace(/\s+/g, ' ').trim();
+    let added: AddedHypothesis | undefined = undefined;
+    for (const [index, goal] of desired.entries()) {
+        const before = original[index];
+        const names = new Set(before.hyps.flatMap((hyp) => hyp.names));
+        const newHyps = goal.hyps.filter((hyp) => hyp.names.every((name) => !names.has(name)));
+        if (flat(goal.ty) !== flat(before.ty) || goal.hyps.length - newHyps.length !== before.hyps.length) {
+            return undefined;
+        }
+        if (newHyps.length === 0) {
+            continue;
+        }
+        if (added !== undefined || newHyps.length > 1 || newHyps[0].names.length !== 1) {
+            return undefined;
+        }
+        added = { goalIndex: index + 1, name: newHyps[0].names[0], ty: newHyps[0].ty };
+    }
+    return added;
+}
+
+/**
+ * Builds the `assert`/`enough` script that adds `hypothesis` at `position`, and checks with Coq that it reaches `desiredValue`.
+ * The obligation is first tried with the tactics of the automation portfolio, then with those of `proposers`;
+ * if none proves it, it is admitted, with `OBLIGATION_MARKER` after the `admit`.
+ * Fails if Coq rejects the hypothesis or if the script does not reach the desired state.
+ */
+export async function synthesizeAddedHypothesis(
+    client: CoqLspClient,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'>,
+    position: vscode.Position,
+    hypothesis: AddedHypothesis,
+    desiredValue: string,
+    introduction: HypothesisIntroduction,
+    proposers: TacticProposer[],
+    abortSignal: AbortSignal = new AbortController().signal
+): Promise<HypothesisScaffold> {
+    const selector = (goalIndex: number) => (goalIndex === 1 ? '' : `${goalIndex}: `);
+    const statement = `${selector(hypothesis.goalIndex)}${introduction} (${hypothesis.name} : ${hypothesis.ty})`;
+    const obligationIndex = introduction === 'assert' ? hypothesis.goalIndex : hypothesis.goalIndex + 1;
+    const scaffold = (proof: string) => `${statement}.\n${selector(obligationIndex)}{ ${proof} }`;
+    const admitted = scaffold(`admit. ${OBLIGATION_MARKER}`);
+
+    const uri = Uri.fromVscodeUri(document.uri);
+    const version = document.version;
+    return client.withTextDocument({ uri, version, content: document.getText() }, async () => {
+        const run = async (script: string) => {
+            const goalsResult = await client.getGoalsAtPoint(position as any, uri as any, version, script);
+            if (!goalsResult.ok) {
+                throw goalsResult.val;
+            }
+            return goalsResult.val;
+        };
+
+        const opened = await run(`${statement}.`);
+        if (opened.error) {
+            throw new Error(`Coq rejects \`${statement}.\`: ${opened.error}`);
+        }
+        const reached = await run(admitted);
+        if (reached.error) {
+            throw new Error(`Coq rejects the scaffold \`${admitted}\`: ${reached.error}`);
+        }
+        const strictness = readProofStateMatchStrictness();
+        const match = await matchProofState(reached.goals, desiredValue, strictness, coqProbe(client, position, uri, version, admitted));
+        if (!match.matches) {
+            throw new Error(`adding ${hypothesis.name} does not reach the desired state (${strictness} matching): ${match.reason}`);
+        }
+
+        const portfolio = readAutomationPortfolioSettings();
+        const candidates = portfolio.enabled
+            ? portfolio.tactics.map((tactic) => {
+                  const body = tactic.trim().replace(/\.$/, '');
+                  return { tactic: `${body}.`, checked: `timeout ${portfolio.tacticTimeoutSeconds} (${body}).` };
+              })
+            : [];
+        for (const candidate of candidates) {
+            if (!(await run(scaffold(candidate.checked))).error) {
+                return { script: closedScript(statement, scaffold, introduction, candidate.tactic), closedBy: candidate.tactic };
+            }
+        }
+        const obligation = opened.goals[obligationIndex - 1];
+        for (const proposer of obligation ? proposers : []) {
+            let proposals: string[];
+            try {
+                proposals = await proposer.proposeTactics({ tactics: [], goals: [obligation], score: 0 }, PROPOSED_OBLIGATION_TACTICS, abortSignal);
+            } catch (e) {
+                console.warn(`Proposing tactics for ${hypothesis.name} with ${proposer.name} failed:`, e);
+                continue;
+            }
+            for (const tactic of proposals.map((proposal) => proposal.trim()).filter((proposal) => proposal !== '')) {
+                if (abortSignal.aborted) {
+                    break;
+                }
+                if (!(await run(scaffold(tactic))).error) {
+                    return { script: closedScript(statement, scaffold, introduction, tactic), closedBy: tactic };
+                }
+            }
+        }
+        return { script: admitted };
+    });
+}
+
+/** `assert ... by tactic.` when the tactic is a single sentence, the obligation in braces otherwise. */
+function closedScript(statement: string, scaffold: (proof: string) => string, introduction: HypothesisIntroduction, tactic: string): string {
+    const singleSentence = tactic.endsWith('.') && !/\.\s/.test(tactic);
+    return introduction === 'assert' && singleSentence ? `${statement} by ${tactic}` : scaffold(tactic);
+}
+
+/**
+ * The obligations admitted with `OBLIGATION_MARKER` in the proof block around `position`, with the goal each one gives up.
+ * Must be used inside `client.withTextDocument` for `document`.
+ */
+export async function findAdmittedObligations(
+    client: CoqLspClient,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'>,
+    position: vscode.Position
+): Promise<AdmittedObligation[]> {
+    const lines = document.getText().split(/\r?\n/);
+    let start = Math.min(position.line, lines.length - 1);
+    while (start > 0 && !/\bProof\b/.test(lines[start])) {
+        start--;
+    }
+    let end = position.line;
+    while (end < lines.length - 1 && !/\b(Qed|Defined|Admitted)\s*\./.test(lines[end])) {
+        end++;
+    }
+    const uri = Uri.fromVscodeUri(document.uri);
+    const obligations: AdmittedObligation[] = [];
+    for (let line = start; line <= end; line++) {
+        const text = lines[line] ?? '';
+        const admitAt = text.indexOf(`admit. ${OBLIGATION_MARKER}`);
+        if (admitAt < 0) {
+            continue;
+        }
+        // Right after the brace that focuses the obligation, the state is the obligation itself
+        const braceAt = text.lastIndexOf('{', admitAt);
+        const point = new vscode.Position(line, braceAt >= 0 ? braceAt + 1 : admitAt);
+        const goalsResult = await client.getGoalsAtPoint(point as any, uri as any, document.version);
+        if (goalsResult.ok && !goalsResult.val.error && goalsResult.val.goals.length > 0) {
+            obligations.push({ line, goal: goalsResult.val.goals[0] });
+        }
+    }
+    return obligations;
+}
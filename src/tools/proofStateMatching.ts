@@ -0,0 +1,241 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { ProofGoal, convertToString } from '../lsp/coqLspTypes';
+import { diffGoals, formatProofStateDiff, printGoals } from '../core/proofStateDiff';
+import { CONFIGURATION_SECTION } from '../llm/chatModelSelection';
+import { Uri } from '../utils/uri';
+
+/**
+ * How closely the proof state reached by an edit must match the desired one:
+ * - `exact`: the same goals, in order, with the same hypotheses, equal up to the names of bound variables;
+ * - `conversion`: the same number of goals, each convertible to the desired one (e.g. `1 + 1 = 2` and `2 = 2`),
+ *   and every desired hypothesis convertible to one of the goal's hypotheses, whatever its name;
+ * - `subgoal`: every desired goal is among the resulting goals, up to conversion, as after `induction` or `destruct`.
+ */
+export type ProofStateMatchStrictness = 'exact' | 'conversion' | 'subgoal';
+
+export interface ProofStateMatch {
+    matches: boolean;
+    /** Why the states do not match, to show to the agent or the user. */
+    reason?: string;
+}
+
+/**
+ * Runs a tactic (a whole sentence, with its goal selector) in the state to match and tells whether Coq accepts it.
+ * The state is left as it was: the tactic is only probed, see `coqProbe`.
+ */
+export type CoqProbe = (tactic: string) => Promise<boolean>;
+
+export function readProofStateMatchStrictness(): ProofStateMatchStrictness {
+    return vscode.workspace.getConfiguration(CONFIGURATION_SECTION).get<ProofStateMatchStrictness>('proofStateMatching.strictness', 'subgoal');
+}
+
+/**
+ * A probe of the state reached by running `script` at `position`, e.g. the state after a proposed edit.
+ * It must be used inside `client.withTextDocument` for the document at `version`.
+ */
+export function coqProbe(client: CoqLspClient, position: vscode.Position, uri: Uri, version: number, script?: string): CoqProbe {
+    return async (tactic) => {
+        const goalsResult = await client.getGoalsAtPoint(position as any, uri as any, version, script ? `${script} ${tactic}` : tactic);
+        return goalsResult.ok && !goalsResult.val.error;
+    };
+}
+
+/** Normalize whitespace for comparison so Coq output and panel/desired state match regardless of minor spacing. */
+function normalizeProofState(s: string): string {
+    return s
+        .trim()
+        .replace(/\s+/g, ' ')
+        .replace(/\n+/g, '\n')
+        .replace(/\s*:\s*/g, ' : ') // "n: nat" and "n : nat" match
+        .replace(/\s+\(/g, '(')   // "S (n" and "S(n" match (Coq may print space before "(", panel may not)
+        .replace(/\s+\)/g, ')'); // optional: " )" and ")" match
+}
+
+/**
+ * Structured representation of goals in the same shape as the LSP GoalAnswer goals,
+ * but with string types so we can parse the panel format and compare.
+ */
+export interface ParsedHyp {
+    names: string[];
+    ty: string;
+}
+
+export interface ParsedGoal {
+    hyps: ParsedHyp[];
+    ty: string;
+}
+
+/** Parse the panel serialization format (hyp lines "names : type" or "names: type" then goal type) into ParsedGoal[]. */
+export function parsePanelFormatToGoals(stateStr: string): ParsedGoal[] | null {
+    const trimmed = stateStr.trim();
+    if (!trimmed) return null;
+    if (trimmed.includes('no remaining goals')) return [];
+    const goalBlocks = trimmed.split(/\n\n+/);
+    const goals: ParsedGoal[] = [];
+    for (const block of goalBlocks) {
+        const lines = block.split('\n').map((l) => l.trim()).filter(Boolean);
+        if (lines.length === 0) continue;
+        const goalTy = lines[lines.length - 1] ?? '';
+        const hypLines = lines.slice(0, -1);
+        const hyps: ParsedHyp[] = [];
+        for (const line of hypLines) {
+            // Accept " : " or ":" so "n: nat" and "n : nat" both parse
+            const idx = line.includes(' : ')
+                ? line.indexOf(' : ')
+                : line.indexOf(':');
+            if (idx < 0) return null;
+            const namesStr = line.slice(0, idx).trim();
+            const ty = line.slice(idx + (line[idx] === ' ' ? 3 : 1)).trim();
+            // The panel separates names with ", ", Coq with spaces
+            const names = namesStr.split(/[\s,]+/).filter(Boolean);
+            hyps.push({ names, ty });
+        }
+        goals.push({ hyps, ty: goalTy });
+    }
+    return goals.length ? goals : null;
+}
+
+/** Convert LSP ProofGoal[] to ParsedGoal[] (same structure, strings normalized for comparison). */
+export function proofGoalsToParsed(goals: ProofGoal[]): ParsedGoal[] {
+    return goals.map((g) => {
+        const hyps: ParsedHyp[] = g.hyps.map((h) => {
+            const names = (h.names || []).map((n) =>
+                typeof n === 'string' ? n : convertToString(n)
+            );
+            const ty = typeof h.ty === 'string' ? h.ty : convertToString(h.ty);
+            return { names, ty };
+        });
+        const ty = typeof g.ty === 'string' ? g.ty : convertToString(g.ty);
+        return { hyps, ty };
+    });
+}
+
+/**
+ * What differs between `goals` and the desired state, as a list for the agent, so that it sees exactly what is left to change;
+ * an empty string if the desired state cannot be read or nothing differs in print.
+ */
+export function describeDifferencesFromDesiredState(goals: ProofGoal[], desiredValue: string): string {
+    const desired = parsePanelFormatToGoals(desiredValue);
+    if (desired === null) {
+        return '';
+    }
+    const changes = diffGoals(printGoals(goals), desired);
+    if (changes.length === 0) {
+        return '';
+    }
+    const labels = { before: 'the reached state', after: 'the desired state' };
+    return `Differences from the desired state:\n${formatProofStateDiff({ goals: changes, messagesAdded: [], messagesRemoved: [] }, labels)}`;
+}
+
+const MATCH: ProofStateMatch = { matches: true };
+
+/**
+ * Decides whether `goals`, the proof state reached by an edit, matches the desired state as written in the panel.
+ * Types that print the same are equal; otherwise Coq decides, through `probe`:
+ * alpha-equivalence is checked with `constr_eq` and convertibility with `change`,
+ * each in the resulting goal, so that the desired types are read in the goal's own context.
+ * Only the hypotheses listed in the desired state are checked (and, for `exact`, that no other ones are left).
+ * `goals` may be a slice of the probed state: `firstGoalIndex` is the goal selector of its first goal.
+ */
+export async function matchProofState(
+    goals: ProofGoal[],
+    desiredValue: string,
+    strictness: ProofStateMatchStrictness,
+    probe: CoqProbe,
+    firstGoalIndex: number = 1
+): Promise<ProofStateMatch> {
+    const desired = parsePanelFormatToGoals(desiredValue);
+    if (desired === null) {
+        return { matches: false, reason: 'the desired state could not be read as goals with "name : type" hypotheses' };
+    }
+    const result = proofGoalsToParsed(goals);
+    if (desired.length === 0 || result.length === 0) {
+        if (desired.length === result.length) {
+            return MATCH;
+        }
+        return {
+            matches: false,
+            reason: result.length === 0 ? 'no goals are left, but the desired state has some' : `${result.length} goal(s) are left, but the desired state has none`,
+        };
+    }
+
+    if (strictness === 'subgoal') {
+        const used = new Set<number>();
+        for (const [index, desiredGoal] of desired.entries()) {
+            let found: number | undefined = undefined;
+            for (const [resultIndex, resultGoal] of result.entries()) {
+                if (!used.has(resultIndex) && (await goalMismatch(resultGoal, resultIndex + firstGoalIndex, desiredGoal, 'conversion', probe)) === undefined) {
+                    found = resultIndex;
+                    break;
+                }
+            }
+            if (found === undefined) {
+                return { matches: false, reason: `desired goal ${index + 1} (\`${desiredGoal.ty}\`) is not among the ${result.length} resulting goal(s)` };
+            }
+            used.add(found);
+        }
+        return MATCH;
+    }
+
+    if (result.length !== desired.length) {
+        return { matches: false, reason: `${result.length} goal(s) are left instead of ${desired.length}` };
+    }
+    for (const [index, desiredGoal] of desired.entries()) {
+        const reason = await goalMismatch(result[index], index + firstGoalIndex, desiredGoal, strictness, probe);
+        if (reason !== undefined) {
+            return { matches: false, reason: `goal ${index + 1}: ${reason}` };
+        }
+    }
+    return MATCH;
+}
+
+/** Why goal number `index` of the resulting state does not match `desired`, or `undefined` if it does. */
+async function goalMismatch(
+    result: ParsedGoal,
+    index: number,
+    desired: ParsedGoal,
+    strictness: 'exact' | 'conversion',
+    probe: CoqProbe
+): Promise<string | undefined> {
+    const exact = strictness === 'exact';
+    if (!sameText(result.ty, desired.ty)) {
+        const goalProbe = exact
+            ? `${index}: (let D := constr:(${desired.ty}) in match goal with |- ?G => constr_eq G D end).`
+            : `${index}: change (${desired.ty}).`;
+        if (!(await probe(goalProbe))) {
+            return `\`${result.ty}\` is not ${exact ? 'alpha-equivalent' : 'convertible'} to the desired \`${desired.ty}\``;
+        }
+    }
+
+    if (exact) {
+        const resultNames = result.hyps.flatMap((hyp) => hyp.names).sort();
+        const desiredNames = desired.hyps.flatMap((hyp) => hyp.names).sort();
+        if (desired.hyps.length > 0 && resultNames.join(' ') !== desiredNames.join(' ')) {
+            return `the hypotheses are ${resultNames.join(', ') || 'none'} instead of ${desiredNames.join(', ')}`;
+        }
+    }
+    for (const hyp of desired.hyps) {
+        if (exact) {
+            for (const name of hyp.names) {
+                const resultHyp = result.hyps.find((candidate) => candidate.names.includes(name));
+                if (resultHyp && sameText(resultHyp.ty, hyp.ty)) {
+                    continue;
+                }
+                if (!resultHyp || !(await probe(`${index}: (let D := constr:(${hyp.ty}) in let T := type of ${name} in constr_eq T D).`))) {
+                    return `hypothesis ${name} is not \`${hyp.ty}\` up to alpha-equivalence`;
+                }
+            }
+        } else if (!result.hyps.some((candidate) => sameText(candidate.ty, hyp.ty))) {
+            // `match goal` backtracks over the hypotheses until `change` succeeds on one
+            if (!(await probe(`${index}: match goal with H : _ |- _ => change (${hyp.ty}) in H end.`))) {
+                return `no hypothesis is convertible to the desired \`${hyp.names.join(' ')} : ${hyp.ty}\``;
+            }
+        }
+    }
+    return undefined;
+}
+
+function sameText(a: string, b: string): boolean {
+    return normalizeProofState(a) === normalizeProofState(b);
+}
@@ -4,7 +4,12 @@ import { Uri } from '../utils/uri';
 import { ProofGoal, Hyp, PpString, GoalsWithMessages, convertToString } from '../lsp/coqLspTypes';
 import { AgentTool } from '../llm/chatBridge';
 import { parseCoqFile } from '../parser/parseCoqFile';
+import { TacticProposer } from '../core/proofSearch';
 import { hypToString } from '../core/exposedCompletionGeneratorUtils';
+import { LineDiffHunk, diffLines, formatUnifiedDiff } from '../utils/lineDiff';
+import { agentEditLog } from './agentEditLog';
+import { OBLIGATION_MARKER, synthesizeAddedHypothesis } from './hypothesisSynthesis';
+import { coqProbe, describeDifferencesFromDesiredState, matchProofState, parsePanelFormatToGoals, readProofStateMatchStrictness } from './proofStateMatching';
 
 /** Decoration used to highlight a suggested proof edit (green) so the user can Keep or Revert. */
 const suggestedEditDecorationType = vscode.window.createTextEditorDecorationType({
@@ -50,147 +55,6 @@ function serializeGoalsToPanelFormat(goals: ProofGoal[]): string {
         .join('\n\n');
 }
 
-/** Normalize whitespace for comparison so Coq output and panel/desired state match regardless of minor spacing. */
-function normalizeProofState(s: string): string {
-    return s
-        .trim()
-        .replace(/\s+/g, ' ')
-        .replace(/\n+/g, '\n')
-        .replace(/\s*:\s*/g, ' : ') // "n: nat" and "n : nat" match
-        .replace(/\s+\(/g, '(')   // "S (n" and "S(n" match (Coq may print space before "(", panel may not)
-        .replace(/\s+\)/g, ')'); // optional: " )" and ")" match
-}
-
-/**
- * Structured representation of goals in the same shape as the LSP GoalAnswer goals,
- * but with string types so we can parse the panel format and compare.
- */
-export interface ParsedHyp {
-    names: string[];
-    ty: string;
-}
-
-export interface ParsedGoal {
-    hyps: ParsedHyp[];
-    ty: string;
-}
-
-/** Parse the panel serialization format (hyp lines "names : type" or "names: type" then goal type) into ParsedGoal[]. */
-function parsePanelFormatToGoals(stateStr: string): ParsedGoal[] | null {
-    const trimmed = stateStr.trim();
-    if (!trimmed) return null;
-    if (trimmed.includes('no remaining goals')) return [];
-    const goalBlocks = trimmed.split(/\n\n+/);
-    const goals: ParsedGoal[] = [];
-    for (const block of goalBlocks) {
-        const lines = block.split('\n').map((l) => l.trim()).filter(Boolean);
-        if (lines.length === 0) continue;
-        const goalTy = lines[lines.length - 1] ?? '';
-        const hypLines = lines.slice(0, -1);
-        const hyps: ParsedHyp[] = [];
-        for (const line of hypLines) {
-            // Accept " : " or ":" so "n: nat" and "n : nat" both parse
-            const idx = line.includes(' : ')
-                ? line.indexOf(' : ')
-                : line.indexOf(':');
-            if (idx < 0) return null;
-            const namesStr = line.slice(0, idx).trim();
-            const ty = line.slice(idx + (line[idx + 1] === ' ' ? 3 : 1)).trim();
-            const names = namesStr ? namesStr.split(/\s+/) : [];
-            hyps.push({ names, ty });
-        }
-        goals.push({ hyps, ty: goalTy });
-    }
-    return goals.length ? goals : null;
-}
-
-/** Convert LSP ProofGoal[] to ParsedGoal[] (same structure, strings normalized for comparison). */
-function proofGoalsToParsed(goals: ProofGoal[]): ParsedGoal[] {
-    return goals.map((g) => {
-        const hyps: ParsedHyp[] = g.hyps.map((h) => {
-            const names = (h.names || []).map((n) =>
-                typeof n === 'string' ? n : convertToString(n)
-            );
-            const ty = typeof h.ty === 'string' ? h.ty : convertToString(h.ty);
-            return { names, ty };
-        });
-        const ty = typeof g.ty === 'string' ? g.ty : convertToString(g.ty);
-        return { hyps, ty };
-    });
-}
-
-/**
- * Compare two parsed goal lists. Only the parts that were edited need to match:
- * - Goal types always must match (same number of goals, same normalized goal type per goal).
- * - Hypotheses: when the user edits a hypothesis, only the proposition (type) must appear
- *   in the result; names/labels are ignored. When the user only changes the goal,
- *   hypotheses in the result need not match at all.
- * So we require: (1) same number of goals and matching goal types; (2) for each desired
- * hypothesis type, the result has some hyp with that type (any name). Names never compared.
- */
-function parsedGoalsEqual(a: ParsedGoal[], b: ParsedGoal[]): boolean {
-    if (a.length !== b.length) return false;
-    for (let i = 0; i < a.length; i++) {
-        const ga = a[i]!;
-        const gb = b[i]!;
-        if (normalizeProofState(ga.ty) !== normalizeProofState(gb.ty)) return false;
-        for (const desiredHyp of gb.hyps) {
-            const desiredTy = normalizeProofState(desiredHyp.ty);
-            const hasMatch = ga.hyps.some(
-                (resultHyp) => normalizeProofState(resultHyp.ty) === desiredTy
-            );
-            if (!hasMatch) return false;
-        }
-    }
-    return true;
-}
-
-/**
- * Goal-only comparison: same number of goals and matching goal types; hypotheses
- * are ignored. Use when the user is only changing the goal (hypotheses need not remain the same).
- */
-function parsedGoalsEqualGoalOnly(a: ParsedGoal[], b: ParsedGoal[]): boolean {
-    if (a.length !== b.length) return false;
-    for (let i = 0; i < a.length; i++) {
-        if (normalizeProofState(a[i]!.ty) !== normalizeProofState(b[i]!.ty)) return false;
-    }
-    return true;
-}
-
-/**
- * True when desired is a single goal and that goal appears among the result goals.
- * Used for tactics like "induction n." or "destruct u" that produce multiple subgoals:
- * we accept if the desired goal type appears in any resulting subgoal.
- * Hypothesis matching is relaxed: after destruct/simpl the context often changes
- * (e.g. u becomes Leaf), so we accept when the goal type matches even if hyps differ.
- */
-function desiredGoalInResult(parsedResult: ParsedGoal[], parsedDesired: ParsedGoal[]): boolean {
-    if (parsedDesired.length !== 1 || parsedResult.length < 1) return false;
-    const desired = parsedDesired[0]!;
-    const desiredTyNorm = normalizeProofState(desired.ty);
-    for (const resultGoal of parsedResult) {
-        if (normalizeProofState(resultGoal.ty) !== desiredTyNorm) continue;
-        // Goal type matches. Accept if no hyps to check, or if hyps also match.
-        if (resultGoal.hyps.length === 0) return true;
-        let hypsMatch = true;
-        for (const desiredHyp of desired.hyps) {
-            const desiredHypTy = normalizeProofState(desiredHyp.ty);
-            const hasMatch = resultGoal.hyps.some(
-                (h) => normalizeProofState(h.ty) === desiredHypTy
-            );
-            if (!hasMatch) {
-                hypsMatch = false;
-                break;
-            }
-        }
-        if (hypsMatch) return true;
-        // After destruct/simpl, hyps often change (e.g. H0: pow2heap n u -> H0: pow2heap n Leaf).
-        // Accept when the goal type appears in the result.
-        return true;
-    }
-    return false;
-}
-
 /** Extract the theorem/lemma (or definition) and its proof script from full content, for the proof block containing cursorLine. */
 function extractTheoremAndProofScript(content: string, cursorLine: number): string {
     const lines = content.split('\n');
@@ -240,18 +104,140 @@ function findTacticInsertionPosition(lines: string[], position: vscode.Position)
     return position;
 }
 
-/** True if resulting state matches or is close enough to desired (normalized comparison). */
-function stateMatchesDesired(resultState: string, desiredState: string): boolean {
-    const a = normalizeProofState(resultState);
-    const b = normalizeProofState(desiredState);
-    if (a === b || a.includes(b) || b.includes(a)) {
-        return true;
+/** The text that inserts `tactics` at `offset` of `content`: separated from the preceding text and followed by a new line. */
+export function tacticsInsertionText(content: string, offset: number, tactics: string): string {
+    const charBefore = offset > 0 ? content[offset - 1] : '';
+    const needsLeadingSpace = charBefore !== '' && !/[\s\n\r]/.test(charBefore);
+    return (needsLeadingSpace ? ' ' : '') + tactics.trimEnd() + ' \n';
+}
+
+/**
+ * The text that inserts a script of several lines at `position` of `content`, as `tacticsInsertionText` does,
+ * with its continuation lines lined up with the tactics of the cursor line (after its bullet, if it has one).
+ */
+export function scriptInsertionText(content: string, position: vscode.Position, script: string): string {
+    const lines = content.split('\n');
+    const indentation = ' '.repeat(/^\s*(?:[-+*]+\s+)?/.exec(lines[position.line] ?? '')![0].length);
+    const offset = lines.slice(0, position.line).join('\n').length + (position.line > 0 ? 1 : 0) + position.character;
+    return tacticsInsertionText(content, offset, script.split('\n').join(`\n${indentation}`));
+}
+
+/** How many tactics `try_tactics` runs per call, to keep its result (and the time it takes) bounded. */
+const MAX_TRIED_TACTICS = 20;
+
+/** Longest goal type or error shown in a `try_tactics` row. */
+const MAX_TRIED_TACTIC_CELL_LENGTH = 300;
+
+type TriedTactic = { tactic: string; goals?: ProofGoal[]; error?: string };
+
+/** Renders `try_tactics` outcomes as a table with one row per tactic. */
+function formatTriedTactics(outcomes: TriedTactic[], position: vscode.Position): string {
+    const cell = (text: string) => {
+        const flat = text.replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+        return flat.length > MAX_TRIED_TACTIC_CELL_LENGTH ? `${flat.slice(0, MAX_TRIED_TACTIC_CELL_LENGTH)}…` : flat;
+    };
+    const rows = outcomes.map(({ tactic, goals, error }, index) => {
+        if (goals === undefined) {
+            return `| ${index + 1} | \`${cell(tactic)}\` | error | ${cell(error ?? '')} |`;
+        }
+        const types = goals.map((goal, goalIndex) => `(${goalIndex + 1}) ${typeof goal.ty === 'string' ? goal.ty : convertToString(goal.ty)}`);
+        return `| ${index + 1} | \`${cell(tactic)}\` | ${goals.length} | ${goals.length === 0 ? 'no goals left' : cell(types.join('  '))} |`;
+    });
+    return (
+        `=== TRIED TACTICS at line ${position.line + 1}, column ${position.character + 1} (the proof script is unchanged) ===\n\n` +
+        '| # | tactic | goals | goal types / error |\n' +
+        '|---|---|---|---|\n' +
+        rows.join('\n')
+    );
+}
+
+/** Coq's bullets, from the outermost level; deeper levels repeat them (`--`, `++`, `**`, `---`, ...). */
+const BULLETS = ['-', '+', '*'];
+
+/**
+ * The bullet for branches opened at the end of `line`: one level below the bullet of the branch the line is in
+ * (the closest bullet above it that is not indented more), or `-` outside of any bullet.
+ */
+function nextBulletAt(lines: string[], line: number): string {
+    const indentation = (text: string) => /^\s*/.exec(text)![0].length;
+    const lineIndentation = indentation(lines[line] ?? '');
+    const block = findProofBlockContainingLine(lines, line);
+    for (let i = line; i >= (block?.startLine ?? 0); i--) {
+        const bullet = /^\s*([-+*]+)\s/.exec(lines[i] ?? '')?.[1];
+        if (bullet !== undefined && BULLETS.includes(bullet[0]) && indentation(lines[i]) <= lineIndentation) {
+            const level = (bullet.length - 1) * BULLETS.length + BULLETS.indexOf(bullet[0]) + 1;
+            return BULLETS[level % BULLETS.length].repeat(Math.floor(level / BULLETS.length) + 1);
+        }
     }
-    // Proof closed (no goals): treat as match if desired state is empty or indicates "no goals"
-    if (a.includes('no remaining goals') && (!b || b.includes('no goal') || b.length < 20)) {
-        return true;
+    return BULLETS[0];
+}
+
+/** The outcome of one branch of `validate_structured_proof_step`, run on its subgoal only. */
+type StructuredBranch = {
+    tactics: string;
+    /** The focused goals left by the branch; `undefined` if it failed. */
+    goals?: ProofGoal[];
+    /** The 1-based numbers of the desired goals the branch reaches. */
+    desiredGoals?: number[];
+    error?: string;
+};
+
+function describeStructuredBranches(branches: StructuredBranch[]): string {
+    return branches
+        .map(({ tactics, goals, desiredGoals, error }, index) => {
+            const outcome = error !== undefined
+                ? `error: ${error}`
+                : goals?.length === 0
+                  ? 'closes its subgoal'
+                  : `reaches desired goal(s) ${desiredGoals?.join(', ')}`;
+            return `${index + 1}. \`${tactics || '(no tactics)'}\`: ${outcome}`;
+        })
+        .join('\n');
+}
+
+/** Marks the point of a proof rewritten by `rewrite_proof_block` where the desired state must hold. */
+const CURSOR_MARKER = '(* cursor *)';
+
+/** Where the statement of the theorem whose proof is `block` ends: the end of the text before its `Proof`. */
+function statementEnd(lines: string[], block: { startLine: number }): vscode.Position {
+    let line = block.startLine;
+    let text = (lines[line] ?? '').slice(0, /\bProof\b/.exec(lines[line] ?? '')?.index ?? 0);
+    while (text.trim() === '' && line > 0) {
+        line--;
+        text = lines[line];
     }
-    return false;
+    return new vscode.Position(line, text.trimEnd().length);
+}
+
+/** The edit that makes `hunk` of the proof block starting at line `blockStart` of `lines`, as whole lines. */
+function hunkEdit(lines: string[], blockStart: number, hunk: LineDiffHunk): { range: vscode.Range; text: string } {
+    const start = blockStart + hunk.oldStart;
+    const end = start + hunk.oldLines.length;
+    if (hunk.oldLines.length === 0) {
+        return start < lines.length
+            ? { range: new vscode.Range(start, 0, start, 0), text: `${hunk.newLines.join('\n')}\n` }
+            : { range: new vscode.Range(start - 1, lines[start - 1].length, start - 1, lines[start - 1].length), text: `\n${hunk.newLines.join('\n')}` };
+    }
+    if (hunk.newLines.length > 0) {
+        return { range: new vscode.Range(start, 0, end - 1, lines[end - 1].length), text: hunk.newLines.join('\n') };
+    }
+    // Deleted lines go with the line break after them, or before them at the end of the document
+    if (end < lines.length) {
+        return { range: new vscode.Range(start, 0, end, 0), text: '' };
+    }
+    return start > 0
+        ? { range: new vscode.Range(start - 1, lines[start - 1].length, end - 1, lines[end - 1].length), text: '' }
+        : { range: new vscode.Range(0, 0, end - 1, lines[end - 1].length), text: '' };
+}
+
+/** `newProof` without the cursor marker at `markerIndex`, and without its line if the marker is alone on it. */
+function withoutCursorMarker(newProof: string, markerIndex: number): string {
+    const lineStart = newProof.lastIndexOf('\n', markerIndex - 1) + 1;
+    const lineEnd = newProof.indexOf('\n', markerIndex);
+    if (newProof.slice(lineStart, lineEnd < 0 ? undefined : lineEnd).trim() === CURSOR_MARKER) {
+        return lineEnd < 0 ? newProof.slice(0, Math.max(lineStart - 1, 0)) : newProof.slice(0, lineStart) + newProof.slice(lineEnd + 1);
+    }
+    return newProof.slice(0, markerIndex).replace(/ $/, '') + newProof.slice(markerIndex + CURSOR_MARKER.length);
 }
 
 /** Optional session state and cursor: when the agent runs with the panel focused, use saved position from when proof state was last updated. */
@@ -260,8 +246,13 @@ export interface ProverToolsOptions {
     sessionDesiredValue?: string;
     /** Use this position instead of editor.selection.active (e.g. last position when Coq file had focus). */
     cursorPositionOverride?: { line: number; character: number };
-    /** Called when a proof edit is applied as a suggestion (green highlight). Panel can show Keep/Revert UI. */
-    onSuggestedEditApplied?: (editor: vscode.TextEditor, range: vscode.Range, oldText: string) => void;
+    /**
+     * Called when a proof edit is applied as a suggestion (green highlight). Panel can show Keep/Revert UI.
+     * `transactionId` identifies the edit in `agentEditLog`, to keep or revert it exactly.
+     */
+    onSuggestedEditApplied?: (editor: vscode.TextEditor, range: vscode.Range, oldText: string, transactionId: number) => void;
+    /** When set, the tools read and edit this copy instead of the editor's document (see `ShadowDocument`). */
+    shadow?: ShadowDocument;
 }
 
 /** Clears the green suggestion decoration from an editor. Call when user chooses Keep or Revert. */
@@ -269,12 +260,137 @@ export function clearSuggestedEditDecoration(editor: vscode.TextEditor): void {
     editor.setDecorations(suggestedEditDecorationType, []);
 }
 
+/** Replaces `range` with `text` in the editor and highlights the new text as a suggestion; returns the new text range, if applied. */
+export async function applySuggestedEdit(
+    editor: vscode.TextEditor,
+    range: vscode.Range,
+    text: string,
+    options?: ProverToolsOptions
+): Promise<vscode.Range | undefined> {
+    return applySuggestedEdits(editor, [{ range, text }], options);
+}
+
+/**
+ * Makes several non-overlapping replacements in the editor as one edit, highlighting each new text,
+ * and records it in `agentEditLog` so that it can be reverted exactly.
+ * The suggestion reported to `onSuggestedEditApplied` spans from the first to the last replacement;
+ * returns that range, if applied.
+ */
+export async function applySuggestedEdits(
+    editor: vscode.TextEditor,
+    edits: { range: vscode.Range; text: string }[],
+    options?: ProverToolsOptions
+): Promise<vscode.Range | undefined> {
+    const document = editor.document;
+    const sorted = [...edits].sort((a, b) => document.offsetAt(a.range.start) - document.offsetAt(b.range.start));
+    if (sorted.length === 0) {
+        return undefined;
+    }
+    const spanned = new vscode.Range(sorted[0].range.start, sorted[sorted.length - 1].range.end);
+    const oldText = document.getText(spanned);
+    const versionBefore = document.version;
+    // Offsets of the new texts, shifted by the length changes of the replacements before them
+    let shift = 0;
+    const hunks = sorted.map(({ range, text }) => {
+        const start = document.offsetAt(range.start) + shift;
+        const replaced = document.getText(range);
+        shift += text.length - replaced.length;
+        return { start, end: start + text.length, oldText: replaced, newText: text };
+    });
+    const applied = await editor.edit((editBuilder) => {
+        for (const { range, text } of sorted) {
+            editBuilder.replace(range, text);
+        }
+    });
+    if (!applied) {
+        return undefined;
+    }
+    const transaction = agentEditLog.record(document, versionBefore, hunks);
+    const newRanges = hunks.map(({ start, end }) => new vscode.Range(document.positionAt(start), document.positionAt(end)));
+    editor.setDecorations(suggestedEditDecorationType, newRanges);
+    const newRange = new vscode.Range(newRanges[0].start, newRanges[newRanges.length - 1].end);
+    options?.onSuggestedEditApplied?.(editor, newRange, oldText, transaction.id);
+    return newRange;
+}
+
+/**
+ * A private copy of the document of a Coq editor, for prover tools to edit instead of the editor,
+ * so that several prover runs can try edits side by side without seeing each other's.
+ * The edits are recorded and can be applied to the editor afterwards with `applyTo`.
+ *
+ * Versions continue the document's ones, like the editor's would after the same edits.
+ */
+export class ShadowDocument {
+    private content: string;
+    private currentVersion: number;
+    private readonly edits: { range: vscode.Range; text: string }[] = [];
+
+    constructor(readonly document: vscode.TextDocument) {
+        this.content = document.getText();
+        this.currentVersion = document.version;
+    }
+
+    get uri(): vscode.Uri {
+        return this.document.uri;
+    }
+
+    get version(): number {
+        return this.currentVersion;
+    }
+
+    /** Whether any edit has been made to the copy. */
+    get edited(): boolean {
+        return this.edits.length > 0;
+    }
+
+    getText(): string {
+        return this.content;
+    }
+
+    replace(range: vscode.Range, text: string) {
+        this.content = this.content.substring(0, this.offsetAt(range.start)) + text + this.content.substring(this.offsetAt(range.end));
+        this.currentVersion++;
+        this.edits.push({ range, text });
+    }
+
+    /**
+     * Makes the edits of the copy in `editor` as one highlighted suggestion, spanning all of them.
+     * Fails if the editor's document has changed since the copy was made, since the edits would not fit it.
+     */
+    async applyTo(editor: vscode.TextEditor, options?: ProverToolsOptions): Promise<void> {
+        if (editor.document.version !== this.document.version || editor.document.uri.toString() !== this.uri.toString()) {
+            throw new Error('the document has been changed since the proof search started');
+        }
+        if (!this.edited) {
+            return;
+        }
+        const original = editor.document.getText();
+        let start = 0;
+        while (start < original.length && start < this.content.length && original[start] === this.content[start]) {
+            start++;
+        }
+        let end = 0;
+        while (end < original.length - start && end < this.content.length - start && original[original.length - 1 - end] === this.content[this.content.length - 1 - end]) {
+            end++;
+        }
+        const range = new vscode.Range(editor.document.positionAt(start), editor.document.positionAt(original.length - end));
+        if (!(await applySuggestedEdit(editor, range, this.content.slice(start, this.content.length - end), options))) {
+            throw new Error('the editor rejected the edit');
+        }
+    }
+
+    private offsetAt(position: vscode.Position): number {
+        const lines = this.content.split('\n');
+        return lines.slice(0, position.line).join('\n').length + (position.line > 0 ? 1 : 0) + position.character;
+    }
+}
+
 /**
  * Creates tools for the prover agent.
  * These tools allow the agent to:
- * 1. Validate proof state changes (type check, achievability)
+ * 1. Validate proof state changes (type check, achievability), also as bulleted branches over subgoals
  * 2. Get the current proof script
- * 3. Suggest edits to the proof script
+ * 3. Suggest edits to the proof script, or rewrite the whole proof block
  */
 export function createProverTools(
     clientReady: Promise<CoqLspClient>,
@@ -288,6 +404,28 @@ export function createProverTools(
         cursorOverride
             ? new vscode.Position(cursorOverride.line, cursorOverride.character)
             : editor.selection.active;
+    const shadow = options?.shadow;
+    const document = (): Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'> => shadow ?? editor.document;
+    /** Makes a verified edit: as a highlighted suggestion in the editor, or silently in the shadow copy. */
+    const applyEdit = async (range: vscode.Range, text: string): Promise<boolean> => {
+        if (shadow) {
+            shadow.replace(range, text);
+            return true;
+        }
+        return (await applySuggestedEdit(editor, range, text, options)) !== undefined;
+    };
+    /** Like `applyEdit`, for several replacements in the current document, made as one suggestion. */
+    const applyEdits = async (edits: { range: vscode.Range; text: string }[]): Promise<boolean> => {
+        if (shadow) {
+            // From the bottom up, so that the ranges of the remaining edits stay valid
+            const bottomUp = [...edits].sort((a, b) => b.range.start.compareTo(a.range.start));
+            for (const { range, text } of bottomUp) {
+                shadow.replace(range, text);
+            }
+            return true;
+        }
+        return (await applySuggestedEdits(editor, edits, options)) !== undefined;
+    };
 
     return [
         {
@@ -296,11 +434,20 @@ export function createProverTools(
 1. Takes the current theorem and proof script, and a proposed addition (tactics/code to insert at the cursor).
 2. Builds the proof script = existing content + your proposed addition at the cursor.
 3. Checks if the new script compiles with Coq.
-4. If it compiles, checks if the resulting proof state matches or is close to the desired state.
+4. If it compiles, asks Coq whether the resulting goals and hypotheses match the desired ones (exactly, up to conversion, or as one of the subgoals, as the user configured).
 5. If both pass: the proposed addition is applied as an edit; you can then tell the user it was suggested (they can undo).
 6. If not: returns an error (compile error or current state) so you can try again with different tactics.
 
 Args: originalValue (full proof state before the change), desiredValue (full proof state after the change), proposedAddition (the tactics/code to add at the cursor, e.g. " reflexivity." or " simpl. reflexivity.").`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    originalValue: { type: 'string', description: 'Full proof state before the change (the Original state).' },
+                    desiredValue: { type: 'string', description: 'Full proof state after the change (the Desired state).' },
+                    proposedAddition: { type: 'string', description: 'Tactics to insert at the cursor, e.g. " simpl. reflexivity."' },
+                },
+                required: ['originalValue', 'desiredValue', 'proposedAddition'],
+            },
             execute: async (args: {
                 originalValue?: string;
                 desiredValue?: string;
@@ -333,19 +480,16 @@ Args: originalValue (full proof state before the change), desiredValue (full pro
                     }
 
                     const client = await clientReady;
-                    const docUri = Uri.fromVscodeUri(editor.document.uri);
-                    const version = editor.document.version;
+                    const docUri = Uri.fromVscodeUri(document().uri);
+                    const version = document().version;
                     const cursorPos = getPosition();
-                    const content = editor.document.getText();
+                    const content = document().getText();
                     const lines = content.split('\n');
 
-                    const insertText = addition.trimEnd();
                     const position = new vscode.Position(cursorPos.line, cursorPos.character);
                     const offset =
                         lines.slice(0, position.line).join('\n').length + position.character;
-                    const charBefore = offset > 0 ? content[offset - 1] : '';
-                    const needsLeadingSpace = charBefore !== '' && !/[\s\n\r]/.test(charBefore);
-                    const textToInsert = (needsLeadingSpace ? ' ' : '') + insertText + ' \n';
+                    const textToInsert = tacticsInsertionText(content, offset, addition);
 
                     const insertedInfo = `Inserted text: ${JSON.stringify(textToInsert)}`;
                     const whereStr = `Insertion at cursor: line ${position.line + 1}, column ${position.character + 1} (0-based: ${position.line}, ${position.character}).`;
@@ -370,6 +514,8 @@ Args: originalValue (full proof state before the change), desiredValue (full pro
                         verified: boolean;
                         error?: string;
                         state?: string;
+                        /** What differs from the desired state, when the state does not match it. */
+                        differences?: string;
                         applied?: boolean;
                         /** Location where Coq reported the error (0-based line/character). */
                         errorAt?: { line: number; character: number };
@@ -394,52 +540,25 @@ Args: originalValue (full proof state before the change), desiredValue (full pro
                                 };
                             }
                             const goalsWithMessages = goalsResult.val as GoalsWithMessages;
-                            const goals = goalsWithMessages.goals;
-                            const stateStr = goals?.length
+                            const goals = goalsWithMessages.goals ?? [];
+                            const stateStr = goals.length
                                 ? serializeGoalsToPanelFormat(goals)
                                 : '(no remaining goals)';
-                            const parsedDesired = parsePanelFormatToGoals(desiredValue);
-                            if (!goals || goals.length === 0) {
-                                const match =
-                                    parsedDesired?.length === 0 ||
-                                    stateMatchesDesired(stateStr, desiredValue);
-                                if (match) return { verified: true, applied: true };
-                                return {
-                                    verified: false,
-                                    error: 'Proof state does not match desired. Result: no remaining goals.',
-                                    state: stateStr,
-                                };
-                            }
-                            const parsedResult = proofGoalsToParsed(goals);
-                            const desiredHasHyps = parsedDesired?.some((g) => g.hyps.length > 0) ?? false;
-                            const exactMatch =
-                                parsedDesired !== null
-                                    ? desiredHasHyps
-                                        ? parsedGoalsEqual(parsedResult, parsedDesired)
-                                        : parsedGoalsEqualGoalOnly(parsedResult, parsedDesired)
-                                    : stateMatchesDesired(stateStr, desiredValue);
-                            const desiredInResult =
-                                parsedDesired !== null &&
-                                parsedDesired.length === 1 &&
-                                desiredGoalInResult(parsedResult, parsedDesired);
-                            const match = exactMatch || desiredInResult;
-                            if (match) return { verified: true, applied: true, state: stateStr };
+                            const strictness = readProofStateMatchStrictness();
+                            const match = await matchProofState(goals, desiredValue, strictness, coqProbe(client, positionAfterInsert, docUri, version + 1));
+                            if (match.matches) return { verified: true, applied: true, state: stateStr };
                             return {
                                 verified: false,
-                                error: 'Proof state after proposed addition does not match desired state.',
+                                error: `Proof state after proposed addition does not match desired state (${strictness} matching): ${match.reason}.`,
                                 state: stateStr,
+                                differences: describeDifferencesFromDesiredState(goals, desiredValue),
                             };
                         }
                     );
 
                     if (tryResult.verified && tryResult.applied) {
-                        const applied = await editor.edit((editBuilder) => {
-                            editBuilder.replace(editRange, textToInsert);
-                        });
+                        const applied = await applyEdit(editRange, textToInsert);
                         if (applied) {
-                            const insertedRange = new vscode.Range(position, positionAfterInsert);
-                            editor.setDecorations(suggestedEditDecorationType, [insertedRange]);
-                            options?.onSuggestedEditApplied?.(editor, insertedRange, '');
                             return (
                                 'valid: Proposed addition compiles and brings the proof state to the desired state. ' +
                                 `The edit is applied and highlighted in the editor; use the Keep / Revert buttons in the Proof State panel to accept or undo.\n\n${insertedInfo}\n${whereStr}${newScriptBlock}`
@@ -456,12 +575,402 @@ Args: originalValue (full proof state before the change), desiredValue (full pro
                     if (tryResult.state) {
                         msg += `\n\nCurrent state after your proposed addition:\n${tryResult.state}`;
                     }
+                    if (tryResult.differences) {
+                        msg += `\n\n${tryResult.differences}`;
+                    }
                     return `error: ${msg}\n\n${insertedInfo}\n${whereStr}\nTry again with a different proposedAddition.${newScriptBlock}`;
                 } catch (e) {
                     return `error: ${e instanceof Error ? e.message : String(e)}`;
                 }
             }
         },
+        {
+            name: 'try_tactics',
+            description: `Tries several candidate tactics at the cursor, each one separately, WITHOUT editing the proof script.
+Returns a table with, for each tactic, the number of resulting goals and their types, or the Coq error.
+Use this to explore several branches in one step (e.g. "simpl.", "induction n.", "lia."), then call validate_proof_state_change with the best one.
+
+Args: tactics (list of tactic snippets, at most ${MAX_TRIED_TACTICS}).`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    tactics: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: `Candidate tactics to run at the cursor, each on its own (at most ${MAX_TRIED_TACTICS}), e.g. ["simpl.", "induction n; simpl."]`,
+                    },
+                },
+                required: ['tactics'],
+            },
+            execute: async (args: { tactics?: string[] | string }) => {
+                try {
+                    // Some models send the list as one newline-separated string
+                    const tactics = (Array.isArray(args.tactics) ? args.tactics : (args.tactics ?? '').split('\n'))
+                        .map((tactic) => String(tactic).trim())
+                        .filter((tactic) => tactic !== '');
+                    if (tactics.length === 0) {
+                        return 'error: tactics is required and must list at least one tactic, e.g. ["simpl.", "lia."].';
+                    }
+                    if (tactics.length > MAX_TRIED_TACTICS) {
+                        return `error: at most ${MAX_TRIED_TACTICS} tactics can be tried at once, got ${tactics.length}.`;
+                    }
+
+                    const client = await clientReady;
+                    const docUri = Uri.fromVscodeUri(document().uri);
+                    const version = document().version;
+                    const position = getPosition();
+                    const content = document().getText();
+
+                    const outcomes: TriedTactic[] = [];
+                    await client.withTextDocument({ uri: docUri, version, content }, async () => {
+                        for (const tactic of tactics) {
+                            const goalsResult = await client.getGoalsAtPoint(position as any, docUri as any, version, tactic);
+                            if (!goalsResult.ok) {
+                                outcomes.push({ tactic, error: goalsResult.val.message || 'Failed to get goals' });
+                            } else if (goalsResult.val.error) {
+                                outcomes.push({ tactic, error: goalsResult.val.error });
+                            } else {
+                                outcomes.push({ tactic, goals: goalsResult.val.goals ?? [] });
+                            }
+                        }
+                    });
+
+                    return formatTriedTactics(outcomes, position);
+                } catch (e) {
+                    return `error: ${e instanceof Error ? e.message : String(e)}`;
+                }
+            }
+        },
+        {
+            name: 'validate_structured_proof_step',
+            description: `Like validate_proof_state_change, for desired states with several goals or tactics that create subgoals (destruct, induction, split, ...).
+1. Runs openingTactic at the cursor, which must turn the current goal into one subgoal per entry of branches.
+2. Runs each branch on its own subgoal only, and maps the goals it leaves, in order, to the next goals of the desired state: a branch either closes its subgoal or reaches one or more desired goals. Coq decides whether the goals match, as in validate_proof_state_change.
+3. Desired goals left after the branches must match the other goals at the cursor (they may also be left out of the desired state).
+4. If every branch checks and every desired goal is reached: inserts the opening tactic followed by one bullet ("-", "+", "*", nested below the current bullet) or one "{ }" block per branch, once Coq accepts the whole text. A bullet must be finished before the next one, so only the last branch may stop at a desired goal, and stays open for the user to continue; with braces, every branch must close its subgoal.
+5. If not: returns, for each branch, the error or the goals it leaves, so you can try again.
+
+Args: desiredValue (full proof state after the change), openingTactic (e.g. "destruct b."), branches (the tactics for each subgoal, in order; "" to leave a subgoal as it is), style ("bullets" or "braces", default bullets).`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    desiredValue: { type: 'string', description: 'Full proof state after the change (the Desired state).' },
+                    openingTactic: { type: 'string', description: 'Tactic that creates the subgoals, e.g. "induction n."' },
+                    branches: {
+                        type: 'array',
+                        items: { type: 'string' },
+                        description: 'Tactics for each subgoal created by openingTactic, in order, e.g. ["reflexivity.", "simpl."]',
+                    },
+                    style: { type: 'string', enum: ['bullets', 'braces'], description: 'How to delimit the branches (default bullets).' },
+                },
+                required: ['desiredValue', 'openingTactic', 'branches'],
+            },
+            execute: async (args: {
+                desiredValue?: string;
+                openingTactic?: string;
+                branches?: string[] | string;
+                style?: string;
+                desired?: string;
+            }) => {
+                try {
+                    let desiredValue = (args.desiredValue ?? args.desired ?? '').trim();
+                    if (!desiredValue && sessionDesired) desiredValue = sessionDesired;
+                    const opening = (args.openingTactic ?? '').trim();
+                    const branchTactics = (Array.isArray(args.branches) ? args.branches : (args.branches ?? '').split('\n'))
+                        .map((tactics) => String(tactics).trim());
+                    if (!desiredValue) {
+                        return 'error: desiredValue is required: use the EXACT text of the "Desired state" block in the system prompt.';
+                    }
+                    if (!opening || branchTactics.length === 0) {
+                        return 'error: openingTactic and branches are required, e.g. openingTactic "destruct b." and branches ["reflexivity.", "simpl."].';
+                    }
+                    const desired = parsePanelFormatToGoals(desiredValue);
+                    if (desired === null) {
+                        return 'error: the desired state could not be read as goals with "name : type" hypotheses.';
+                    }
+                    const desiredBlocks = desired.length === 0 ? [] : desiredValue.split(/\n\n+/);
+
+                    const client = await clientReady;
+                    const docUri = Uri.fromVscodeUri(document().uri);
+                    const version = document().version;
+                    const position = getPosition();
+                    const content = document().getText();
+                    const lines = content.split('\n');
+                    const strictness = readProofStateMatchStrictness();
+                    // Each branch reaches its own desired goals, so `subgoal` matching is done goal by goal, up to conversion
+                    const branchStrictness = strictness === 'subgoal' ? 'conversion' : strictness;
+
+                    const checked = await client.withTextDocument({ uri: docUri, version, content }, async () => {
+                        const goalsAt = async (command?: string) => {
+                            const goalsResult = await client.getGoalsAtPoint(position as any, docUri as any, version, command);
+                            if (!goalsResult.ok) {
+                                return { error: goalsResult.val.message || 'Failed to get goals' };
+                            }
+                            return goalsResult.val.error ? { error: goalsResult.val.error } : { goals: goalsResult.val.goals ?? [] };
+                        };
+                        const before = await goalsAt();
+                        const after = await goalsAt(opening);
+                        if (before.goals === undefined || before.goals.length === 0) {
+                            return { error: before.error ?? 'there are no goals at the cursor.' };
+                        }
+                        if (after.goals === undefined) {
+                            return { error: `openingTactic fails: ${after.error}` };
+                        }
+                        const subgoalCount = after.goals.length - (before.goals.length - 1);
+                        const subgoals = after.goals.slice(0, Math.max(subgoalCount, 0));
+                        if (subgoalCount !== branchTactics.length) {
+                            const types = subgoals.map((goal, index) => `(${index + 1}) ${convertToString(goal.ty)}`).join('  ');
+                            return { error: `openingTactic creates ${Math.max(subgoalCount, 0)} subgoal(s) but ${branchTactics.length} branch(es) are given.${types ? ` Subgoals: ${types}` : ''}` };
+                        }
+
+                        const branches: StructuredBranch[] = [];
+                        let nextDesired = 0;
+                        for (const [index, tactics] of branchTactics.entries()) {
+                            // Focusing the subgoal with a brace shows the goals the branch leaves, and only them
+                            const command = `${opening} ${index + 1}: {${tactics ? ` ${tactics}` : ''}`;
+                            const branch = await goalsAt(command);
+                            if (branch.goals === undefined) {
+                                branches.push({ tactics, error: branch.error });
+                                continue;
+                            }
+                            if (branch.goals.length === 0) {
+                                branches.push({ tactics, goals: [] });
+                                continue;
+                            }
+                            const reached = desiredBlocks.slice(nextDesired, nextDesired + branch.goals.length);
+                            if (reached.length < branch.goals.length) {
+                                branches.push({ tactics, error: `leaves ${branch.goals.length} goal(s) but only ${reached.length} desired goal(s) are left for it` });
+                                continue;
+                            }
+                            const match = await matchProofState(branch.goals, reached.join('\n\n'), branchStrictness, coqProbe(client, position, docUri, version, command));
+                            if (!match.matches) {
+                                branches.push({ tactics, error: `${match.reason} (left: ${serializeGoalsToPanelFormat(branch.goals).replace(/\s+/g, ' ')})` });
+                                continue;
+                            }
+                            branches.push({ tactics, goals: branch.goals, desiredGoals: reached.map((_block, offset) => nextDesired + offset + 1) });
+                            nextDesired += reached.length;
+                        }
+                        if (branches.some((branch) => branch.error !== undefined)) {
+                            return { branches };
+                        }
+
+                        const untouched = after.goals.slice(subgoalCount);
+                        const rest = desiredBlocks.slice(nextDesired);
+                        if (rest.length > 0) {
+                            const match = untouched.length === 0
+                                ? { matches: false, reason: 'no other goals are left at the cursor' }
+                                : await matchProofState(untouched, rest.join('\n\n'), strictness, coqProbe(client, position, docUri, version, opening), subgoalCount + 1);
+                            if (!match.matches) {
+                                return { branches, error: `desired goal(s) ${nextDesired + 1} to ${desiredBlocks.length} are reached by no branch: ${match.reason}.` };
+                            }
+                        }
+                        return { branches };
+                    });
+
+                    if (checked.branches === undefined || checked.error !== undefined || checked.branches.some((branch) => branch.error !== undefined)) {
+                        const report = checked.branches ? `\n\nBranches:\n${describeStructuredBranches(checked.branches)}` : '';
+                        return `error: ${checked.error ?? 'not every branch reaches the desired state.'}${report}\n\nTry again with different branches or a different openingTactic.`;
+                    }
+
+                    const braces = args.style === 'braces';
+                    const unfinished = checked.branches.flatMap(({ goals }, index) =>
+                        goals!.length > 0 && (braces || index < checked.branches.length - 1) ? [index + 1] : []
+                    );
+                    if (unfinished.length > 0) {
+                        const rule = braces
+                            ? 'with braces, every branch must close its subgoal'
+                            : 'a bullet must be finished before the next one, so only the last branch may stop at a desired goal';
+                        return `error: branch(es) ${unfinished.join(', ')} stop at a desired goal, but ${rule}. ` +
+                            `Reorder the branches (e.g. with a goal selector in openingTactic), close those subgoals, or use validate_proof_state_change for the first step only.\n\nBranches:\n${describeStructuredBranches(checked.branches)}`;
+                    }
+
+                    const lineText = lines[position.line] ?? '';
+                    // Branches line up with the tactics of the cursor line, after its bullet if it has one
+                    const indentation = ' '.repeat(/^\s*(?:[-+*]+\s+)?/.exec(lineText)![0].length);
+                    const bullet = nextBulletAt(lines, position.line);
+                    const branchLines = checked.branches.map(({ tactics }) =>
+                        braces ? `${indentation}{ ${tactics} }` : `${indentation}${bullet}${tactics ? ` ${tactics}` : ''}`
+                    );
+                    const offset = lines.slice(0, position.line).join('\n').length + (position.line > 0 ? 1 : 0) + position.character;
+                    const textToInsert = tacticsInsertionText(content, offset, opening) + branchLines.map((line) => `${line}\n`).join('');
+                    // The branches were checked one by one: the assembled text must check too
+                    const assembled = await client.withTextDocument({ uri: docUri, version, content }, () =>
+                        client.getGoalsAtPoint(position as any, docUri as any, version, textToInsert)
+                    );
+                    const assemblyError = !assembled.ok ? assembled.val.message || 'Failed to get goals' : assembled.val.error;
+                    if (assemblyError !== undefined) {
+                        return `error: every branch checks on its own, but Coq rejects the assembled text: ${assemblyError}\n\nText: ${JSON.stringify(textToInsert)}`;
+                    }
+                    if (!(await applyEdit(new vscode.Range(position, position), textToInsert))) {
+                        return 'error: Validation passed but failed to apply the edit.';
+                    }
+                    return (
+                        'valid: Every branch checks and every desired goal is reached. ' +
+                        'The edit is applied and highlighted in the editor; use the Keep / Revert buttons in the Proof State panel to accept or undo. ' +
+                        `${braces ? '' : 'If the last branch stops at a desired goal, it is open: the proof continues inside it.'}\n\nBranches:\n${describeStructuredBranches(checked.branches)}\n\nInserted text: ${JSON.stringify(textToInsert)}`
+                    );
+                } catch (e) {
+                    return `error: ${e instanceof Error ? e.message : String(e)}`;
+                }
+            }
+        },
+        {
+            name: 'introduce_hypothesis',
+            description: `Adds a new hypothesis to a goal, for desired states that only add a hypothesis (e.g. "H : n > 0").
+1. Inserts at the cursor "assert (name : type)." (or "enough (name : type).") followed by a proof of the obligation "type".
+2. The obligation is first tried with the user's decision procedures (lia, congruence, ...), then with the tactics the configured models propose; if none proves it, it is left as "admit. ${OBLIGATION_MARKER}" for the user, and shown as an obligation in the Proof State panel.
+3. Coq checks that the resulting state matches the desired state before the edit is applied.
+If the obligation was admitted and you can prove it, replace that admit with suggest_proof_script_edit.
+
+Args: name (the new hypothesis name), type (its type), goalIndex (1-based goal it is added to, default 1), introduction ("assert" or "enough", default assert).`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    desiredValue: { type: 'string', description: 'Full proof state after the change (the Desired state).' },
+                    name: { type: 'string', description: 'Name of the new hypothesis, e.g. "H".' },
+                    type: { type: 'string', description: 'Type of the new hypothesis, e.g. "n > 0".' },
+                    goalIndex: { type: 'integer', description: '1-based goal the hypothesis is added to (default 1).' },
+                    introduction: { type: 'string', enum: ['assert', 'enough'], description: 'assert proves the obligation before the goal, enough after (default assert).' },
+                },
+                required: ['name', 'type'],
+            },
+            execute: async (args: { desiredValue?: string; name?: string; type?: string; goalIndex?: number; introduction?: string; desired?: string }) => {
+                try {
+                    let desiredValue = (args.desiredValue ?? args.desired ?? '').trim();
+                    if (!desiredValue && sessionDesired) desiredValue = sessionDesired;
+                    const name = (args.name ?? '').trim();
+                    const ty = (args.type ?? '').trim();
+                    if (!desiredValue || !name || !ty) {
+                        return 'error: desiredValue, name and type are required, e.g. name "H" and type "n > 0".';
+                    }
+
+                    const client = await clientReady;
+                    const position = getPosition();
+                    const content = document().getText();
+                    const proposers = (await vscode.commands.executeCommand<TacticProposer[]>('outputdirectedtheoremproving.getTacticProposers')) ?? [];
+                    const scaffold = await synthesizeAddedHypothesis(
+                        client,
+                        document(),
+                        position,
+                        { goalIndex: Math.max(1, args.goalIndex ?? 1), name, ty },
+                        desiredValue,
+                        args.introduction === 'enough' ? 'enough' : 'assert',
+                        proposers
+                    );
+
+                    const textToInsert = scriptInsertionText(content, position, scaffold.script);
+                    if (!(await applyEdit(new vscode.Range(position, position), textToInsert))) {
+                        return 'error: Validation passed but failed to apply the edit.';
+                    }
+                    const obligation = scaffold.closedBy !== undefined
+                        ? `The obligation ${ty} is proved by \`${scaffold.closedBy}\`.`
+                        : `Neither a decision procedure nor a proposed tactic proves the obligation ${ty}: it is admitted and marked with ${OBLIGATION_MARKER} for the user to prove.`;
+                    return (
+                        `valid: ${name} : ${ty} is added and the state matches the desired state. ${obligation} ` +
+                        `The edit is applied and highlighted in the editor; use the Keep / Revert buttons in the Proof State panel to accept or undo.\n\nInserted text: ${JSON.stringify(textToInsert)}`
+                    );
+                } catch (e) {
+                    return `error: ${e instanceof Error ? e.message : String(e)}`;
+                }
+            }
+        },
+        {
+            name: 'rewrite_proof_block',
+            description: `Replaces the whole proof block the cursor is in (the lines from "Proof." to "Qed."/"Defined."/"Admitted.") with a new version, for desired states that need earlier tactics changed (e.g. the names given by intros, or the variable of an induction).
+1. Takes newProof: the complete new text of those lines, with the marker ${CURSOR_MARKER} once, at the point that corresponds to the cursor.
+2. Replays the new proof with Coq from the end of the theorem's statement up to the marker; an error on the way is returned.
+3. Asks Coq whether the proof state at the marker matches the desired state (exactly, up to conversion, or as one of the subgoals, as the user configured).
+4. If it does: applies the change as one highlighted suggestion, hunk by hunk, that the user can accept or reject, and returns it as a diff. The proof after the marker is not checked.
+5. If not: returns the error or the state at the marker so you can try again.
+
+Args: desiredValue (full proof state after the change), newProof (the new proof block, containing ${CURSOR_MARKER} once).`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    desiredValue: { type: 'string', description: 'Full proof state after the change (the Desired state).' },
+                    newProof: { type: 'string', description: `The new text of the proof block's lines, with ${CURSOR_MARKER} where the desired state must hold.` },
+                },
+                required: ['desiredValue', 'newProof'],
+            },
+            execute: async (args: { desiredValue?: string; newProof?: string; desired?: string }) => {
+                try {
+                    let desiredValue = (args.desiredValue ?? args.desired ?? '').trim();
+                    if (!desiredValue && sessionDesired) desiredValue = sessionDesired;
+                    const newProof = (args.newProof ?? '').replace(/\r\n/g, '\n').replace(/^\n+|\s+$/g, '');
+                    if (!desiredValue) {
+                        return 'error: desiredValue is required: use the EXACT text of the "Desired state" block in the system prompt.';
+                    }
+                    const markerIndex = newProof.indexOf(CURSOR_MARKER);
+                    if (markerIndex < 0 || newProof.includes(CURSOR_MARKER, markerIndex + 1)) {
+                        return `error: newProof must contain the marker ${CURSOR_MARKER} exactly once, where the desired state must hold.`;
+                    }
+
+                    const client = await clientReady;
+                    const docUri = Uri.fromVscodeUri(document().uri);
+                    const version = document().version;
+                    const position = getPosition();
+                    const content = document().getText();
+                    // Without carriage returns, so that lines compare equal and columns are the editor's
+                    const lines = content.split(/\r?\n/);
+                    const block = findProofBlockContainingLine(lines, position.line);
+                    if (!block) {
+                        return 'error: the cursor is not inside a proof block (between "Proof." and "Qed."/"Defined."/"Admitted.").';
+                    }
+                    const oldBlockLines = lines.slice(block.startLine, block.endLine + 1);
+                    const numberedBlock = oldBlockLines.map((line, index) => `${block.startLine + index + 1}: ${line}`).join('\n');
+                    const statementPrefix = oldBlockLines[0].slice(0, /\bProof\b/.exec(oldBlockLines[0])?.index ?? 0);
+                    if (statementPrefix.trim() !== '' && !newProof.startsWith(statementPrefix)) {
+                        return `error: newProof replaces whole lines, so it must start with the text before "Proof" on line ${block.startLine + 1}, unchanged: ${JSON.stringify(statementPrefix)}.\n\nCurrent proof block:\n${numberedBlock}`;
+                    }
+                    const replayed = newProof.slice(0, markerIndex);
+                    const proofAt = replayed.search(/\bProof\b/);
+                    const replayCommand = proofAt >= 0 ? replayed.slice(proofAt) : replayed.slice(statementPrefix.length);
+                    const newBlockLines = withoutCursorMarker(newProof, markerIndex).split('\n');
+                    const hunks = diffLines(oldBlockLines, newBlockLines);
+                    if (hunks.length === 0) {
+                        return 'error: newProof is the same as the current proof block; change the tactics that lead to the desired state.';
+                    }
+
+                    const replayFrom = statementEnd(lines, block);
+                    const strictness = readProofStateMatchStrictness();
+                    const replay = await client.withTextDocument({ uri: docUri, version, content }, async () => {
+                        const goalsResult = await client.getGoalsAtPoint(replayFrom as any, docUri as any, version, replayCommand);
+                        if (!goalsResult.ok) {
+                            return { error: `Could not replay the new proof: ${goalsResult.val.message}` };
+                        }
+                        if (goalsResult.val.error) {
+                            return { error: `The new proof fails before the marker: ${goalsResult.val.error}` };
+                        }
+                        const goals = goalsResult.val.goals ?? [];
+                        const match = await matchProofState(goals, desiredValue, strictness, coqProbe(client, replayFrom, docUri, version, replayCommand));
+                        const state = goals.length ? serializeGoalsToPanelFormat(goals) : '(no remaining goals)';
+                        return match.matches
+                            ? { state }
+                            : {
+                                  error: `The proof state at the marker does not match the desired state (${strictness} matching): ${match.reason}.`,
+                                  state,
+                                  differences: describeDifferencesFromDesiredState(goals, desiredValue),
+                              };
+                    });
+                    if (replay.error !== undefined) {
+                        const state = replay.state !== undefined ? `\n\nState at the marker:\n${replay.state}` : '';
+                        const differences = 'differences' in replay && replay.differences ? `\n\n${replay.differences}` : '';
+                        return `error: ${replay.error}${state}${differences}\n\nCurrent proof block:\n${numberedBlock}\n\nTry again with a different newProof.`;
+                    }
+
+                    if (!(await applyEdits(hunks.map((hunk) => hunkEdit(lines, block.startLine, hunk))))) {
+                        return 'error: Validation passed but failed to apply the edit.';
+                    }
+                    return (
+                        `valid: The new proof replays up to the marker and reaches the desired state there. The change is applied as ${hunks.length} hunk(s), highlighted in the editor; ` +
+                        'the user can accept or reject it with the Keep / Revert buttons in the Proof State panel. The proof after the marker was not checked.\n\n' +
+                        `\`\`\`diff\n${formatUnifiedDiff(hunks, block.startLine + 1)}\n\`\`\``
+                    );
+                } catch (e) {
+                    return `error: ${e instanceof Error ? e.message : String(e)}`;
+                }
+            }
+        },
         {
             name: 'get_current_proof_script',
             description: `Gets the complete proof script for the current proof that the cursor is in.
@@ -472,13 +981,14 @@ Returns:
 - Line numbers for each proof step
 This includes all tactics and proof steps that have been written so far.
 Use this to understand what tactics have been used, the structure of the current proof, and where to insert new tactics.`,
+            parameters: { type: 'object', properties: {} },
             execute: async (args: {}) => {
                 try {
                     const client = await clientReady;
-                    const docUri = Uri.fromVscodeUri(editor.document.uri);
-                    const version = editor.document.version;
+                    const docUri = Uri.fromVscodeUri(document().uri);
+                    const version = document().version;
                     const position = getPosition();
-                    const content = editor.document.getText();
+                    const content = document().getText();
                     const textLines = content.split('\n');
 
                     // Use current buffer so LSP has latest content when parsing
@@ -562,6 +1072,17 @@ Takes a proof script edit specification (line, character, oldText, newText).
 The tool will VERIFY the edit with the Coq LSP before applying: if the proposed script produces a Coq error, the tool returns an error and you must try a different edit.
 Only when the edit verifies successfully is it applied as an inline suggestion; the user can then accept (keep) or undo the change.
 Call this with your proposed edit; if you get an error back, try again with a different proof script.`,
+            parameters: {
+                type: 'object',
+                properties: {
+                    line: { type: 'integer', description: 'Line of the edit start, numbered as in get_current_proof_script (1-based).' },
+                    character: { type: 'integer', description: '0-based character of the edit start.' },
+                    oldText: { type: 'string', description: 'Text to replace, starting at line/character (empty to insert).' },
+                    newText: { type: 'string', description: 'Replacement text.' },
+                    reason: { type: 'string', description: 'Why this edit achieves the desired state.' },
+                },
+                required: ['line', 'character', 'oldText', 'newText'],
+            },
             execute: async (args: {
                 line: number;
                 character: number;
@@ -576,9 +1097,9 @@ Call this with your proposed edit; if you get an error back, try again with a di
                     }
 
                     const client = await clientReady;
-                    const docUri = Uri.fromVscodeUri(editor.document.uri);
-                    const version = editor.document.version;
-                    const content = editor.document.getText();
+                    const docUri = Uri.fromVscodeUri(document().uri);
+                    const version = document().version;
+                    const content = document().getText();
                     const lines = content.split('\n');
                     let line = args.line;
                     if (line >= 1 && line <= lines.length) {
@@ -659,27 +1180,9 @@ Call this with your proposed edit; if you get an error back, try again with a di
                         new vscode.Position(endLine, endCharacter)
                     );
 
-                    const applied = await editor.edit((editBuilder) => {
-                        editBuilder.replace(range, newText);
-                    });
+                    const applied = await applyEdit(range, newText);
 
                     if (applied) {
-                        // --- UPDATED: Calculate the exact range of the newly inserted text ---
-                        const newLinesArr = newText.split('\n');
-                        const newEndLine = line + newLinesArr.length - 1;
-                        const newEndCharacter = newLinesArr.length === 1
-                            ? character + newText.length
-                            : newLinesArr[newLinesArr.length - 1].length;
-                        
-                        const newRange = new vscode.Range(
-                            new vscode.Position(line, character),
-                            new vscode.Position(newEndLine, newEndCharacter)
-                        );
-
-                        // Apply the green highlight to the NEW text
-                        editor.setDecorations(suggestedEditDecorationType, [newRange]);
-                        // ---------------------------------------------------------------------
-
                         let result = `=== PROOF SCRIPT EDIT APPLIED ===\n\n`;
                         result += `Line ${line + 1}, Column ${character + 1}:\n`;
                         if (oldText) {
@@ -692,10 +1195,6 @@ Call this with your proposed edit; if you get an error back, try again with a di
                             result += `Reason: ${args.reason}\n`;
                         }
                         result += `\nThe edit has been applied. You can undo it (Ctrl+Z / Cmd+Z) or keep it.`;
-                        
-                        // Pass the newRange to the callback so the buttons show up exactly on the green text
-                        options?.onSuggestedEditApplied?.(editor, newRange, oldText);
-                        
                         return result + newScriptBlock;
                     } else {
                         return 'error: Failed to apply the edit. The document may have been modified.' + newScriptBlock;
@@ -713,13 +1212,14 @@ Returns a formatted string with:
 - All hypotheses with their names and types
 - Any error messages from Coq
 Use this to understand the current state before planning edits.`,
+            parameters: { type: 'object', properties: {} },
             execute: async (args: {}) => {
                 try {
                     const client = await clientReady;
-                    const docUri = Uri.fromVscodeUri(editor.document.uri);
-                    const version = editor.document.version;
+                    const docUri = Uri.fromVscodeUri(document().uri);
+                    const version = document().version;
                     const position = getPosition();
-                    const content = editor.document.getText();
+                    const content = document().getText();
 
                     let result: string = '';
 
@@ -0,0 +1,238 @@
+import * as vscode from 'vscode';
+import { CoqLspClient } from '../lsp/coqLspClient';
+import { TermToken, tokenizeTerm } from '../core/proofStateDiff';
+import { readAutomationPortfolioSettings } from '../llm/automationPortfolioRunner';
+import { Uri } from '../utils/uri';
+import { coqProbe, matchProofState, parsePanelFormatToGoals, readProofStateMatchStrictness } from './proofStateMatching';
+
+/** How many lemmas of each `Search` are tried with `rewrite`. */
+const SEARCHED_LEMMAS = 8;
+
+/** How many pairs of subterms are tried for one edit, from the narrowest. */
+const SUBTERM_PAIRS = 3;
+
+/** A subterm edited in one type of the proof state panel (a goal or a hypothesis), the rest of the state being unchanged. */
+export interface SubtermEdit {
+    /** 1-based, as in Coq's goal selectors. */
+    goalIndex: number;
+    /** The hypothesis whose type is edited; `undefined` for the goal itself. */
+    hypothesis?: string;
+    /** The whole type after the edit. */
+    after: string;
+    /** Candidate `[lhs, rhs]` pairs for the edited subterm, from the narrowest; each is checked, none is trusted. */
+    subterms: [string, string][];
+    /** The names bound in the goal, which stand for any term in the `Search` patterns. */
+    localNames: string[];
+}
+
+export interface RewriteSynthesisResult {
+    /** The tactic that reaches the desired state; `undefined` if no candidate does. */
+    tactic?: string;
+    /** How many candidates were checked with Coq. */
+    candidates: number;
+}
+
+const flat = (text: string) => text.replace(/\s+/g, ' ').trim();
+
+/**
+ * The subterm edited between the original and the desired state of the panel, or `undefined` if the change is
+ * anything else than an edit inside exactly one type. `lhs` and `rhs` are the text the panel marked as deleted
+ * and inserted, if any: they are tried first, before the subterms found by comparing the two types.
+ */
+export function findSubtermEdit(originalValue: string, desiredValue: string, lhs?: string, rhs?: string): SubtermEdit | undefined {
+    const original = parsePanelFormatToGoals(originalValue);
+    const desired = parsePanelFormatToGoals(desiredValue);
+    if (!original || !desired || original.length !== desired.length) {
+        return undefined;
+    }
+    let edit: { goalIndex: number; hypothesis?: string; before: string; after: string; localNames: string[] } | undefined = undefined;
+    for (const [index, goal] of desired.entries()) {
+        const before = original[index];
+        if (goal.hyps.length !== before.hyps.length) {
+            return undefined;
+        }
+        const localNames = before.hyps.flatMap((hyp) => hyp.names);
+        const changes = [
+            ...before.hyps.map((hyp, hypIndex) => ({ names: hyp.names, before: flat(hyp.ty), after: flat(goal.hyps[hypIndex].ty) })),
+            { names: undefined, before: flat(before.ty), after: flat(goal.ty) },
+        ].filter((change) => change.before !== change.after);
+        if (before.hyps.some((hyp, hypIndex) => hyp.names.join(' ') !== goal.hyps[hypIndex].names.join(' '))) {
+            return undefined;
+        }
+        if (changes.length === 0) {
+            continue;
+        }
+        const [change] = changes;
+        if (edit !== undefined || changes.length > 1 || (change.names !== undefined && change.names.length !== 1)) {
+            return undefined;
+        }
+        edit = { goalIndex: index + 1, hypothesis: change.names?.[0], before: change.before, after: change.after, localNames };
+    }
+    if (edit === undefined) {
+        return undefined;
+    }
+    const marked: [string, string][] = lhs && rhs && edit.before.includes(flat(lhs)) && edit.after.includes(flat(rhs)) ? [[flat(lhs), flat(rhs)]] : [];
+    const subterms = [...marked, ...subtermPairs(edit.before, edit.after)]
+        .filter(([l, r], index, pairs) => pairs.findIndex(([l2, r2]) => l2 === l && r2 === r) === index)
+        .slice(0, SUBTERM_PAIRS);
+    return { goalIndex: edit.goalIndex, hypothesis: edit.hypothesis, after: edit.after, subterms, localNames: edit.localNames };
+}
+
+/**
+ * The `[lhs, rhs]` pairs that may be the edited subterm between two versions of a type: the tokens between their
+ * common prefix and suffix, widened until neither side is empty nor starts or ends with an operator,
+ * then to each parenthesized term around them. Pairs whose parentheses do not balance are skipped.
+ */
+function subtermPairs(before: string, after: string): [string, string][] {
+    const beforeTokens = tokenizeTerm(before);
+    const afterTokens = tokenizeTerm(after);
+    const shorter = Math.min(beforeTokens.length, afterTokens.length);
+    let start = 0;
+    while (start < shorter && beforeTokens[start].text === afterTokens[start].text) {
+        start++;
+    }
+    let suffix = 0;
+    while (suffix < shorter - start && beforeTokens[beforeTokens.length - 1 - suffix].text === afterTokens[afterTokens.length - 1 - suffix].text) {
+        suffix++;
+    }
+    // Token ranges [start, end) of both versions; widening to the right moves over the common suffix, hence by as much in both
+    let beforeEnd = beforeTokens.length - suffix;
+    let afterEnd = afterTokens.length - suffix;
+    const operator = (token: TermToken | undefined) => token === undefined || !/^[\w'.()]/.test(token.text);
+    for (;;) {
+        const sides = [beforeTokens.slice(start, beforeEnd), afterTokens.slice(start, afterEnd)];
+        if (start > 0 && sides.some((side) => operator(side[0]))) {
+            start--;
+        } else if (beforeEnd < beforeTokens.length && sides.some((side) => operator(side[side.length - 1]))) {
+            beforeEnd++;
+            afterEnd++;
+        } else {
+            break;
+        }
+    }
+
+    const text = (source: string, tokens: TermToken[], from: number, to: number) => (from < to ? source.slice(tokens[from].start, tokens[to - 1].end) : '');
+    const pairs: [string, string][] = [];
+    for (;;) {
+        const lhs = text(before, beforeTokens, start, beforeEnd);
+        const rhs = text(after, afterTokens, start, afterEnd);
+        if (lhs !== '' && rhs !== '' && balanced(lhs) && balanced(rhs)) {
+            pairs.push([lhs, rhs]);
+        }
+        // The parentheses around the tokens are in the common prefix and suffix, so they are the same in both versions
+        let open = start - 1;
+        for (let depth = 0; open >= 0; open--) {
+            depth += beforeTokens[open].text === ')' ? 1 : beforeTokens[open].text === '(' ? -1 : 0;
+            if (depth < 0) {
+                break;
+            }
+        }
+        let close = beforeEnd;
+        for (let depth = 0; close < beforeTokens.length; close++) {
+            depth += beforeTokens[close].text === '(' ? 1 : beforeTokens[close].text === ')' ? -1 : 0;
+            if (depth < 0) {
+                break;
+            }
+        }
+        if (open < 0 || close >= beforeTokens.length) {
+            return pairs;
+        }
+        afterEnd += close + 1 - beforeEnd;
+        start = open;
+        beforeEnd = close + 1;
+    }
+}
+
+function balanced(text: string): boolean {
+    let depth = 0;
+    for (const char of text) {
+        depth += char === '(' ? 1 : char === ')' ? -1 : 0;
+        if (depth < 0) {
+            return false;
+        }
+    }
+    return depth === 0;
+}
+
+/**
+ * Looks for one tactic that makes `edit` at `position` without a model, and checks with Coq that it reaches
+ * `desiredValue`. The candidates are, in order: `change` to the edited type, `rewrite` with the lemmas
+ * `Search (lhs = _)` finds, `rewrite <-` with those `Search (_ = lhs)` finds, and `replace lhs with rhs`
+ * proved by each tactic of the automation portfolio.
+ */
+export async function synthesizeSubtermRewrite(
+    client: CoqLspClient,
+    document: Pick<vscode.TextDocument, 'uri' | 'version' | 'getText'>,
+    position: vscode.Position,
+    edit: SubtermEdit,
+    desiredValue: string,
+    abortSignal: AbortSignal = new AbortController().signal
+): Promise<RewriteSynthesisResult> {
+    const selector = edit.goalIndex === 1 ? '' : `${edit.goalIndex}: `;
+    const location = edit.hypothesis !== undefined ? ` in ${edit.hypothesis}` : '';
+    const uri = Uri.fromVscodeUri(document.uri);
+    const version = document.version;
+    const strictness = readProofStateMatchStrictness();
+    const portfolio = readAutomationPortfolioSettings();
+
+    return client.withTextDocument({ uri, version, content: document.getText() }, async () => {
+        const run = async (command: string) => {
+            const goalsResult = await client.getGoalsAtPoint(position as any, uri as any, version, command);
+            if (!goalsResult.ok) {
+                throw goalsResult.val;
+            }
+            return goalsResult.val;
+        };
+        const search = async (pattern: string) => {
+            const found = await run(`Search (${pattern}).`);
+            const names = found.error ? [] : found.messages.flatMap((message) => [...message.matchAll(/^([A-Za-z_][\w'.]*)\s*:/gm)].map((match) => match[1]));
+            return [...new Set(names)].slice(0, SEARCHED_LEMMAS);
+        };
+
+        let candidates = 0;
+        // `checked` is what Coq runs, `tactic` what is inserted: they differ by the timeout of the automation
+        const tryCandidate = async (tactic: string, checked: string = tactic) => {
+            if (abortSignal.aborted) {
+                return false;
+            }
+            candidates++;
+            const script = `${selector}${checked}.`;
+            const reached = await run(script);
+            return !reached.error && (await matchProofState(reached.goals, desiredValue, strictness, coqProbe(client, position, uri, version, script))).matches;
+        };
+        const found = (tactic: string): RewriteSynthesisResult => ({ tactic: `${selector}${tactic}.`, candidates });
+
+        const change = `change (${edit.after})${location}`;
+        if (await tryCandidate(change)) {
+            return found(change);
+        }
+        for (const [lhs] of edit.subterms) {
+            // The local names stand for any term, so that the lemmas about them are found
+            const pattern = edit.localNames.reduce((text, name) => text.replace(new RegExp(`(?<![\\w'.])${escapeRegExp(name)}(?![\\w'])`, 'g'), '_'), lhs);
+            if (/^[\s_()]*$/.test(pattern)) {
+                continue;
+            }
+            for (const [query, direction] of [[`${pattern} = _`, ''], [`_ = ${pattern}`, '<- ']]) {
+                for (const lemma of await search(query)) {
+                    const rewrite = `rewrite ${direction}${lemma}${location}`;
+                    if (await tryCandidate(rewrite)) {
+                        return found(rewrite);
+                    }
+                }
+            }
+        }
+        for (const [lhs, rhs] of portfolio.enabled ? edit.subterms : []) {
+            for (const automation of portfolio.tactics.map((tactic) => tactic.trim().replace(/\.$/, ''))) {
+                const replace = `replace (${lhs}) with (${rhs})${location} by (${automation})`;
+                if (await tryCandidate(replace, `timeout ${portfolio.tacticTimeoutSeconds} (${replace})`)) {
+                    return found(replace);
+                }
+            }
+        }
+        return { candidates };
+    });
+}
+
+function escapeRegExp(text: string): string {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -1,3 +1,6 @@
+import { AgentTool } from "../llm/chatBridge";
+import { ChatToolDeclaration } from "../llm/llmServices/commonStructures/chat";
+
 export const toolsSchema = [
     {
         type: "function",
@@ -33,4 +36,15 @@ export const toolsSchema = [
             }
         }
     }
-];
\ No newline at end of file
+];
+/**
+ * Declares agent tools to a model with native tool calling, in the same shape as `toolsSchema`.
+ * Tools without a `parameters` schema are declared as taking no arguments.
+ */
+export function toolDeclarations(tools: AgentTool[]): ChatToolDeclaration[] {
+    return tools.map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters ?? { type: "object", properties: {} },
+    }));
+}
@@ -0,0 +1,88 @@
+/**
+ * A contiguous change between two versions of a text, by lines:
+ * `oldLines` starting at line `oldStart` of the old version become
+ * `newLines` starting at line `newStart` of the new one (0-based).
+ */
+export interface LineDiffHunk {
+    oldStart: number;
+    oldLines: string[];
+    newStart: number;
+    newLines: string[];
+}
+
+/**
+ * Computes the hunks that turn `oldLines` into `newLines`, keeping their
+ * longest common subsequence of lines. The table is quadratic in the number
+ * of lines, which is meant for texts the size of a proof, not of a file.
+ */
+export function diffLines(
+    oldLines: string[],
+    newLines: string[]
+): LineDiffHunk[] {
+    // common[i][j] is the length of the longest common subsequence
+    // of oldLines.slice(i) and newLines.slice(j)
+    const common = Array.from({ length: oldLines.length + 1 }, () =>
+        new Array<number>(newLines.length + 1).fill(0)
+    );
+    for (let i = oldLines.length - 1; i >= 0; i--) {
+        for (let j = newLines.length - 1; j >= 0; j--) {
+            common[i][j] =
+                oldLines[i] === newLines[j]
+                    ? common[i + 1][j + 1] + 1
+                    : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const hunks: LineDiffHunk[] = [];
+    let hunk: LineDiffHunk | undefined = undefined;
+    let i = 0;
+    let j = 0;
+    while (i < oldLines.length || j < newLines.length) {
+        if (
+            i < oldLines.length &&
+            j < newLines.length &&
+            oldLines[i] === newLines[j]
+        ) {
+            if (hunk !== undefined) {
+                hunks.push(hunk);
+                hunk = undefined;
+            }
+            i++;
+            j++;
+            continue;
+        }
+        hunk ??= { oldStart: i, oldLines: [], newStart: j, newLines: [] };
+        if (
+            j < newLines.length &&
+            (i === oldLines.length || common[i][j + 1] >= common[i + 1][j])
+        ) {
+            hunk.newLines.push(newLines[j++]);
+        } else {
+            hunk.oldLines.push(oldLines[i++]);
+        }
+    }
+    if (hunk !== undefined) {
+        hunks.push(hunk);
+    }
+    return hunks;
+}
+
+/**
+ * Renders hunks as a unified diff without context lines,
+ * numbering the lines from `firstLineNumber` in both versions.
+ */
+export function formatUnifiedDiff(
+    hunks: LineDiffHunk[],
+    firstLineNumber: number = 1
+): string {
+    return hunks
+        .map((hunk) => {
+            const header = `@@ -${hunk.oldStart + firstLineNumber},${hunk.oldLines.length} +${hunk.newStart + firstLineNumber},${hunk.newLines.length} @@`;
+            return [
+                header,
+                ...hunk.oldLines.map((line) => `-${line}`),
+                ...hunk.newLines.map((line) => `+${line}`),
+            ].join("\n");
+        })
+        .join("\n");
+}
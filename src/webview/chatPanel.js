@@ -13,6 +13,7 @@ const chatSend = document.getElementById('chatSend');
 const chatStop = document.getElementById('chatStop');
 const chatTypingIndicator = document.getElementById('chatTypingIndicator');
 const synthesizingIndicator = document.getElementById('synthesizingIndicator');
+const chatContextUsage = document.getElementById('chatContextUsage');
 const popBackBtn = document.getElementById('popBackChat');
 let currentPartialElem = null;
 let streamBuffer = '';
@@ -24,6 +25,12 @@ function setTypingIndicator(visible) {
     }
 }
 
+function setContextUsage(promptTokens, tokensLimit) {
+    if (!chatContextUsage) return;
+    chatContextUsage.textContent = `Context: ${promptTokens.toLocaleString()} / ${tokensLimit.toLocaleString()} tokens`;
+    chatContextUsage.classList.toggle('near-limit', promptTokens > 0.8 * tokensLimit);
+}
+
 function setSynthesizingIndicator(visible) {
     if (synthesizingIndicator) {
         synthesizingIndicator.classList.toggle('visible', !!visible);
@@ -98,6 +105,35 @@ function finalizeChatStream() {
     streamBuffer = '';
 }
 
+const REACHABILITY_LABELS = { checking: '… checking reachability', reachable: '✓ verified reachable', unknown: '? reachability unknown', unreachable: '✗ unreachable' };
+
+// Shown until the reachability oracle's verdict arrives
+const CHECKING_REACHABILITY = { reachability: 'checking', detail: 'a short prover search is running' };
+
+// The reachability oracle's verdict on a suggestion, appended to its chat message.
+function describeReachability(reachability) {
+    if (!reachability) {
+        return '';
+    }
+    return ` — ${REACHABILITY_LABELS[reachability.reachability]}: ${reachability.detail}`;
+}
+
+// Remembers the chat message of a suggestion whose verdict is still to come
+function trackReachability(el, text, reachabilityId) {
+    if (el && reachabilityId) {
+        el.dataset.reachabilityId = reachabilityId;
+        el.dataset.suggestionText = text;
+    }
+}
+
+// Shows the verdict in the chat messages of the suggestion it is for
+function updateReachability(reachabilityId, reachability) {
+    if (!chatLog) return;
+    chatLog.querySelectorAll(`[data-reachability-id="${reachabilityId}"]`).forEach((el) => {
+        el.innerHTML = renderMarkdownWithMath(el.dataset.suggestionText + describeReachability(reachability));
+    });
+}
+
 if (chatSend && chatInput && vscode) {
     chatSend.addEventListener('click', () => {
         const prompt = (chatInput.value || '').trim();
@@ -148,13 +184,29 @@ if (vscode) {
             case 'chatResponseDone':
                 finalizeChatStream();
                 break;
+            case 'contextUsage':
+                setContextUsage(msg.promptTokens, msg.tokensLimit);
+                break;
             case 'suggestion':
                 if (msg.suggestion && msg.suggestion.originalValue && msg.suggestion.suggestedValue) {
                     const s = msg.suggestion;
-                    appendChatMessage(
-                        `Suggestion: Replace "${s.originalValue}" with "${s.suggestedValue}" in hypothesis "${s.hypothesisName || 'Goal'}"${s.reason ? ` (${s.reason})` : ''}`,
-                        'assistant'
-                    );
+                    const text = `Suggestion: Replace "${s.originalValue}" with "${s.suggestedValue}" in hypothesis "${s.hypothesisName || 'Goal'}"${s.reason ? ` (${s.reason})` : ''}`;
+                    const el = appendChatMessage(text + describeReachability(msg.checking ? CHECKING_REACHABILITY : undefined), 'assistant');
+                    trackReachability(el, text, `${msg.id}:0`);
+                }
+                break;
+            case 'suggestionReachability':
+                updateReachability(`${msg.id}:${msg.index}`, msg.reachability);
+                break;
+            case 'suggestionAlternatives':
+                if (msg.suggestions && msg.suggestions.length > 0) {
+                    appendChatMessage('Suggested edits, best first (pick one in the proof state panel):', 'assistant');
+                    msg.suggestions.forEach((s, i) => {
+                        const edit = s.originalValue ? `Replace "${s.originalValue}" with "${s.suggestedValue}"` : `Add "${s.suggestedValue}"`;
+                        const text = `${i + 1}. ${edit} in hypothesis "${s.hypothesisName || 'Goal'}"${s.reason ? ` (${s.reason})` : ''}`;
+                        const el = appendChatMessage(text + describeReachability(msg.checking ? CHECKING_REACHABILITY : undefined), 'assistant');
+                        trackReachability(el, text, `${msg.id}:${i}`);
+                    });
                 }
                 break;
             case 'proverAgentStarted':
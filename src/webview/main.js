@@ -214,6 +214,33 @@ function getDiffFromNode(node) {
     return { deletedText, insertedText };
 }
 
+/** All the marked edits of the doc, in order, as `replace` edits of the hypothesis or goal they are in.
+ * Goals are numbered from 1, as in Coq's goal selectors; `lhs` is empty for an insertion, `rhs` for a deletion.
+ */
+function collectMarkedEdits(doc) {
+    const edits = [];
+    let goal = 0;
+    doc.forEach((block) => {
+        if (block.type.name !== 'goal') return;
+        goal++;
+        block.descendants((node) => {
+            if (node.type.name !== 'hypothesis' && node.type.name !== 'goalType') return true;
+            const { deletedText, insertedText } = getDiffFromNode(node);
+            if (!deletedText && !insertedText) return false;
+            const edit = { kind: 'replace', goal, lhs: deletedText, rhs: insertedText };
+            if (node.type.name === 'hypothesis') {
+                // Named as before the edit, or as inserted for a new hypothesis
+                const { before, after } = getFullStateBeforeAfter(node);
+                const names = (before.includes(':') ? before : after).split(':')[0];
+                edit.hypothesis = names.trim().split(/[\s,]+/)[0];
+            }
+            edits.push(edit);
+            return false;
+        });
+    });
+    return edits;
+}
+
 /** Serialize the full proof state doc into "before" and "after" strings.
  * Before = all content with modification/deletion/insertion expanded to previous values.
  * After = all content with modification/insertion expanded to new values.
@@ -310,6 +337,31 @@ function renderGoalsToHtml(goals, messages, error) {
     return html;
 }
 
+// Admitted obligations are shown outside the editor, so that they are not part of the states sent as a change
+function renderObligations(obligations) {
+    const container = document.getElementById('obligations');
+    if (!container) { return; }
+    if (!obligations || obligations.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    let html = '<div class="messages-header">Admitted obligations</div>';
+    for (const o of obligations) {
+        html += '<div class="goal obligation">';
+        html += `<div class="obligation-header">Line ${o.line + 1}</div>`;
+        if (o.hyps && o.hyps.length > 0) {
+            html += '<div class="hyps">';
+            o.hyps.forEach(h => {
+                html += `<pre class="hypothesis">${escapeHtml(h.names.join(', ') + ': ' + h.ty)}</pre>`;
+            });
+            html += '</div>';
+        }
+        html += `<pre class="goalType">${escapeHtml(o.ty)}</pre>`;
+        html += '</div>';
+    }
+    container.innerHTML = html;
+}
+
 function escapeHtml(s) {
     if (!s) { return ''; }
     return s.replace(/[&<>"']/g, (c) => 
@@ -348,25 +400,21 @@ const suggestChangesViewPlugin = new Plugin({
 
         synthesizeButton.addEventListener('click', () => {
             updateWebviewStatus('Synthesize clicked');
-            let lhs = '';
-            let rhs = '';
-            view.state.doc.descendants((node) => {
-                const isEditableBlock = node.type.name === 'hypothesis' || node.type.name === 'goalType';
-                if (isEditableBlock) {
-                    const diff = getDiffFromNode(node);
-                    if (diff.deletedText && diff.insertedText) {
-                        lhs = diff.deletedText;
-                        rhs = diff.insertedText;
-                        return false; // stop
-                    }
-                }
-                return true;
-            });
-            const { before: fullOriginalState, after: fullDesiredState } = getFullStateBeforeAfter(view.state.doc);
-            updateWebviewStatus('Sending agentRequest ' + (lhs ? 'with diff' : '(no diff)'));
+            const markedEdits = collectMarkedEdits(view.state.doc);
+            // The first replacement is still sent on its own, for the validation of the change
+            const firstReplacement = markedEdits.find(edit => edit.lhs && edit.rhs);
+            const lhs = firstReplacement ? firstReplacement.lhs : '';
+            const rhs = firstReplacement ? firstReplacement.rhs : '';
+            const { before, after: fullDesiredState } = getFullStateBeforeAfter(view.state.doc);
+            // A goal edit is described by its kind; the state before it is the one kept when it was made
+            const structuralEdit = structuralEditPlugin.getState(view.state);
+            const edits = [...(structuralEdit ? [structuralEdit.edit] : []), ...markedEdits];
+            if (edits.length === 0) edits.push({ kind: 'freeform' });
+            const fullOriginalState = structuralEdit ? structuralEdit.before : before;
+            updateWebviewStatus(`Sending agentRequest with ${edits.length} edit(s)`);
             vscode.postMessage({
                 command: 'agentRequest',
-                context: { lhs, rhs, fullOriginalState, fullDesiredState }
+                context: { lhs, rhs, fullOriginalState, fullDesiredState, edits }
             });
         });
 
@@ -404,9 +452,146 @@ const suggestChangesViewPlugin = new Plugin({
     },
 });
 
+// The two goals a split gives for a top-level `A /\ B` (or `A <-> B`), or null for any other goal.
+// `->`, `\/` and binders bind looser than `/\`, so a goal with one of them at the top level is not a conjunction.
+function splitConjunction(text) {
+    if (/^\s*(forall|exists|fun|let)\b/.test(text)) return null;
+    let depth = 0;
+    let conjunction = -1;
+    let equivalence = -1;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (c === '(') depth++;
+        else if (c === ')') depth--;
+        else if (depth > 0) continue;
+        else if (text.startsWith('<->', i)) { if (equivalence < 0) equivalence = i; i += 2; }
+        else if (text.startsWith('->', i) || text.startsWith('\\/', i) || c === ',') return null;
+        else if (text.startsWith('/\\', i) && conjunction < 0) conjunction = i;
+    }
+    if (equivalence >= 0) {
+        const a = text.slice(0, equivalence).trim();
+        const b = text.slice(equivalence + 3).trim();
+        return a && b ? [`${a} -> ${b}`, `${b} -> ${a}`] : null;
+    }
+    if (conjunction >= 0) {
+        const a = text.slice(0, conjunction).trim();
+        const b = text.slice(conjunction + 2).trim();
+        return a && b ? [a, b] : null;
+    }
+    return null;
+}
+
+// The goal node number `goalIndex` (1-based) of the doc, with its position
+function findGoal(doc, goalIndex) {
+    let found = null;
+    let count = 0;
+    doc.forEach((node, pos) => {
+        if (node.type.name === 'goal' && ++count === goalIndex) found = { node, pos };
+    });
+    return found;
+}
+
+// Goal edits that restructure the state rather than its text. The panel keeps one at a time, with the state before it,
+// until the next proof update; "Implement Changes" sends it as the typed edit of the agentRequest.
+const structuralEditPlugin = new Plugin({
+    state: {
+        init() { return null; },
+        apply(tr, pending) {
+            const meta = tr.getMeta(structuralEditPlugin);
+            return meta !== undefined ? meta : pending;
+        }
+    },
+    props: {
+        decorations(state) {
+            if (structuralEditPlugin.getState(state)) return DecorationSet.empty;
+            const decos = [];
+            let goalIndex = 0;
+            state.doc.forEach((node, pos) => {
+                if (node.type.name !== 'goal') return;
+                goalIndex++;
+                const canSplit = splitConjunction(node.lastChild.textContent) !== null;
+                decos.push(Decoration.widget(pos + 1, goalToolbar(goalIndex, canSplit), {
+                    key: `goal-toolbar-${goalIndex}-${canSplit}`,
+                    side: -1,
+                    ignoreSelection: true,
+                    stopEvent: () => true,
+                }));
+            });
+            return DecorationSet.create(state.doc, decos);
+        }
+    }
+});
+
+function goalToolbar(goalIndex, canSplit) {
+    return (view) => {
+        const toolbar = document.createElement('div');
+        toolbar.className = 'goal-toolbar';
+        const addButton = (label, title, command) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', () => {
+                if (command(view.state, view.dispatch)) {
+                    updateWebviewStatus('Goal edit ready: click Implement Changes');
+                }
+            });
+            toolbar.append(button);
+        };
+        if (canSplit) addButton('Split', 'Split this goal into its two parts (split)', splitGoalCommand(goalIndex));
+        if (goalIndex > 1) addButton('Move to top', 'Work on this goal first (cycle, swap or a goal selector)', focusGoalCommand(goalIndex));
+        addButton('Discharge', 'Delete this goal, closing it with a decision procedure', dischargeGoalCommand(goalIndex));
+        return toolbar;
+    };
+}
+
+// A ProseMirror command for a structural edit of goal `edit.goal`; `change(tr, goal)` edits the doc, or returns false if it cannot
+function structuralEditCommand(edit, change) {
+    return (state, dispatch) => {
+        if (structuralEditPlugin.getState(state)) return false;
+        const goal = findGoal(state.doc, edit.goal);
+        if (!goal) return false;
+        const tr = state.tr;
+        if (!change(tr, goal)) return false;
+        if (dispatch) {
+            const { before } = getFullStateBeforeAfter(state.doc);
+            dispatch(tr.setMeta(structuralEditPlugin, { edit, before }).setMeta(suggestChangesKey, { skip: true }));
+        }
+        return true;
+    };
+}
+
+function splitGoalCommand(goalIndex) {
+    return structuralEditCommand({ kind: 'splitGoal', goal: goalIndex }, (tr, { node, pos }) => {
+        const parts = splitConjunction(node.lastChild.textContent);
+        if (!parts) return false;
+        const hyps = node.childCount > 1 ? [node.firstChild] : [];
+        const goals = parts.map(part => schema.nodes.goal.create(null, [...hyps, schema.nodes.goalType.create(null, schema.text(part))]));
+        tr.replaceWith(pos, pos + node.nodeSize, goals);
+        return true;
+    });
+}
+
+function focusGoalCommand(goalIndex) {
+    return structuralEditCommand({ kind: 'focusGoal', goal: goalIndex }, (tr, { node, pos }) => {
+        const first = findGoal(tr.doc, 1);
+        if (!first || first.pos === pos) return false;
+        // The first goal is before this one, so deleting this one does not move it
+        tr.delete(pos, pos + node.nodeSize);
+        tr.insert(first.pos, node);
+        return true;
+    });
+}
+
+function dischargeGoalCommand(goalIndex) {
+    return structuralEditCommand({ kind: 'dischargeGoal', goal: goalIndex }, (tr, { node, pos }) => {
+        tr.delete(pos, pos + node.nodeSize);
+        return true;
+    });
+}
+
 const readOnlyGoalsPlugin = new Plugin({
     filterTransaction(tr, state) {
-        if (isSuggestChangesEnabled(state) || !tr.docChanged) return true; 
+        if (isSuggestChangesEnabled(state) || !tr.docChanged || tr.getMeta(structuralEditPlugin)) return true; 
         return false; 
     }
 });
@@ -441,6 +626,64 @@ const suggestionNewValuePlugin = new Plugin({
     }
 });
 
+// Highlights what the tactics since the previous state changed, as sent with 'proofUpdate' (see stateChangeHighlights)
+function stateChangeDecorations(doc, changes) {
+    const decos = [];
+    const spanDecorations = (textStart, spans) => {
+        (spans || []).forEach(([start, end]) => {
+            decos.push(Decoration.inline(textStart + start, textStart + end, { class: 'state-change-subterm' }));
+        });
+    };
+    let goalIndex = 0;
+    doc.forEach((goalNode, goalPos) => {
+        if (goalNode.type.name !== 'goal') return;
+        goalIndex++;
+        const change = changes.find(c => c.goal === goalIndex);
+        if (!change) return;
+        if (change.added) {
+            decos.push(Decoration.node(goalPos, goalPos + goalNode.nodeSize, { class: 'state-change-added' }));
+            return;
+        }
+        goalNode.descendants((node, offset) => {
+            const pos = goalPos + 1 + offset;
+            if (node.type.name === 'hypothesis') {
+                // The text is "names: type", as rendered by renderGoalsToHtml
+                const text = node.textContent;
+                const separator = text.indexOf(': ');
+                const names = (separator >= 0 ? text.slice(0, separator) : text).split(',').map(n => n.trim());
+                const hyp = change.hypotheses.find(h => names.includes(h.name));
+                if (hyp) {
+                    decos.push(Decoration.node(pos, pos + node.nodeSize, { class: 'state-change' }));
+                    spanDecorations(pos + 1 + separator + 2, hyp.spans);
+                }
+                return false;
+            }
+            if (node.type.name === 'goalType') {
+                if (change.conclusion) {
+                    decos.push(Decoration.node(pos, pos + node.nodeSize, { class: 'state-change' }));
+                    spanDecorations(pos + 1, change.conclusion);
+                }
+                return false;
+            }
+            return true;
+        });
+    });
+    return DecorationSet.create(doc, decos);
+}
+const stateChangePlugin = new Plugin({
+    state: {
+        init() { return DecorationSet.empty; },
+        apply(tr, old) {
+            const changes = tr.getMeta(stateChangePlugin);
+            if (changes) return stateChangeDecorations(tr.doc, changes);
+            return old.map(tr.mapping, tr.doc);
+        }
+    },
+    props: {
+        decorations(state) { return this.getState(state); }
+    }
+});
+
 // Plugin to track edits in real-time and update edit history
 const editHistoryTrackingPlugin = new Plugin({
     view(editorView) {
@@ -461,8 +704,9 @@ const editHistoryTrackingPlugin = new Plugin({
                         if (node.type.name === 'hypothesis') {
                             const { deletedText, insertedText } = getDiffFromNode(node);
                             
-                            // Only track if we have a valid replacement (something deleted AND inserted)
-                            if (deletedText && insertedText) {
+                            // Track replacements (something deleted AND inserted), and whole hypotheses deleted (a `clear`)
+                            const wholeDeletion = deletedText && !insertedText && deletedText.trim() === node.textContent.trim();
+                            if ((deletedText && insertedText) || wholeDeletion) {
                                 const key = editKey(deletedText, insertedText);
                                 currentEdits.push({
                                     lhs: deletedText,
@@ -511,7 +755,9 @@ const plugins = [
     highlightPlugin(), 
     suggestChangesViewPlugin, 
     readOnlyGoalsPlugin,
+    structuralEditPlugin,
     suggestionNewValuePlugin,
+    stateChangePlugin,
     editHistoryTrackingPlugin
 ];
 
@@ -542,12 +788,16 @@ window.addEventListener('message', (event) => {
             return;
         case 'noDocument':
             html = '<p><i>No active Coq document or cursor not inside a proof.</i></p>';
+            renderObligations([]);
+            renderSuggestionCards(null);
             break;
         case 'error':
             html = '<p><i>Error: ' + escapeHtml(msg.message) + '</i></p>';
+            renderObligations([]);
             break;
         case 'proofUpdate':
             html = renderGoalsToHtml(msg.goals, msg.messages, msg.error); 
+            renderObligations(msg.obligations);
             break;
         case 'chatResponsePart':
             // Append or update the last partial chat message
@@ -556,6 +806,9 @@ window.addEventListener('message', (event) => {
         case 'chatResponseDone':
             finalizeChatStream();
             return;
+        case 'contextUsage':
+            setContextUsage(msg.promptTokens, msg.tokensLimit);
+            return;
         case 'proverAgentStarted':
             updateWebviewStatus('Synthesizing proof…');
             setSynthesizingIndicator(true);
@@ -565,7 +818,20 @@ window.addEventListener('message', (event) => {
             setSynthesizingIndicator(false);
             return;
         case 'suggestion':
-            handleSuggestion(msg.suggestion);
+            handleSuggestion(msg.suggestion, msg.checking ? CHECKING_REACHABILITY : undefined, `${msg.id}:0`);
+            return;
+        case 'suggestionReachability':
+            updateReachability(`${msg.id}:${msg.index}`, msg.reachability);
+            if (suggestionCards && suggestionCards.id === msg.id) {
+                suggestionCards.items[msg.index].reachability = msg.reachability;
+                renderSuggestionCards(suggestionCards);
+            }
+            return;
+        case 'suggestionAlternatives':
+            renderSuggestionCards({
+                id: msg.id,
+                items: msg.suggestions.map((suggestion, index) => ({ suggestion, index, reachability: msg.checking ? CHECKING_REACHABILITY : undefined })),
+            });
             return;
         default:
             console.warn("Unknown message type:", msg.type);
@@ -581,11 +847,17 @@ window.addEventListener('message', (event) => {
         plugins: view.state.plugins 
     });
     view.updateState(newState);
+    if (msg.type === 'proofUpdate' && msg.changes && msg.changes.length > 0) {
+        view.dispatch(view.state.tr.setMeta(stateChangePlugin, msg.changes).setMeta(suggestChangesKey, { skip: true }));
+    }
 });
 
 // Handle suggestions from the agent: show as a visible edit (strikethrough + suggested value) in the proof state panel.
 // Supports both REPLACE (originalValue set) and ADD NEW HYPOTHESIS (originalValue empty).
-function handleSuggestion(suggestion) {
+// reachability, when the oracle ran, says whether a short prover search reaches the suggested state; the chat
+// message is tracked under reachabilityId so that a verdict that arrives later can replace it.
+function handleSuggestion(suggestion, reachability, reachabilityId) {
+    const announce = (text) => trackReachability(appendChatMessage(text + describeReachability(reachability), 'assistant'), text, reachabilityId);
     if (!suggestion || !suggestion.hypothesisName || suggestion.suggestedValue == null || suggestion.suggestedValue === '') {
         console.warn('Invalid suggestion received:', suggestion);
         return;
@@ -624,7 +896,7 @@ function handleSuggestion(suggestion) {
         });
         if (insertPos == null) {
             console.warn('Could not find goal to add hypothesis');
-            appendChatMessage(`Suggestion: Add hypothesis "${suggestion.hypothesisName} : ${suggestion.suggestedValue}"${suggestion.reason ? ` (${suggestion.reason})` : ''}`, 'assistant');
+            announce(`Suggestion: Add hypothesis "${suggestion.hypothesisName} : ${suggestion.suggestedValue}"${suggestion.reason ? ` (${suggestion.reason})` : ''}`);
             return;
         }
         const suggestionId = `suggestion-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
@@ -654,13 +926,18 @@ function handleSuggestion(suggestion) {
         } catch (err) {
             console.warn('Failed to insert add-hypothesis suggestion:', err);
         }
-        appendChatMessage(`Suggestion: Add hypothesis "${suggestion.hypothesisName} : ${suggestion.suggestedValue}"${suggestion.reason ? ` (${suggestion.reason})` : ''}`, 'assistant');
+        announce(`Suggestion: Add hypothesis "${suggestion.hypothesisName} : ${suggestion.suggestedValue}"${suggestion.reason ? ` (${suggestion.reason})` : ''}`);
         return;
     }
 
+    // Only the goal the suggestion is for, when it says which
+    const scope = suggestion.goalIndex ? findGoal(doc, suggestion.goalIndex) : null;
     let foundPos = -1;
     let foundLength = 0;
     doc.descendants((node, pos) => {
+        if (scope && (pos < scope.pos || pos >= scope.pos + scope.node.nodeSize)) {
+            return false;
+        }
         if (node.isText) {
             const text = node.text;
             const searchText = suggestion.originalValue;
@@ -675,7 +952,7 @@ function handleSuggestion(suggestion) {
 
     if (foundPos === -1) {
         console.warn(`Could not find original value "${suggestion.originalValue}" in document`);
-        appendChatMessage(`Suggestion: Replace "${suggestion.originalValue}" with "${suggestion.suggestedValue}" in hypothesis "${suggestion.hypothesisName}"${suggestion.reason ? ` (${suggestion.reason})` : ''}`, 'assistant');
+        announce(`Suggestion: Replace "${suggestion.originalValue}" with "${suggestion.suggestedValue}" in hypothesis "${suggestion.hypothesisName}"${suggestion.reason ? ` (${suggestion.reason})` : ''}`);
         return;
     }
 
@@ -697,7 +974,138 @@ function handleSuggestion(suggestion) {
     view.dispatch(tr);
 
     const suggestionMsg = `Suggestion: Replace "${suggestion.originalValue}" with "${suggestion.suggestedValue}" in hypothesis "${suggestion.hypothesisName}"${suggestion.reason ? ` (${suggestion.reason})` : ''}`;
-    appendChatMessage(suggestionMsg, 'assistant');
+    announce(suggestionMsg);
+}
+
+const REACHABILITY_LABELS = { checking: '… checking reachability', reachable: '✓ verified reachable', unknown: '? reachability unknown', unreachable: '✗ unreachable' };
+
+// Shown until the oracle's verdict arrives
+const CHECKING_REACHABILITY = { reachability: 'checking', detail: 'a short prover search is running' };
+
+// The oracle's verdict on a suggestion, appended to its chat message.
+function describeReachability(reachability) {
+    if (!reachability) {
+        return '';
+    }
+    return ` — ${REACHABILITY_LABELS[reachability.reachability]}: ${reachability.detail}`;
+}
+
+// Remembers the chat message of a suggestion whose verdict is still to come
+function trackReachability(el, text, reachabilityId) {
+    if (el && reachabilityId) {
+        el.dataset.reachabilityId = reachabilityId;
+        el.dataset.suggestionText = text;
+    }
+}
+
+// Shows the oracle's verdict in the chat messages of the suggestion it is for
+function updateReachability(reachabilityId, reachability) {
+    if (!chatLog) return;
+    chatLog.querySelectorAll(`[data-reachability-id="${reachabilityId}"]`).forEach((el) => {
+        el.innerHTML = renderMarkdownWithMath(el.dataset.suggestionText + describeReachability(reachability));
+    });
+}
+
+// The lines of a goal node as the panel shows them: its hypotheses, then its type
+function goalLines(goal) {
+    const lines = [];
+    goal.forEach((child) => {
+        if (child.type.name === 'hyps') child.forEach((hyp) => lines.push(hyp.textContent));
+    });
+    lines.push(goal.lastChild.textContent);
+    return lines;
+}
+
+// The goal a suggestion edits, before and after it, without touching the document; null if it is not in the state
+function previewSuggestion(doc, suggestion) {
+    const isAddHypothesis = String(suggestion.originalValue ?? '').trim() === '';
+    let goalCount = 0;
+    doc.forEach((node) => { if (node.type.name === 'goal') goalCount++; });
+    const candidates = isAddHypothesis || suggestion.goalIndex
+        ? [Math.max(1, suggestion.goalIndex || 1)]
+        : Array.from({ length: goalCount }, (_, i) => i + 1);
+    for (const goalIndex of candidates) {
+        const goal = findGoal(doc, goalIndex);
+        if (!goal) continue;
+        const before = goalLines(goal.node);
+        const after = before.slice();
+        if (isAddHypothesis) {
+            after.splice(after.length - 1, 0, suggestion.suggestedValue);
+            return { goalIndex, before, after, changed: after.length - 2 };
+        }
+        const line = before.findIndex((text) => text.includes(suggestion.originalValue));
+        if (line !== -1) {
+            after[line] = before[line].replace(suggestion.originalValue, () => suggestion.suggestedValue);
+            return { goalIndex, before, after, changed: line };
+        }
+    }
+    return null;
+}
+
+// The alternatives shown as cards: { id, items: [{ suggestion, index, reachability }] } in the agent's order, or null
+let suggestionCards = null;
+
+// The order of the cards by their verdict; the agent's order breaks ties, and is all there is while they are checked
+const REACHABILITY_RANK = { reachable: 0, checking: 1, unknown: 1, unreachable: 2 };
+
+// Alternative edits the agent suggested, ranked, as cards below the state: each shows its goal before and after
+// the edit, and only the one the user picks is made in the document, as a suggestion like any other.
+// Rendered again, ranked anew, as the verdicts arrive.
+function renderSuggestionCards(cards) {
+    suggestionCards = cards;
+    const container = document.getElementById('suggestionCards');
+    if (!container) { return; }
+    container.innerHTML = '';
+    if (!cards || cards.items.length === 0) {
+        return;
+    }
+    const rank = (item) => (item.reachability ? REACHABILITY_RANK[item.reachability.reachability] : 1);
+    const suggestions = cards.items.slice().sort((a, b) => rank(a) - rank(b) || a.index - b.index);
+    const header = document.createElement('div');
+    header.className = 'messages-header suggestion-cards-header';
+    header.textContent = `Suggested edits (${suggestions.length}), best first`;
+    const dismiss = document.createElement('button');
+    dismiss.textContent = 'Dismiss';
+    dismiss.addEventListener('click', () => renderSuggestionCards(null));
+    header.appendChild(dismiss);
+    container.appendChild(header);
+
+    const column = (title, lines, changed, cls) => {
+        let html = `<div class="suggestion-preview-column"><div class="obligation-header">${escapeHtml(title)}</div>`;
+        lines.forEach((text, i) => {
+            html += `<pre class="${i === lines.length - 1 ? 'goalType' : 'hypothesis'}${i === changed ? ` ${cls}` : ''}">${escapeHtml(text)}</pre>`;
+        });
+        return html + '</div>';
+    };
+    suggestions.forEach(({ suggestion, index: agentIndex, reachability }, index) => {
+        const card = document.createElement('div');
+        card.className = `goal suggestion-card${reachability ? ` suggestion-card-${reachability.reachability}` : ''}`;
+        const isAddHypothesis = String(suggestion.originalValue ?? '').trim() === '';
+        const target = isAddHypothesis
+            ? `Add hypothesis ${suggestion.hypothesisName}`
+            : suggestion.hypothesisName === 'Goal' ? 'Change the goal' : `Change hypothesis ${suggestion.hypothesisName}`;
+        const preview = previewSuggestion(view.state.doc, suggestion);
+        let html = `<div class="suggestion-card-title">${index + 1}. ${escapeHtml(target)}</div>`;
+        if (suggestion.reason) {
+            html += `<div class="suggestion-card-reason">${escapeHtml(suggestion.reason)}</div>`;
+        }
+        if (reachability) {
+            html += `<div class="obligation-header" title="${escapeHtml(reachability.detail)}">${REACHABILITY_LABELS[reachability.reachability]}: ${escapeHtml(reachability.detail)}</div>`;
+        }
+        html += preview
+            ? `<div class="suggestion-preview">${column(`Goal ${preview.goalIndex} now`, preview.before, preview.changed, 'suggestion-preview-removed')}${column('After the edit', preview.after, preview.changed, 'suggestion-preview-added')}</div>`
+            : `<div class="message">"${escapeHtml(suggestion.originalValue)}" is not in the current state.</div>`;
+        card.innerHTML = html;
+        const use = document.createElement('button');
+        use.textContent = 'Use this edit';
+        use.disabled = !preview;
+        use.addEventListener('click', () => {
+            renderSuggestionCards(null);
+            handleSuggestion(suggestion, reachability, `${cards.id}:${agentIndex}`);
+        });
+        card.appendChild(use);
+        container.appendChild(card);
+    });
 }
 
 // Chat UI helpers
@@ -715,6 +1123,13 @@ function setTypingIndicator(visible) {
     }
 }
 
+const chatContextUsage = document.getElementById('chatContextUsage');
+function setContextUsage(promptTokens, tokensLimit) {
+    if (!chatContextUsage) return;
+    chatContextUsage.textContent = `Context: ${promptTokens.toLocaleString()} / ${tokensLimit.toLocaleString()} tokens`;
+    chatContextUsage.classList.toggle('near-limit', promptTokens > 0.8 * tokensLimit);
+}
+
 const synthesizingIndicator = document.getElementById('synthesizingIndicator');
 function setSynthesizingIndicator(visible) {
     if (synthesizingIndicator) {
@@ -4,8 +4,25 @@ import { Uri } from '../utils/uri';
 import { runCoqAgent, AgentTool, streamCoqChat, SuggestionCallback, ConversationHistoryCallback } from '../llm/chatBridge';
 import { CoqTools } from '../tools/coqTools';
 import { createAutoformaliserTools, EditHistory } from '../tools/autoformaliserTools';
-import { createProverTools, clearSuggestedEditDecoration } from '../tools/proverTools';
-import { runProverAgent } from '../llm/chatBridge';
+import { createProverTools, clearSuggestedEditDecoration, ProverToolsOptions, applySuggestedEdit, scriptInsertionText } from '../tools/proverTools';
+import { AddedHypothesis, findAddedHypothesis, findAdmittedObligations, synthesizeAddedHypothesis } from '../tools/hypothesisSynthesis';
+import { findSubtermEdit, SubtermEdit, synthesizeSubtermRewrite } from '../tools/rewriteSynthesis';
+import { findHypothesisEdits, HypothesisEdits, synthesizeHypothesisEdits } from '../tools/hypothesisEdits';
+import { checkProofStateEdits, describeProofStateEdit, GoalStructureEdit, isGoalStructureEdit, ProofStateEdit, ProofStateEditOutcome, synthesizeGoalStructureEdit } from '../tools/goalEdits';
+import { agentEditLog, revertAgentEdit } from '../tools/agentEditLog';
+import { coqProbe, matchProofState, readProofStateMatchStrictness } from '../tools/proofStateMatching';
+import { runProverAgent, ProverProofStateChange } from '../llm/chatBridge';
+import { ChatHistory } from '../llm/llmServices/commonStructures/chat';
+import { ChatAdapter } from '../llm/chatAdapters';
+import { renderPromptTemplate } from '../llm/promptTemplates';
+import { raceProverAgents } from '../llm/proverRace';
+import { describeProofSearchResult, insertProofSearchScript, readProofSearchSettings, runProofSearch } from '../llm/proofSearchRunner';
+import { TacticProposer } from '../core/proofSearch';
+import { AutomationPortfolioReport, formatAutomationReport } from '../core/automationPortfolio';
+import { diffProofStates, ProofStateDiff, SubtermChange } from '../core/proofStateDiff';
+import { describeAutomationReport, tacticReachingDesiredState, withAutomationReport } from '../llm/automationPortfolioRunner';
+import { explainProof, findTheoremAt } from '../llm/proofExplanation';
+import { ReachabilityVerdict, SuggestedProofStateEdit, checkReachability, desiredStateForSuggestion, readReachabilityOracleSettings } from '../llm/reachabilityOracle';
 import { convertToString, ProofGoal, Hyp, PpString, GoalsWithMessages } from '../lsp/coqLspTypes';
 import { isCoqDocumentLanguage } from '../utils/coqUtils'; 
 
@@ -15,6 +32,9 @@ import { globalSuggestionManager } from '../extension';
 
 type ClientReadyPromise = Promise<CoqLspClient>;
 
+/** How many scripts of the reachability oracle are kept for Implement Changes. */
+const VERIFIED_SCRIPTS = 5;
+
 export class ProofStatePanel {
     public static currentPanel: ProofStatePanel | undefined;
     private readonly panel: vscode.WebviewPanel;
@@ -26,11 +46,22 @@ export class ProofStatePanel {
     /** Last cursor position when proof state was updated (Coq file had focus). Used by prover tools when panel has focus. */
     private savedCursorPosition: { line: number; character: number } | undefined;
     private editHistory: EditHistory = { edits: [] };
-    private conversationHistory: Array<{ role: 'user' | 'assistant' | 'system'; content: string }> = [];
-    /** When the prover applies a suggested edit, we store the editor so Keep/Revert can clear the decoration and optionally undo. */
-    private pendingSuggestedEditor: vscode.TextEditor | undefined;
+    private conversationHistory: ChatHistory = [];
+    /** When the prover applies a suggested edit, we store the editor and the edit so Keep/Revert can clear the decoration and optionally revert it. */
+    private pendingSuggestedEdit: { editor: vscode.TextEditor; transactionId: number } | undefined;
+    /** The last state shown, to highlight what the tactics between it and the next one changed. */
+    private lastProofState: { uri: string; position: vscode.Position; state: GoalsWithMessages } | undefined;
+    /** Scripts the reachability oracle found for suggested edits, most recent last; valid while the document is unchanged. */
+    private verifiedScripts: { uri: string; version: number; position: vscode.Position; tactics: string[] }[] = [];
     /** Cancellation for the current chat/agent run. Cancel when user clicks Stop. */
     private chatCancelSource: vscode.CancellationTokenSource | undefined;
+    /**
+     * Cancellation for the reachability checks of the last chat run's suggestions, which can outlive the run.
+     * Cancelled when the user clicks Stop or makes the next request.
+     */
+    private reachabilityCancelSource: vscode.CancellationTokenSource | undefined;
+    /** Numbers the suggestions sent to the webviews, so that their reachability verdicts can follow. */
+    private suggestionCount = 0;
 
     public static createOrShow(
         context: vscode.ExtensionContext,
@@ -109,11 +140,44 @@ export class ProofStatePanel {
         return this.chatPanel?.webview ?? this.panel.webview;
     }
 
+    /** Posts `message` to the panel and, when the chat is popped out, to the chat too. */
+    private postToWebviews(message: unknown): void {
+        this.panel.webview.postMessage(message);
+        this.chatPanel?.webview.postMessage(message);
+    }
+
     /** Call this to refresh the proof state at the current editor cursor (e.g. from a keybinding or toolbar). */
     public async requestProofStateUpdate(): Promise<void> {
         await this.updateProofState();
     }
 
+    /** Posts a step-by-step walkthrough of the proof at `position` to the chat, explained by the default model. */
+    public async explainProof(editor: vscode.TextEditor, position: vscode.Position): Promise<void> {
+        const post = (text: string) => this.getChatWebview().postMessage({ type: 'chatResponsePart', text });
+        this.reachabilityCancelSource?.cancel();
+        this.chatCancelSource?.dispose();
+        this.chatCancelSource = new vscode.CancellationTokenSource();
+        const token = this.chatCancelSource.token;
+        try {
+            const model = await vscode.commands.executeCommand<ChatAdapter | null>('outputdirectedtheoremproving.getDefaultChatModel', { useCache: true });
+            if (!model) {
+                post('No chat model available. Select an LLM service to explain the proof.');
+                return;
+            }
+            const client = await this.clientReady;
+            const theorem = await findTheoremAt(client, editor.document, position);
+            if (!theorem) {
+                post('_No proof found at the cursor._ Place the cursor in a theorem or its proof (between `Proof.` and `Qed.`/`Admitted.`).');
+                return;
+            }
+            await explainProof(client, model, editor.document, theorem, post, token);
+        } catch (e) {
+            post(`Error explaining the proof: ${e instanceof Error ? e.message : String(e)}`);
+        } finally {
+            this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+        }
+    }
+
     public dispose() {
         ProofStatePanel.currentPanel = undefined;
         this.closeChatPanel();
@@ -197,6 +261,7 @@ export class ProofStatePanel {
     <div id="synthesizingIndicator" class="synthesizing-indicator" aria-hidden="true">Synthesizing proof...</div>
     <div id="chatLog" style="flex: 1 1 auto; min-height: 0; overflow: auto;"></div>
     <div id="chatTypingIndicator" class="chat-typing-indicator" aria-hidden="true">Model is typing...</div>
+    <div id="chatContextUsage" class="chat-context-usage"></div>
     <div style="display: flex; flex-direction: row; align-items: center; gap: 6px;">
       <input id="chatInput" type="text" placeholder="Consult the assistant." />
       <button id="chatSend">Send</button>
@@ -235,6 +300,7 @@ export class ProofStatePanel {
             if (this.chatCancelSource) {
                 this.chatCancelSource.cancel();
             }
+            this.reachabilityCancelSource?.cancel();
             return;
         }
 
@@ -248,16 +314,19 @@ export class ProofStatePanel {
             await this.applyTactic(tactic);
         } else if (cmd === 'proofSuggestionKeep') {
             if (!isMain) return;
-            const ed = this.pendingSuggestedEditor;
-            this.pendingSuggestedEditor = undefined;
-            if (ed) clearSuggestedEditDecoration(ed);
+            const pending = this.pendingSuggestedEdit;
+            this.pendingSuggestedEdit = undefined;
+            if (pending) {
+                clearSuggestedEditDecoration(pending.editor);
+                agentEditLog.keep(pending.transactionId);
+            }
         } else if (cmd === 'proofSuggestionRevert') {
             if (!isMain) return;
-            const ed = this.pendingSuggestedEditor;
-            this.pendingSuggestedEditor = undefined;
-            if (ed) {
-                clearSuggestedEditDecoration(ed);
-                await vscode.commands.executeCommand('undo');
+            const pending = this.pendingSuggestedEdit;
+            this.pendingSuggestedEdit = undefined;
+            // Reverts exactly this edit, even if the user has typed elsewhere since (unlike `undo`)
+            if (pending && (await revertAgentEdit(pending.transactionId))) {
+                clearSuggestedEditDecoration(pending.editor);
             }
         } else if (cmd === 'chat') {
             const prompt: string = message.prompt;
@@ -265,12 +334,16 @@ export class ProofStatePanel {
             this.chatCancelSource?.dispose();
             this.chatCancelSource = new vscode.CancellationTokenSource();
             const token = this.chatCancelSource.token;
+            this.reachabilityCancelSource?.cancel();
+            this.reachabilityCancelSource?.dispose();
+            this.reachabilityCancelSource = new vscode.CancellationTokenSource();
+            const reachabilityToken = this.reachabilityCancelSource.token;
             // Use agent with tools for chat - allows the agent to decide when to use tools
             (async () => {
                 try {
                     // Ask the extension for a model object (may return null)
                     // Pass useCache: true to use cached model if available, otherwise show picker
-                    const model = await vscode.commands.executeCommand('outputdirectedtheoremproving.getDefaultChatModel', { useCache: true });
+                    const model = await vscode.commands.executeCommand<ChatAdapter | null>('outputdirectedtheoremproving.getDefaultChatModel', { useCache: true });
                     if (!model) {
                         // No model available -- inform the webview
                         this.getChatWebview().postMessage({ type: 'chatResponsePart', text: 'No chat model available. Open the Chat view to configure a model.' });
@@ -309,18 +382,33 @@ export class ProofStatePanel {
                     );
 
                     // Enhance the prompt to encourage tool use for proof-related questions
-                    const enhancedPrompt = this.enhancePromptForTools(prompt);
+                    const report = await this.runAutomationPortfolio(editor);
+                    const enhancedPrompt = withAutomationReport(this.enhancePromptForTools(prompt, model.modelId), report, model.modelId);
 
                     // Callback to handle suggestions from the agent
-                    const handleSuggestion: SuggestionCallback = (suggestion) => {
-                        const msg = { type: 'suggestion' as const, suggestion };
-                        this.getChatWebview().postMessage(msg);
+                    const agentEditor = editor;
+                    const handleSuggestion: SuggestionCallback = (suggestion, alternatives) => {
                         // Refresh main panel proof state then send suggestion so the document matches what the agent saw.
                         // Small delay so the panel has time to apply the proofUpdate before we send the suggestion.
                         void (async () => {
+                            // Shown at once; whether the prover can reach it, as far as a short search can tell, follows.
+                            // Alternatives are shown as cards to pick from, in the agent's order until the verdicts rank them
+                            const id = ++this.suggestionCount;
+                            const checking = readReachabilityOracleSettings().enabled;
+                            const suggestions = [suggestion, ...(alternatives ?? [])];
+                            const msg = alternatives === undefined
+                                ? { type: 'suggestion' as const, id, suggestion, checking }
+                                : { type: 'suggestionAlternatives' as const, id, suggestions, checking };
+                            this.getChatWebview().postMessage(msg);
                             await this.updateProofStateForSuggestion();
                             await new Promise((r) => setTimeout(r, 150));
                             this.panel.webview.postMessage(msg);
+                            if (checking) {
+                                for (const [index, checked] of suggestions.entries()) {
+                                    const reachability = await this.checkSuggestionReachability(agentEditor, checked, reachabilityToken);
+                                    this.postToWebviews({ type: 'suggestionReachability', id, index, reachability });
+                                }
+                            }
                         })();
                     };
 
@@ -345,7 +433,10 @@ export class ProofStatePanel {
                         handleSuggestion, // onSuggestion callback
                         this.conversationHistory, // conversation history
                         handleHistoryUpdate, // onHistoryUpdate callback
-                        this.editHistory // edit history
+                        this.editHistory, // edit history
+                        (usage) => {
+                            this.getChatWebview().postMessage({ type: 'contextUsage', promptTokens: usage.promptTokens, tokensLimit: usage.tokensLimit });
+                        }
                     );
                 } catch (e) {
                     console.error('Stream chat response failed:', e);
@@ -381,139 +472,494 @@ export class ProofStatePanel {
         }
     }
 
-    private async handleAgentRequest(context: { lhs?: string; rhs?: string; fullOriginalState?: string; fullDesiredState?: string }) {
+    private async handleAgentRequest(context: { lhs?: string; rhs?: string; fullOriginalState?: string; fullDesiredState?: string; edits?: ProofStateEdit[] }) {
         const lhs = (context?.lhs ?? '').trim();
         const rhs = (context?.rhs ?? '').trim();
         const fullOriginalState = (context?.fullOriginalState ?? '').trim() || undefined;
         const fullDesiredState = (context?.fullDesiredState ?? '').trim() || undefined;
+        const edits = context?.edits ?? [];
         console.log('[Proof State Panel] handleAgentRequest started', { lhs, rhs, hasFullState: !!(fullOriginalState && fullDesiredState) });
+        this.reachabilityCancelSource?.cancel();
         this.chatCancelSource?.dispose();
         this.chatCancelSource = new vscode.CancellationTokenSource();
         const token = this.chatCancelSource.token;
         this.getChatWebview().postMessage({ type: 'proverAgentStarted' });
+        // Set once an edit may be applied, when the user made several
+        let reportEdits: (() => Promise<void>) | undefined = undefined;
         try {
-        const hasFullState = !!(fullOriginalState && fullDesiredState);
-        if (!hasFullState && (!lhs || !rhs)) {
-            this.getChatWebview().postMessage({
-                type: 'chatResponsePart',
-                text: '_No proof state change selected._ Enable **Suggestions**, then mark a change on a hypothesis or goal (e.g. edit it to show old → new). Click **Synthesize Equality** again.',
+            const hasFullState = !!(fullOriginalState && fullDesiredState);
+            if (!hasFullState && (!lhs || !rhs)) {
+                this.getChatWebview().postMessage({
+                    type: 'chatResponsePart',
+                    text: '_No proof state change selected._ Enable **Suggestions**, then mark a change on a hypothesis or goal (e.g. edit it to show old → new). Click **Synthesize Equality** again.',
+                });
+                this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                return;
+            }
+            // Pass useCache: true to use cached model if available, otherwise show picker
+            // The default model, followed by the ones configured to race it
+            const models = await vscode.commands.executeCommand<ChatAdapter[]>('outputdirectedtheoremproving.getProverRaceModels');
+            const model = models?.[0];
+            if (!model) {
+                console.log('[Proof State Panel] No model selected, aborting');
+                this.getChatWebview().postMessage({ type: 'chatResponsePart', text: 'Error: No model selected.' });
+                this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                return;
+            }
+            console.log('[Proof State Panel] Model obtained');
+
+            console.log('[Proof State Panel] Resolving Coq editor');
+            let editor: vscode.TextEditor | undefined; 
+            if (this.currentDocumentUri) {
+                editor = vscode.window.visibleTextEditors.find(
+                    e => e.document.uri.toString() === this.currentDocumentUri?.toString()
+                );
+            }
+
+            if (!editor) editor = vscode.window.activeTextEditor;
+            if (!editor || !isCoqDocumentLanguage(editor.document.languageId)) {
+                editor = vscode.window.visibleTextEditors.find((e) => isCoqDocumentLanguage(e.document.languageId));
+            }
+
+            if (!editor) {
+                console.error('[Proof State Panel] Could not find the bound Coq editor.');
+                this.getChatWebview().postMessage({ type: 'chatResponsePart', text: 'Error: The Coq file for this proof state is no longer visible.' });
+                this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                return;
+            }
+            console.log('[Proof State Panel] Editor found, running prover agent');
+
+            if (!this.savedCursorPosition) {
+                this.savedCursorPosition = { line: editor.selection.active.line, character: editor.selection.active.character };
+            }
+
+            // Track this edit in history
+            this.editHistory.edits.push({
+                lhs,
+                rhs,
+                timestamp: Date.now()
             });
-            this.getChatWebview().postMessage({ type: 'chatResponseDone' });
-            return;
-        }
-        // Pass useCache: true to use cached model if available, otherwise show picker
-        const model = await vscode.commands.executeCommand('outputdirectedtheoremproving.getDefaultChatModel', { useCache: true });
-        if (!model) {
-            console.log('[Proof State Panel] No model selected, aborting');
-            this.getChatWebview().postMessage({ type: 'chatResponsePart', text: 'Error: No model selected.' });
-            this.getChatWebview().postMessage({ type: 'chatResponseDone' });
-            return;
+
+            // Compute full state text for the agent (and for tool session fallback when agent sends empty)
+            const originalValue = (fullOriginalState || lhs).trim() || lhs;
+            const desiredValue = (fullDesiredState || rhs).trim() || rhs;
+            if (!originalValue || !desiredValue) {
+                this.getChatWebview().postMessage({ type: 'chatResponsePart', text: 'Error: Proof state text is empty; cannot run the prover agent.' });
+                this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                return;
+            }
+
+            // Where the edit made for this request ends, for the report on each of several edits
+            let appliedEnd: vscode.Position | undefined = undefined;
+            // Create prover tools with session state and saved cursor (so tools use proof position when panel has focus)
+            const proverToolsOptions: ProverToolsOptions = {
+                sessionOriginalValue: originalValue,
+                sessionDesiredValue: desiredValue,
+                cursorPositionOverride: this.savedCursorPosition,
+                // --- UPDATED: Connect the suggestion event to the global manager ---
+                onSuggestedEditApplied: (ed, range, oldText, transactionId) => {
+                    this.pendingSuggestedEdit = { editor: ed, transactionId };
+                    appliedEnd = range.end;
+                    if (globalSuggestionManager) {
+                        globalSuggestionManager.setSuggestion(ed.document.uri, range, oldText, transactionId);
+                    }
+                    this.panel.webview.postMessage({ type: 'proofSuggestionApplied' });
+                },
+                // -------------------------------------------------------------------
+            };
+            const proverTools = createProverTools(this.clientReady, editor, proverToolsOptions);
+            const proofStateChange: ProverProofStateChange = {
+                originalValue,
+                desiredValue,
+                validationLhs: lhs || undefined,
+                validationRhs: rhs || undefined,
+            };
+            const intendedEdits = edits.flatMap((edit, index) => {
+                const description = describeProofStateEdit(edit);
+                return description !== undefined ? [`${index + 1}. ${description}`] : [];
+            });
+            if (intendedEdits.length > 0) {
+                proofStateChange.intendedEdits = intendedEdits.join('\n');
+            }
+
+            // Show initial message (show full-state summary when available)
+            const summary = fullOriginalState && fullDesiredState
+                ? 'Full proof state (before) → (after)'
+                : `\`${lhs}\` → \`${rhs}\``;
+            this.getChatWebview().postMessage({ 
+                type: 'chatResponsePart', 
+                text: `_Prover Agent: Attempting to achieve proof state change_\n${summary}\n\n` 
+            });
+
+            reportEdits = edits.length > 1 ? () => this.reportProofStateEdits(editor, edits, desiredValue, appliedEnd, token) : undefined;
+            try {
+                if (await this.applyVerifiedScript(editor, desiredValue, proverToolsOptions)) {
+                    this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                    return;
+                }
+                // The goal buttons of the panel say which tactic they ask for
+                const [edit] = edits;
+                if (edits.length === 1 && isGoalStructureEdit(edit) && await this.restructureGoals(editor, edit, desiredValue, proverToolsOptions)) {
+                    this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                    return;
+                }
+                // Deleting, renaming or reordering hypotheses needs neither a model nor decision procedures
+                const hypothesisEdits = findHypothesisEdits(originalValue, desiredValue);
+                if (hypothesisEdits !== undefined && await this.editHypotheses(editor, hypothesisEdits, desiredValue, proverToolsOptions)) {
+                    this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                    return;
+                }
+                // A change a decision procedure makes needs no model
+                const report = await this.runAutomationPortfolio(editor);
+                const cursor = new vscode.Position(this.savedCursorPosition.line, this.savedCursorPosition.character);
+                const tactic = await tacticReachingDesiredState(this.clientReady, editor.document, cursor, report, desiredValue);
+                if (tactic !== undefined) {
+                    await insertProofSearchScript(editor, cursor, [tactic], editor.document.version, proverToolsOptions);
+                    this.getChatWebview().postMessage({ type: 'chatResponsePart', text: `\`${tactic}\` reaches the desired state; the edit is applied and highlighted.` });
+                    this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                    return;
+                }
+                if (report && report.results.length > 0) {
+                    proofStateChange.automationReport = formatAutomationReport(report);
+                }
+                const addedHypothesis = findAddedHypothesis(originalValue, desiredValue);
+                if (addedHypothesis !== undefined && await this.introduceHypothesis(editor, addedHypothesis, desiredValue, proverToolsOptions, token)) {
+                    this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                    return;
+                }
+                const subtermEdit = findSubtermEdit(originalValue, desiredValue, lhs, rhs);
+                if (subtermEdit !== undefined && await this.rewriteSubterm(editor, subtermEdit, desiredValue, proverToolsOptions, token)) {
+                    this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                    return;
+                }
+                if (readProofSearchSettings().beforeProverAgent && await this.searchForDesiredState(editor, desiredValue, proverToolsOptions, token)) {
+                    this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                    return;
+                }
+                if (models.length > 1) {
+                    console.log('[Proof State Panel] Racing the prover agent on', models.length, 'models');
+                    await raceProverAgents(
+                        this.clientReady,
+                        models,
+                        proofStateChange,
+                        editor,
+                        proverToolsOptions,
+                        (chunk: string) => {
+                            this.getChatWebview().postMessage({ type: 'chatResponsePart', text: chunk });
+                        },
+                        token
+                    );
+                    this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                    return;
+                }
+                console.log('[Proof State Panel] Calling runProverAgent');
+                await runProverAgent(
+                    this.clientReady,
+                    model,
+                    proofStateChange,
+                    proverTools,
+                    (chunk: string) => {
+                        this.getChatWebview().postMessage({ type: 'chatResponsePart', text: chunk });
+                    },
+                    () => {
+                        this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+                    },
+                    token
+                );
+                console.log('[Proof State Panel] runProverAgent finished');
+            } catch (e) {
+                console.error('[Proof State Panel] Prover agent error:', e);
+                this.getChatWebview().postMessage({
+                    type: 'chatResponsePart',
+                    text: `Error running prover agent: ${e instanceof Error ? e.message : String(e)}`
+                });
+                this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+            }
+        } finally {
+            await reportEdits?.();
+            this.chatCancelSource?.dispose();
+            this.chatCancelSource = undefined;
+            this.getChatWebview().postMessage({ type: 'proverAgentDone' });
         }
-        console.log('[Proof State Panel] Model obtained');
+    }
 
-        console.log('[Proof State Panel] Resolving Coq editor');
-        let editor: vscode.TextEditor | undefined; 
-        if (this.currentDocumentUri) {
-            editor = vscode.window.visibleTextEditors.find(
-                e => e.document.uri.toString() === this.currentDocumentUri?.toString()
+    /**
+     * Searches quietly for a script that reaches the state `suggestion` asks for, from the one at the proof's cursor,
+     * and keeps the script found for `applyVerifiedScript`; `undefined` if the oracle is disabled.
+     */
+    private async checkSuggestionReachability(
+        editor: vscode.TextEditor,
+        suggestion: SuggestedProofStateEdit,
+        token: vscode.CancellationToken
+    ): Promise<ReachabilityVerdict | undefined> {
+        const settings = readReachabilityOracleSettings();
+        if (!settings.enabled) {
+            return undefined;
+        }
+        const cursor = this.savedCursorPosition ?? editor.selection.active;
+        const position = new vscode.Position(cursor.line, cursor.character);
+        const document = editor.document;
+        const version = document.version;
+        try {
+            const client = await this.clientReady;
+            const uri = Uri.fromVscodeUri(document.uri);
+            const current = await client.withTextDocument({ uri, version, content: document.getText() }, () =>
+                client.getGoalsAtPoint(position as any, uri as any, version)
             );
+            if (!current.ok) {
+                throw current.val;
+            }
+            const desiredValue = desiredStateForSuggestion(current.val.goals, suggestion);
+            if (desiredValue === undefined) {
+                return { reachability: 'unknown', detail: 'the suggestion does not fit the goals at the cursor' };
+            }
+            const proposers = (await vscode.commands.executeCommand<TacticProposer[]>('outputdirectedtheoremproving.getTacticProposers')) ?? [];
+            const verdict = await checkReachability(this.clientReady, document, position, desiredValue, proposers, settings.budget, token);
+            if (verdict.tactics !== undefined) {
+                this.verifiedScripts = [...this.verifiedScripts.slice(-(VERIFIED_SCRIPTS - 1)), { uri: document.uri.toString(), version, position, tactics: verdict.tactics }];
+            }
+            return verdict;
+        } catch (e) {
+            return { reachability: 'unknown', detail: `the search failed: ${e instanceof Error ? e.message : String(e)}` };
         }
+    }
 
-        if (!editor) editor = vscode.window.activeTextEditor;
-        if (!editor || !isCoqDocumentLanguage(editor.document.languageId)) {
-            editor = vscode.window.visibleTextEditors.find((e) => isCoqDocumentLanguage(e.document.languageId));
+    /**
+     * Applies a script the reachability oracle found when the edit was suggested, if the document and the cursor
+     * have not changed since and Coq confirms that it reaches `desiredValue`; returns whether it did.
+     */
+    private async applyVerifiedScript(editor: vscode.TextEditor, desiredValue: string, options: ProverToolsOptions): Promise<boolean> {
+        const cursor = options.cursorPositionOverride ?? editor.selection.active;
+        const position = new vscode.Position(cursor.line, cursor.character);
+        const document = editor.document;
+        const version = document.version;
+        const scripts = this.verifiedScripts.filter(
+            (script) => script.uri === document.uri.toString() && script.version === version && script.position.isEqual(position)
+        );
+        if (scripts.length === 0) {
+            return false;
+        }
+        const client = await this.clientReady;
+        const uri = Uri.fromVscodeUri(document.uri);
+        const strictness = readProofStateMatchStrictness();
+        const verified = await client.withTextDocument({ uri, version, content: document.getText() }, async () => {
+            for (const { tactics } of [...scripts].reverse()) {
+                const script = tactics.join(' ');
+                const reached = await client.getGoalsAtPoint(position as any, uri as any, version, script);
+                if (reached.ok && !reached.val.error && (await matchProofState(reached.val.goals, desiredValue, strictness, coqProbe(client, position, uri, version, script))).matches) {
+                    return tactics;
+                }
+            }
+            return undefined;
+        });
+        if (verified === undefined) {
+            return false;
         }
+        await insertProofSearchScript(editor, position, verified, version, options);
+        this.getChatWebview().postMessage({ type: 'chatResponsePart', text: `\`${verified.join(' ')}\` was verified to reach this state when the edit was suggested; the edit is applied and highlighted.` });
+        return true;
+    }
 
-        if (!editor) {
-            console.error('[Proof State Panel] Could not find the bound Coq editor.');
-            this.getChatWebview().postMessage({ type: 'chatResponsePart', text: 'Error: The Coq file for this proof state is no longer visible.' });
-            this.getChatWebview().postMessage({ type: 'chatResponseDone' });
-            return;
+    /** Runs the automation portfolio at the proof's cursor and shows its report in the chat. */
+    private async runAutomationPortfolio(editor: vscode.TextEditor): Promise<AutomationPortfolioReport | undefined> {
+        const cursor = this.savedCursorPosition ?? editor.selection.active;
+        const report = await vscode.commands.executeCommand<AutomationPortfolioReport | undefined>(
+            'outputdirectedtheoremproving.runAutomationPortfolio', editor.document, new vscode.Position(cursor.line, cursor.character)
+        );
+        const description = describeAutomationReport(report);
+        if (description) {
+            this.getChatWebview().postMessage({ type: 'chatResponsePart', text: description });
         }
-        console.log('[Proof State Panel] Editor found, running prover agent');
+        return report;
+    }
 
-        if (!this.savedCursorPosition) {
-            this.savedCursorPosition = { line: editor.selection.active.line, character: editor.selection.active.character };
+    /** Makes a split, focus or discharge of a goal at the proof's cursor; returns whether Coq accepted it and the edit was applied. */
+    private async restructureGoals(editor: vscode.TextEditor, edit: GoalStructureEdit, desiredValue: string, options: ProverToolsOptions): Promise<boolean> {
+        const post = (text: string) => this.getChatWebview().postMessage({ type: 'chatResponsePart', text });
+        const cursor = options.cursorPositionOverride ?? editor.selection.active;
+        const position = new vscode.Position(cursor.line, cursor.character);
+        const version = editor.document.version;
+        try {
+            const tactic = await synthesizeGoalStructureEdit(await this.clientReady, editor.document, position, edit, desiredValue);
+            await insertProofSearchScript(editor, position, [tactic], version, options);
+            const selector = edit.kind === 'focusGoal' ? ` Alternatively, keep the order and prefix the next tactic with the goal selector \`${edit.goal}:\`.` : '';
+            post(`You ${describeProofStateEdit(edit)}: \`${tactic}\` does it; the edit is applied and highlighted.${selector}`);
+            return true;
+        } catch (e) {
+            post(`_Cannot make the goal edit directly: ${e instanceof Error ? e.message : String(e)}. Falling back to the prover agent._\n\n`);
+            return false;
         }
+    }
 
-        // Track this edit in history
-        this.editHistory.edits.push({
-            lhs,
-            rhs,
-            timestamp: Date.now()
-        });
+    /** Makes the `clear`, `rename` and `move` edits at the proof's cursor; returns whether Coq accepted them and the edit was applied. */
+    private async editHypotheses(editor: vscode.TextEditor, edits: HypothesisEdits, desiredValue: string, options: ProverToolsOptions): Promise<boolean> {
+        const post = (text: string) => this.getChatWebview().postMessage({ type: 'chatResponsePart', text });
+        const cursor = options.cursorPositionOverride ?? editor.selection.active;
+        const position = new vscode.Position(cursor.line, cursor.character);
+        const version = editor.document.version;
+        try {
+            const script = await synthesizeHypothesisEdits(await this.clientReady, editor.document, position, edits, desiredValue);
+            await insertProofSearchScript(editor, position, [script], version, options);
+            post(`\`${script}\` reaches the desired state; the edit is applied and highlighted.`);
+            return true;
+        } catch (e) {
+            post(`_Cannot edit the hypotheses directly: ${e instanceof Error ? e.message : String(e)}. Falling back to the prover agent._\n\n`);
+            return false;
+        }
+    }
 
-        // Compute full state text for the agent (and for tool session fallback when agent sends empty)
-        const originalValue = (fullOriginalState || lhs).trim() || lhs;
-        const desiredValue = (fullDesiredState || rhs).trim() || rhs;
-        if (!originalValue || !desiredValue) {
-            this.getChatWebview().postMessage({ type: 'chatResponsePart', text: 'Error: Proof state text is empty; cannot run the prover agent.' });
-            this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+    /**
+     * Tells in the chat, for each of the edits the user made, whether the state at the end of the edit applied
+     * for them makes it, as Coq checks it; all of them are left to do if no edit was applied.
+     */
+    private async reportProofStateEdits(
+        editor: vscode.TextEditor,
+        edits: ProofStateEdit[],
+        desiredValue: string,
+        appliedEnd: vscode.Position | undefined,
+        token: vscode.CancellationToken
+    ): Promise<void> {
+        if (token.isCancellationRequested) {
             return;
         }
-
-        // Create prover tools with session state and saved cursor (so tools use proof position when panel has focus)
-        const proverTools = createProverTools(this.clientReady, editor, {
-            sessionOriginalValue: originalValue,
-            sessionDesiredValue: desiredValue,
-            cursorPositionOverride: this.savedCursorPosition,
-            // --- UPDATED: Connect the suggestion event to the global manager ---
-            onSuggestedEditApplied: (ed, range, oldText) => {
-                this.pendingSuggestedEditor = ed;
-                if (globalSuggestionManager) {
-                    globalSuggestionManager.setSuggestion(ed.document.uri, range, oldText);
+        let outcomes: ProofStateEditOutcome[];
+        if (appliedEnd === undefined) {
+            outcomes = edits.map((edit) => ({ edit, achieved: false, reason: 'no edit was applied' }));
+        } else {
+            try {
+                const client = await this.clientReady;
+                const uri = Uri.fromVscodeUri(editor.document.uri);
+                const version = editor.document.version;
+                const reached = await client.withTextDocument({ uri, version, content: editor.document.getText() }, () =>
+                    client.getGoalsAtPoint(appliedEnd as any, uri as any, version)
+                );
+                if (!reached.ok) {
+                    throw reached.val;
                 }
-                this.panel.webview.postMessage({ type: 'proofSuggestionApplied' });
-            },
-            // -------------------------------------------------------------------
-        });
-
-        // Show initial message (show full-state summary when available)
-        const summary = fullOriginalState && fullDesiredState
-            ? 'Full proof state (before) → (after)'
-            : `\`${lhs}\` → \`${rhs}\``;
-        this.getChatWebview().postMessage({ 
-            type: 'chatResponsePart', 
-            text: `_Prover Agent: Attempting to achieve proof state change_\n${summary}\n\n` 
-        });
+                outcomes = checkProofStateEdits(edits, reached.val.goals, desiredValue);
+            } catch (e) {
+                console.error('[Proof State Panel] Cannot check the edits:', e);
+                return;
+            }
+        }
+        const lines = outcomes.map(({ edit, achieved, reason }, index) =>
+            `- ${achieved ? '✓' : '✗'} ${index + 1}. ${describeProofStateEdit(edit) ?? 'the other changes of the state'}${reason !== undefined ? ` — ${reason}` : ''}`
+        );
+        const achieved = outcomes.filter((outcome) => outcome.achieved).length;
+        this.getChatWebview().postMessage({ type: 'chatResponsePart', text: `_${achieved} of ${outcomes.length} edits made, as checked with Coq:_\n${lines.join('\n')}` });
+        this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+    }
 
+    /**
+     * Adds `hypothesis` with an `assert` at the proof's cursor, proving its obligation with the automation portfolio
+     * or the tactic proposers, or leaving it admitted; returns whether it applied the edit.
+     */
+    private async introduceHypothesis(
+        editor: vscode.TextEditor,
+        hypothesis: AddedHypothesis,
+        desiredValue: string,
+        options: ProverToolsOptions,
+        token: vscode.CancellationToken
+    ): Promise<boolean> {
+        const post = (text: string) => this.getChatWebview().postMessage({ type: 'chatResponsePart', text });
+        const proposers = (await vscode.commands.executeCommand<TacticProposer[]>('outputdirectedtheoremproving.getTacticProposers')) ?? [];
+        const cursor = options.cursorPositionOverride ?? editor.selection.active;
+        const position = new vscode.Position(cursor.line, cursor.character);
+        const version = editor.document.version;
+        const abortController = new AbortController();
+        const cancellation = token.onCancellationRequested(() => abortController.abort());
+        post(`_Adding \`${hypothesis.name} : ${hypothesis.ty}\` with \`assert\`..._\n\n`);
         try {
-            console.log('[Proof State Panel] Calling runProverAgent');
-            await runProverAgent(
-                this.clientReady,
-                model,
-                {
-                    originalValue,
-                    desiredValue,
-                    validationLhs: lhs || undefined,
-                    validationRhs: rhs || undefined,
-                },
-                proverTools,
-                (chunk: string) => {
-                    this.getChatWebview().postMessage({ type: 'chatResponsePart', text: chunk });
-                },
-                () => {
-                    this.getChatWebview().postMessage({ type: 'chatResponseDone' });
-                },
-                token
+            const scaffold = await synthesizeAddedHypothesis(
+                await this.clientReady, editor.document, position, hypothesis, desiredValue, 'assert', proposers, abortController.signal
             );
-            console.log('[Proof State Panel] runProverAgent finished');
+            if (editor.document.version !== version) {
+                throw new Error('the document has been changed meanwhile');
+            }
+            const text = scriptInsertionText(editor.document.getText(), position, scaffold.script);
+            if (!(await applySuggestedEdit(editor, new vscode.Range(position, position), text, options))) {
+                throw new Error('the editor rejected the edit');
+            }
+            post(scaffold.closedBy !== undefined
+                ? `The obligation is proved by \`${scaffold.closedBy}\`; the edit is applied and highlighted.`
+                : 'No tactic proves the obligation: it is left as an `admit` marked `(* obligation *)`, listed under the goals. The edit is applied and highlighted.');
+            return true;
         } catch (e) {
-            console.error('[Proof State Panel] Prover agent error:', e);
-            this.getChatWebview().postMessage({
-                type: 'chatResponsePart',
-                text: `Error running prover agent: ${e instanceof Error ? e.message : String(e)}`
-            });
-            this.getChatWebview().postMessage({ type: 'chatResponseDone' });
+            post(`_Cannot add the hypothesis directly: ${e instanceof Error ? e.message : String(e)}. Falling back to the prover agent._\n\n`);
+            return false;
+        } finally {
+            cancellation.dispose();
         }
+    }
+
+    /**
+     * Looks for a `change`, `rewrite` or `replace` that makes the subterm edit at the proof's cursor, without a model;
+     * returns whether one reaches `desiredValue` and was applied.
+     */
+    private async rewriteSubterm(
+        editor: vscode.TextEditor,
+        edit: SubtermEdit,
+        desiredValue: string,
+        options: ProverToolsOptions,
+        token: vscode.CancellationToken
+    ): Promise<boolean> {
+        const post = (text: string) => this.getChatWebview().postMessage({ type: 'chatResponsePart', text });
+        const cursor = options.cursorPositionOverride ?? editor.selection.active;
+        const position = new vscode.Position(cursor.line, cursor.character);
+        const version = editor.document.version;
+        const abortController = new AbortController();
+        const cancellation = token.onCancellationRequested(() => abortController.abort());
+        const subterms = edit.subterms.map(([lhs, rhs]) => `\`${lhs}\` → \`${rhs}\``).join(', ');
+        post(`_Looking for a rewrite of ${subterms || 'the edited type'}..._\n\n`);
+        try {
+            const result = await synthesizeSubtermRewrite(await this.clientReady, editor.document, position, edit, desiredValue, abortController.signal);
+            if (result.tactic === undefined) {
+                if (!token.isCancellationRequested) {
+                    post(`_None of the ${result.candidates} rewrite(s) tried reaches the desired state; falling back to the prover agent._\n\n`);
+                }
+                return false;
+            }
+            await insertProofSearchScript(editor, position, [result.tactic], version, options);
+            post(`\`${result.tactic}\` reaches the desired state; the edit is applied and highlighted.`);
+            return true;
+        } catch (e) {
+            post(`_Looking for a rewrite failed: ${e instanceof Error ? e.message : String(e)}. Falling back to the prover agent._\n\n`);
+            return false;
         } finally {
-            this.chatCancelSource?.dispose();
-            this.chatCancelSource = undefined;
-            this.getChatWebview().postMessage({ type: 'proverAgentDone' });
+            cancellation.dispose();
         }
     }
 
-    
+    /** Runs the proof search towards `desiredValue` at the proof's cursor; returns whether it found a script and applied it. */
+    private async searchForDesiredState(
+        editor: vscode.TextEditor,
+        desiredValue: string,
+        options: ProverToolsOptions,
+        token: vscode.CancellationToken
+    ): Promise<boolean> {
+        const post = (text: string) => this.getChatWebview().postMessage({ type: 'chatResponsePart', text });
+        const proposers = await vscode.commands.executeCommand<TacticProposer[]>('outputdirectedtheoremproving.getTacticProposers');
+        if (!proposers || proposers.length === 0) {
+            return false;
+        }
+        const cursor = options.cursorPositionOverride ?? editor.selection.active;
+        const position = new vscode.Position(cursor.line, cursor.character);
+        const version = editor.document.version;
+        const strictness = readProofStateMatchStrictness();
+        post('_Searching for a proof script that reaches the desired state..._\n\n');
+        const result = await runProofSearch(this.clientReady, editor.document, position, proposers, async (goals, _initialGoals, probe) => {
+            return (await matchProofState(goals, desiredValue, strictness, probe)).matches;
+        }, token);
+        post(`${describeProofSearchResult(result)}\n\n`);
+        if (result.tactics === undefined) {
+            if (!token.isCancellationRequested) {
+                post('_Falling back to the prover agent._\n\n');
+            }
+            return false;
+        }
+        await insertProofSearchScript(editor, position, result.tactics, version, options);
+        return true;
+    }
 
     private async applyTactic(tactic: string) {
         try {
@@ -585,7 +1031,7 @@ export class ProofStatePanel {
      * Enhances user prompts to encourage tool use when appropriate.
      * Adds context hints for questions that clearly need proof state information.
      */
-    private enhancePromptForTools(prompt: string): string {
+    private enhancePromptForTools(prompt: string, modelId?: string): string {
         const lowerPrompt = prompt.toLowerCase();
         
         // Keywords that suggest the user needs proof script information (theorem name, proof script, etc.)
@@ -605,11 +1051,11 @@ export class ProofStatePanel {
         const needsProofState = proofStateKeywords.some(keyword => lowerPrompt.includes(keyword));
         
         if (needsProofScript) {
-            return `${prompt}\n\nNote: To answer this question accurately, you should use the get_current_proof_script tool to see the theorem name and proof script.`;
+            return renderPromptTemplate('proofScriptHint', { prompt }, modelId);
         }
         
         if (needsProofState) {
-            return `${prompt}\n\nNote: To answer this question accurately, you should use the get_current_proof_state tool to see the current goals and hypotheses.`;
+            return renderPromptTemplate('proofStateHint', { prompt }, modelId);
         }
         
         return prompt;
@@ -736,12 +1182,33 @@ export class ProofStatePanel {
                             }))
                         }));
 
+                        // Highlight what the tactics since the last state changed, when the cursor moved forward in the same document
+                        const uri = editor!.document.uri.toString();
+                        const previous = this.lastProofState;
+                        this.lastProofState = { uri, position, state: goalsWithMessages };
+                        const changes = previous?.uri === uri && previous.position.isBefore(position)
+                            ? stateChangeHighlights(diffProofStates(previous.state, goalsWithMessages))
+                            : [];
+
+                        // Admitted obligations are listed apart, below the editable state
+                        const obligations = (await findAdmittedObligations(client, editor!.document, position)).map(({ line, goal }) => ({
+                            line,
+                            ty: convertToString(goal.ty),
+                            hyps: goal.hyps.map((h: Hyp<PpString>) => ({
+                                names: h.names.map(n => convertToString(n)),
+                                def: h.def ? convertToString(h.def) : undefined,
+                                ty: convertToString(h.ty)
+                            }))
+                        }));
+
                         // Send goals and messages to webview
                         this.panel.webview.postMessage({
                             type: 'proofUpdate',
                             goals: convertedGoals,
                             messages: messages,
                             error: error,
+                            obligations,
+                            changes,
                         });
                     } else {
                         // If request failed, show error
@@ -793,11 +1260,14 @@ export class ProofStatePanel {
   <h2>Output Directed Theorem Prover</h2>
   <div id="webviewStatus" class="webview-status" aria-live="polite"></div>
   <div id="editor"></div>
+  <div id="obligations" class="obligations-section"></div>
+  <div id="suggestionCards" class="suggestion-cards"></div>
 
     <div id="chat" class="controls">
         <div id="synthesizingIndicator" class="synthesizing-indicator" aria-hidden="true">Synthesizing proof...</div>
         <div id="chatLog"></div>
         <div id="chatTypingIndicator" class="chat-typing-indicator" aria-hidden="true">Model is typing...</div>
+        <div id="chatContextUsage" class="chat-context-usage"></div>
         <div style="display: flex; flex-direction: row; align-items: center; gap: 6px;">
             <input id="chatInput" type="text" placeholder="Consult the assistant." />
             <button id="chatSend">Send</button>
@@ -812,4 +1282,41 @@ export class ProofStatePanel {
     }
 }
 
-export default ProofStatePanel;
\ No newline at end of file
+export default ProofStatePanel;
+
+/** A goal the panel highlights in a new state (1-based), with the `[start, end)` offsets of the changed subterms in its types. */
+interface StateChangeHighlight {
+    goal: number;
+    added: boolean;
+    hypotheses: { name: string; spans: [number, number][] }[];
+    /** `undefined` if the conclusion is unchanged. */
+    conclusion?: [number, number][];
+}
+
+/** What the panel highlights in a new state: the goals that are new, and in the others the hypotheses and conclusion that changed. */
+function stateChangeHighlights(diff: ProofStateDiff): StateChangeHighlight[] {
+    const spans = (subterms: SubtermChange[]): [number, number][] =>
+        subterms.filter((subterm) => subterm.after !== '').map((subterm) => [subterm.afterOffset, subterm.afterOffset + subterm.after.length]);
+    return diff.goals.flatMap((change): StateChangeHighlight[] => {
+        if (change.kind === 'removed') {
+            return [];
+        }
+        if (change.kind === 'added') {
+            return [{ goal: change.afterIndex, added: true, hypotheses: [] }];
+        }
+        const hypotheses = change.hypotheses.flatMap((hyp) => {
+            switch (hyp.kind) {
+                case 'cleared':
+                    return [];
+                case 'renamed':
+                    return [{ name: hyp.newName, spans: [] }];
+                case 'retyped':
+                    return [{ name: hyp.name, spans: spans(hyp.subterms) }];
+                default:
+                    return [{ name: hyp.name, spans: [] }];
+            }
+        });
+        const conclusion = change.conclusion !== undefined ? spans(change.conclusion.subterms) : undefined;
+        return [{ goal: change.afterIndex, added: false, hypotheses, conclusion }];
+    });
+}